@@ -0,0 +1,634 @@
+import { createUsageTracker } from './pricing.js';
+import { maxOutputTokens } from './models.js';
+import { parseStructuredOutput } from './structured-output.js';
+import { countWords, slugify, escapeHtml } from './html.js';
+import { formatBrandVoicePrompt } from './brand-voice.js';
+import { formatLanguagePrompt, isEnglish } from './language.js';
+import {
+    formatSourcesPrompt,
+    selectPassages,
+    ARTICLE_SOURCES_CHARS,
+    OUTLINE_SOURCES_CHARS,
+    SECTION_SOURCES_CHARS
+} from './sources.js';
+
+// In "auto" mode, articles at or above this target are written outline-first
+const OUTLINE_MODE_MIN_WORDS = 2500;
+
+// How much of the already written article (in characters) each section call sees as context
+const PREVIOUS_SECTIONS_CONTEXT_CHARS = 8000;
+
+// How much of the finished article (in characters) the summary/references call sees
+const FINISHING_CONTEXT_CHARS = 12000;
+
+// Expected shapes of the model's JSON responses (see structured-output.js)
+export const ARTICLE_SCHEMA = {
+    title: 'string',
+    subtitle: 'string?',
+    executiveSummary: 'string?',
+    summaryHeading: 'string?',
+    contentHTML: 'string',
+    metaDescription: 'string',
+    references: 'string[]?',
+    referencesHeading: 'string?',
+    callToAction: 'string?'
+};
+const OUTLINE_SCHEMA = {
+    title: 'string',
+    subtitle: 'string?',
+    metaDescription: 'string',
+    sections: 'array'
+};
+export const SECTION_SCHEMA = { html: 'string' };
+export const EXTRAS_SCHEMA = {
+    executiveSummary: 'string?',
+    summaryHeading: 'string?',
+    references: 'string[]?',
+    referencesHeading: 'string?',
+    callToAction: 'string?'
+};
+
+/**
+ * Generate the main article content using AI.
+ * Long articles are planned as an outline first and then written section by section.
+ */
+export async function generateArticle(options) {
+    const { generationMode = 'auto', wordCount } = options;
+
+    return usesOutline(generationMode, wordCount)
+        ? generateArticleFromOutline(options)
+        : generateArticleSinglePass(options);
+}
+
+/**
+ * Whether an article with this generation mode and target length is written outline-first
+ */
+export function usesOutline(generationMode, wordCount) {
+    return generationMode === 'outline'
+        || (generationMode === 'auto' && wordCount >= OUTLINE_MODE_MIN_WORDS);
+}
+
+/**
+ * Generate the whole article in a single AI call
+ */
+async function generateArticleSinglePass(options) {
+    const {
+        topic,
+        keywords,
+        targetAudience,
+        wordCount,
+        tone,
+        industryContext,
+        brandVoice,
+        language,
+        sourcePassages,
+        includeExecutiveSummary,
+        includeReferences,
+        includeCallToAction,
+        ctaText,
+        writingModel,
+        provider
+    } = options;
+
+    const prompt = buildArticlePrompt({
+        topic,
+        keywords,
+        targetAudience,
+        wordCount,
+        tone,
+        industryContext,
+        brandVoice,
+        language,
+        sourcePassages,
+        includeExecutiveSummary,
+        includeReferences,
+        includeCallToAction,
+        ctaText
+    });
+
+    const tracker = createUsageTracker(writingModel);
+    const result = await provider.generateText(prompt, { model: writingModel, maxTokens: maxOutputTokens(writingModel), task: 'article' });
+    tracker.track(result);
+
+    const articleData = await parseStructuredOutput(result, {
+        schema: ARTICLE_SCHEMA,
+        label: 'article',
+        provider,
+        model: writingModel,
+        track: tracker.track
+    });
+
+    return {
+        title: articleData.title,
+        subtitle: articleData.subtitle || '',
+        executiveSummary: articleData.executiveSummary || '',
+        summaryHeading: articleData.summaryHeading || '',
+        contentHTML: articleData.contentHTML,
+        metaDescription: articleData.metaDescription,
+        references: articleData.references || [],
+        referencesHeading: articleData.referencesHeading || '',
+        callToAction: articleData.callToAction || '',
+        wordCount: countWords(articleData.contentHTML),
+        usage: tracker.usage,
+        cost: tracker.cost,
+        ledger: tracker.ledger,
+        generationMode: 'singlePass',
+        outline: null
+    };
+}
+
+/**
+ * Build the article generation prompt
+ */
+function buildArticlePrompt(options) {
+    const {
+        topic,
+        keywords,
+        targetAudience,
+        wordCount,
+        tone,
+        industryContext,
+        brandVoice,
+        language,
+        sourcePassages,
+        includeExecutiveSummary,
+        includeReferences,
+        includeCallToAction,
+        ctaText
+    } = options;
+
+    const industryText = industryContext ? `\nIndustry/Context: ${industryContext}` : '';
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice)}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+    const sourcesText = sourcePassages?.length > 0
+        ? `\n${formatSourcesPrompt(selectPassages(sourcePassages, `${topic} ${keywords.join(' ')}`, ARTICLE_SOURCES_CHARS))}\n`
+        : '';
+    const ctaTextInfo = ctaText ? `\nUse this CTA text: "${ctaText}"` : '';
+
+    return `You are an expert professional blog writer and content strategist. Create a comprehensive, well-researched, and engaging blog article.
+
+ARTICLE REQUIREMENTS:
+Topic: "${topic}"
+Target Audience: ${targetAudience}
+Target Length: ${wordCount} words (aim for 90-110% of this target)
+Writing Tone: ${tone}
+SEO Keywords: ${keywords.join(', ')}${industryText}
+${sourcesText}
+CONTENT STRUCTURE:
+1. Compelling, professional title (50-70 characters, SEO optimized)
+2. Engaging subtitle that complements the title${includeExecutiveSummary ? '\n3. Executive Summary (100-150 words) - concise overview for busy executives' : ''}
+4. Introduction that hooks the reader
+5. Main content with:
+   - Well-organized sections using H2 headings
+   - Subsections with H3 headings where appropriate
+   - Each section 300-500 words
+   - Clear, logical flow between sections
+   - Data, statistics, or expert insights where relevant
+   - Practical examples and actionable advice
+   - Bullet points and numbered lists for clarity
+6. Strong conclusion that summarizes key points${includeCallToAction ? `\n7. Call-to-Action section${ctaTextInfo}` : ''}${includeReferences ? '\n8. References section with 5-8 suggested authoritative sources' : ''}
+
+WRITING GUIDELINES:
+- Use ${tone} language throughout
+- Write for ${targetAudience} specifically
+- Naturally integrate keywords: ${keywords.join(', ')}
+- Use concrete examples and real-world applications
+- Include transitional phrases between sections
+- Write in active voice
+- Use short paragraphs (3-4 sentences max)
+- Include varied sentence structure
+- Ensure content is original, informative, and valuable
+- Make it scannable with clear headings and formatting
+${languageText}${brandVoiceText}
+HTML FORMATTING:
+- Use semantic HTML5 tags
+- H2 for main sections (use id attributes for anchors: id="section-name")
+- H3 for subsections
+- <p> for paragraphs
+- <strong> for emphasis
+- <em> for softer emphasis
+- <ul> and <li> for bullet lists
+- <ol> and <li> for numbered lists
+- <blockquote> for quotes or callouts
+- NO H1 tags (that's for the title)
+
+SEO OPTIMIZATION:
+- Meta description: 150-160 characters, compelling, includes main keyword
+- Natural keyword integration (avoid keyword stuffing)
+- Front-load important keywords in title and first paragraph
+- Use semantic variations of keywords
+- Optimize headings with keywords
+
+Return the result in this exact JSON format:
+{
+    "title": "Professional, SEO-optimized article title",
+    "subtitle": "Engaging subtitle that complements the title",
+    "executiveSummary": "${includeExecutiveSummary ? '100-150 word executive summary' : ''}",
+    "summaryHeading": "${includeExecutiveSummary ? 'Executive Summary' : ''}",
+    "contentHTML": "<h2 id='introduction'>Introduction</h2><p>Full HTML article content with proper semantic tags...</p>",
+    "metaDescription": "150-160 character SEO meta description",
+    "references": ${includeReferences ? '["Source 1: Title - URL or description", "Source 2: ..."]' : '[]'},
+    "referencesHeading": "${includeReferences ? 'References' : ''}",
+    "callToAction": "${includeCallToAction ? '<div class=\\"cta\\"><h3>Ready to Get Started?</h3><p>CTA content...</p></div>' : ''}"
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Generate the article in phases: outline, one call per section, then summary/references/CTA.
+ *
+ * The outline and every written section are handed to `saveCheckpoint` together with the
+ * usage so far; a `checkpoint` saved that way lets a resumed run skip the finished calls.
+ */
+async function generateArticleFromOutline(options) {
+    const {
+        wordCount,
+        includeExecutiveSummary,
+        includeReferences,
+        includeCallToAction,
+        writingModel,
+        provider,
+        maxSectionRetries = 2,
+        checkpoint = null,
+        saveCheckpoint = async () => {},
+        onProgress = () => {}
+    } = options;
+
+    // Every call is tracked as soon as it returns, so failed parses are still paid for.
+    // Resumed runs start from the usage and cost of the saved calls.
+    const tracker = createUsageTracker(writingModel, checkpoint ?? {});
+    const { track } = tracker;
+    const parseOptions = { provider, model: writingModel, track };
+    const save = (progress) => saveCheckpoint({ ...progress, usage: tracker.usage, cost: tracker.cost, ledger: tracker.ledger });
+
+    // Phase 1: plan the outline
+    let outline = checkpoint?.outline;
+    if (outline) {
+        console.log(`  Resuming from the saved outline (${checkpoint.sections.length}/${outline.sections.length} sections written)`);
+    } else {
+        console.log('  Planning article outline...');
+        onProgress('Planning the outline');
+        const outlineResult = await provider.generateText(buildOutlinePrompt(options), { model: writingModel, maxTokens: maxOutputTokens(writingModel), task: 'outline' });
+        track(outlineResult);
+        const outlineData = await parseStructuredOutput(outlineResult, { ...parseOptions, schema: OUTLINE_SCHEMA, label: 'outline' });
+        outline = normalizeOutline(outlineData, wordCount);
+        console.log(`  Outline ready: ${outline.sections.length} sections`);
+        await save({ outline, sections: [] });
+    }
+
+    // Phase 2: write each section with the outline and previous sections as context
+    const sections = checkpoint?.outline ? [...checkpoint.sections] : [];
+    for (let i = sections.length; i < outline.sections.length; i++) {
+        const section = outline.sections[i];
+        console.log(`  Writing section ${i + 1}/${outline.sections.length}: "${section.heading}" (~${section.wordBudget} words)...`);
+        onProgress(`Writing section ${i + 1}/${outline.sections.length}`);
+
+        const html = await writeSection({
+            ...options,
+            outline,
+            section,
+            previousSections: sections,
+            maxSectionRetries
+        }, track);
+
+        sections.push({ ...section, html, wordCount: countWords(html) });
+        await save({ outline, sections });
+    }
+
+    const contentHTML = sections
+        .map(section => `<h2 id="${section.id}">${escapeHtml(section.heading)}</h2>\n${section.html}`)
+        .join('\n');
+
+    // Phase 3: executive summary, references and CTA based on the finished article
+    let extras = {};
+    if (includeExecutiveSummary || includeReferences || includeCallToAction) {
+        console.log('  Writing executive summary, references and CTA...');
+        onProgress('Writing the executive summary, references and CTA');
+        const extrasResult = await provider.generateText(
+            buildFinishingPrompt({ ...options, outline, contentHTML }),
+            { model: writingModel, maxTokens: maxOutputTokens(writingModel), task: 'summary' }
+        );
+        track(extrasResult);
+        extras = await parseStructuredOutput(extrasResult, { ...parseOptions, schema: EXTRAS_SCHEMA, label: 'summary' });
+    }
+
+    return {
+        title: outline.title,
+        subtitle: outline.subtitle,
+        executiveSummary: includeExecutiveSummary ? extras.executiveSummary || '' : '',
+        summaryHeading: includeExecutiveSummary ? extras.summaryHeading || '' : '',
+        contentHTML,
+        metaDescription: outline.metaDescription,
+        references: includeReferences ? extras.references || [] : [],
+        referencesHeading: includeReferences ? extras.referencesHeading || '' : '',
+        callToAction: includeCallToAction ? extras.callToAction || '' : '',
+        wordCount: countWords(contentHTML),
+        usage: tracker.usage,
+        cost: tracker.cost,
+        ledger: tracker.ledger,
+        generationMode: 'outline',
+        outline: sections.map(section => ({
+            heading: section.heading,
+            anchor: section.id,
+            wordBudget: section.wordBudget,
+            wordCount: section.wordCount,
+            subsections: section.subsections
+        }))
+    };
+}
+
+/**
+ * Write a single section, retrying only that section when a call fails
+ */
+async function writeSection(options, track) {
+    const { section, writingModel, provider, maxSectionRetries } = options;
+
+    // Roughly 1.3 tokens per word plus HTML markup and JSON escaping
+    let maxTokens = Math.min(maxOutputTokens(writingModel), Math.max(1500, Math.ceil(section.wordBudget * 2.5) + 500));
+
+    for (let attempt = 1; attempt <= maxSectionRetries + 1; attempt++) {
+        try {
+            const result = await provider.generateText(buildSectionPrompt(options), { model: writingModel, maxTokens, task: 'section' });
+            track(result);
+
+            const data = await parseStructuredOutput(result, {
+                schema: SECTION_SCHEMA,
+                label: 'section',
+                provider,
+                model: writingModel,
+                track
+            });
+
+            // The section heading is written by us so anchors stay stable
+            return data.html.trim().replace(/^<h2[^>]*>[\s\S]*?<\/h2>\s*/i, '');
+        } catch (error) {
+            if (attempt > maxSectionRetries) {
+                throw new Error(`Failed to write section "${section.heading}": ${error.message}`);
+            }
+            // A section cut off at the token limit gets twice the room on the next attempt
+            if (error.truncated) maxTokens = Math.min(maxOutputTokens(writingModel), maxTokens * 2);
+            console.warn(`  ⚠ Section "${section.heading}" failed (${error.message}). Retrying ${attempt}/${maxSectionRetries}...`);
+        }
+    }
+}
+
+/**
+ * Build the outline planning prompt
+ */
+function buildOutlinePrompt(options) {
+    const {
+        topic,
+        keywords,
+        targetAudience,
+        wordCount,
+        tone,
+        industryContext,
+        brandVoice,
+        language,
+        sourcePassages
+    } = options;
+
+    const industryText = industryContext ? `\nIndustry/Context: ${industryContext}` : '';
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice, { includeExamples: false })}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+    const sourcesText = sourcePassages?.length > 0
+        ? `\n${formatSourcesPrompt(selectPassages(sourcePassages, `${topic} ${keywords.join(' ')}`, OUTLINE_SOURCES_CHARS), { cite: false })}\n`
+        : '';
+
+    return `You are an expert content strategist. Plan the structure of a comprehensive, well-researched blog article. Do not write the article yet.
+
+ARTICLE REQUIREMENTS:
+Topic: "${topic}"
+Target Audience: ${targetAudience}
+Target Length: ${wordCount} words
+Writing Tone: ${tone}
+SEO Keywords: ${keywords.join(', ')}${industryText}
+${sourcesText}
+OUTLINE REQUIREMENTS:
+- Compelling, professional title (50-70 characters, SEO optimized)
+- Engaging subtitle that complements the title
+- Meta description: 150-160 characters, compelling, includes main keyword
+- First section is the introduction that hooks the reader
+- Last section is a strong conclusion that summarizes key points
+- Main sections (H2) of 300-500 words each, in a clear, logical order
+- H3 subsections where appropriate, each with its own word budget
+- 3-5 key points per section: data, examples, or actionable advice to cover
+- Word budgets of all sections must add up to ${wordCount}
+- Spread the keywords across section headings and key points
+- Do NOT plan executive summary, references or call-to-action sections
+${languageText}${brandVoiceText}
+Return the result in this exact JSON format:
+{
+    "title": "Professional, SEO-optimized article title",
+    "subtitle": "Engaging subtitle that complements the title",
+    "metaDescription": "150-160 character SEO meta description",
+    "sections": [
+        {
+            "heading": "Introduction",
+            "id": "introduction",
+            "wordBudget": 200,
+            "keyPoints": ["Point to cover", "..."],
+            "subsections": []
+        },
+        {
+            "heading": "Main section heading",
+            "id": "main-section-heading",
+            "wordBudget": 450,
+            "keyPoints": ["Point to cover", "..."],
+            "subsections": [{ "heading": "Subsection heading", "wordBudget": 200 }]
+        }
+    ]
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Build the prompt for writing one section of an outlined article
+ */
+function buildSectionPrompt(options) {
+    const {
+        topic,
+        keywords,
+        targetAudience,
+        tone,
+        industryContext,
+        brandVoice,
+        language,
+        sourcePassages,
+        outline,
+        section,
+        previousSections
+    } = options;
+
+    const industryText = industryContext ? `\nIndustry/Context: ${industryContext}` : '';
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice)}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+    const sourcesText = sourcePassages?.length > 0
+        ? `\n${formatSourcesPrompt(selectPassages(sourcePassages, `${section.heading} ${section.keyPoints.join(' ')} ${keywords.join(' ')}`, SECTION_SOURCES_CHARS))}\n`
+        : '';
+
+    const outlineText = outline.sections.map((planned, i) => {
+        const marker = planned.id === section.id ? '  <-- WRITE THIS SECTION' : '';
+        const subsections = planned.subsections.map(sub => `\n     - ${sub.heading} (~${sub.wordBudget} words)`).join('');
+        return `  ${i + 1}. ${planned.heading} (~${planned.wordBudget} words)${marker}${subsections}`;
+    }).join('\n');
+
+    const previousHTML = previousSections
+        .map(previous => `<h2>${previous.heading}</h2>\n${previous.html}`)
+        .join('\n');
+    const previousText = previousHTML.length > PREVIOUS_SECTIONS_CONTEXT_CHARS
+        ? `...${previousHTML.slice(-PREVIOUS_SECTIONS_CONTEXT_CHARS)}`
+        : previousHTML;
+
+    const subsectionText = section.subsections.length > 0
+        ? `\nUse these H3 subsections: ${section.subsections.map(sub => `"${sub.heading}" (~${sub.wordBudget} words)`).join(', ')}`
+        : '';
+    const keyPointsText = section.keyPoints.length > 0
+        ? `\nKey points to cover:\n${section.keyPoints.map(point => `- ${point}`).join('\n')}`
+        : '';
+
+    return `You are an expert professional blog writer. You are writing one section of a longer blog article.
+
+ARTICLE:
+Title: "${outline.title}"
+Topic: "${topic}"
+Target Audience: ${targetAudience}
+Writing Tone: ${tone}
+SEO Keywords: ${keywords.join(', ')}${industryText}
+
+FULL OUTLINE:
+${outlineText}
+
+${previousText ? `ALREADY WRITTEN (continue naturally from here, do not repeat it):\n${previousText}\n` : 'This is the first section of the article.\n'}
+YOUR TASK:
+Write the section "${section.heading}".
+Target Length: ${section.wordBudget} words (aim for 90-110% of this target)${subsectionText}${keyPointsText}
+${sourcesText}
+WRITING GUIDELINES:
+- Use ${tone} language throughout
+- Write for ${targetAudience} specifically
+- Naturally integrate relevant keywords without stuffing
+- Use concrete examples, data and practical advice
+- Write in active voice with short paragraphs (3-4 sentences max)
+- Include a transition that connects to the previous section
+${languageText}${brandVoiceText}
+HTML FORMATTING:
+- Do NOT include the section's H2 heading, it is added automatically
+- H3 for subsections, <p> for paragraphs, <strong>/<em> for emphasis
+- <ul>/<ol> with <li> for lists, <blockquote> for quotes or callouts
+- NO H1 or H2 tags
+
+Return the result in this exact JSON format:
+{
+    "html": "<p>Section content with proper semantic tags...</p>"
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Build the prompt for the executive summary, references and CTA of a finished article
+ */
+export function buildFinishingPrompt(options) {
+    const {
+        topic,
+        targetAudience,
+        tone,
+        includeExecutiveSummary,
+        includeReferences,
+        includeCallToAction,
+        ctaText,
+        brandVoice,
+        language,
+        outline,
+        contentHTML
+    } = options;
+
+    const articleText = contentHTML.length > FINISHING_CONTEXT_CHARS
+        ? `${contentHTML.slice(0, FINISHING_CONTEXT_CHARS)}...`
+        : contentHTML;
+    const ctaTextInfo = ctaText ? ` Use this CTA text: "${ctaText}"` : '';
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice)}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+
+    return `You have written this blog article for ${targetAudience} in a ${tone} tone.
+
+Title: "${outline.title}"
+Topic: "${topic}"
+
+ARTICLE:
+${articleText}
+
+Now write the remaining parts:${includeExecutiveSummary ? '\n- Executive Summary (100-150 words) - concise overview for busy executives' : ''}${includeReferences ? '\n- References: 5-8 suggested authoritative sources relevant to the article' : ''}${includeCallToAction ? `\n- Call-to-Action section as HTML.${ctaTextInfo}` : ''}
+${languageText}${brandVoiceText}
+Return the result in this exact JSON format:
+{
+    "executiveSummary": "${includeExecutiveSummary ? '100-150 word executive summary' : ''}",
+    "summaryHeading": "${includeExecutiveSummary ? 'Executive Summary' : ''}",
+    "references": ${includeReferences ? '["Source 1: Title - URL or description", "Source 2: ..."]' : '[]'},
+    "referencesHeading": "${includeReferences ? 'References' : ''}",
+    "callToAction": "${includeCallToAction ? '<div class=\\"cta\\"><h3>Ready to Get Started?</h3><p>CTA content...</p></div>' : ''}"
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Validate the planned outline, assign unique anchors and scale word budgets to the target
+ */
+function normalizeOutline(data, wordCount) {
+    const usedIds = new Set();
+    const sections = (Array.isArray(data.sections) ? data.sections : [])
+        .filter(section => section && typeof section.heading === 'string' && section.heading.trim())
+        .map((section, i) => {
+            const baseId = slugify(section.id || section.heading) || `section-${i + 1}`;
+            let id = baseId;
+            for (let n = 2; usedIds.has(id); n++) id = `${baseId}-${n}`;
+            usedIds.add(id);
+
+            return {
+                heading: section.heading.trim(),
+                id,
+                wordBudget: Number(section.wordBudget) > 0 ? Number(section.wordBudget) : 0,
+                keyPoints: Array.isArray(section.keyPoints) ? section.keyPoints.map(String) : [],
+                subsections: Array.isArray(section.subsections)
+                    ? section.subsections
+                        .filter(sub => sub && typeof sub.heading === 'string')
+                        .map(sub => ({ heading: sub.heading.trim(), wordBudget: Number(sub.wordBudget) > 0 ? Number(sub.wordBudget) : 0 }))
+                    : []
+            };
+        });
+
+    if (sections.length === 0) {
+        throw new Error('AI returned an outline without sections');
+    }
+
+    // Models rarely hit the total exactly, so budgets are rescaled to sum to the target
+    const evenShare = Math.round(wordCount / sections.length);
+    sections.forEach(section => {
+        if (section.wordBudget === 0) section.wordBudget = evenShare;
+    });
+
+    const plannedTotal = sections.reduce((sum, section) => sum + section.wordBudget, 0);
+    sections.forEach(section => {
+        const budget = Math.max(Math.round(section.wordBudget * wordCount / plannedTotal), 100);
+        const subsectionTotal = section.subsections.reduce((sum, sub) => sum + sub.wordBudget, 0);
+
+        // Subsections share most of the section budget, leaving room for its opening paragraph
+        section.subsections.forEach(sub => {
+            sub.wordBudget = subsectionTotal > 0
+                ? Math.round(sub.wordBudget / subsectionTotal * budget * 0.8)
+                : Math.round(budget / section.subsections.length * 0.8);
+        });
+        section.wordBudget = budget;
+    });
+
+    return {
+        title: data.title || '',
+        subtitle: data.subtitle || '',
+        metaDescription: data.metaDescription || '',
+        sections
+    };
+}
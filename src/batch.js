@@ -0,0 +1,366 @@
+import { Actor } from 'apify';
+import { EXPORT_FORMATS } from './output-formats.js';
+import { PUBLISHER_NAMES, PUBLISH_STATUSES } from './publishers/index.js';
+import { LINK_POLICIES } from './link-verification.js';
+import { REFRESH_STRATEGIES } from './refresh.js';
+import { isLanguageCode } from './language.js';
+import { TOC_STYLES } from './toc.js';
+import { SCHEMA_TYPES } from './structured-data.js';
+
+// What slugify produces: lowercase or caseless letters (with their marks) and digits, joined by hyphens
+const SLUG_REGEX = /^[\p{Ll}\p{Lm}\p{Lo}\p{N}\p{M}]+(?:-[\p{Ll}\p{Lm}\p{Lo}\p{N}\p{M}]+)*$/u;
+
+// Input fields that describe the batch itself and are never copied onto an article
+const BATCH_ONLY_FIELDS = [
+    'articles',
+    'articlesRecordKey',
+    'maxConcurrency',
+    'checkpoints',
+    'topicCluster',
+    'clusterSpokes',
+    'topic',
+    'keywords',
+    'llmProvider',
+    'llmBaseUrl',
+    'llmApiKey',
+    'llmJsonMode',
+    'llmStreaming',
+    'modelRegistryRecordKey',
+    'publishDryRun',
+    'wordpressUrl',
+    'wordpressUsername',
+    'wordpressAppPassword',
+    'ghostUrl',
+    'ghostAdminApiKey',
+    'gitRepository',
+    'gitBranch',
+    'gitAuthorName',
+    'gitAuthorEmail'
+];
+
+// Per-article fields whose CSV/string values must be coerced to lists, numbers or booleans
+const LIST_FIELDS = ['keywords', 'outputFormats', 'publishTo', 'publishTags', 'wordpressCategories', 'blockedLinkDomains', 'translateTo', 'allowedHtmlTags'];
+const INTEGER_FIELDS = ['wordCount', 'numberOfImages', 'maxSectionRetries', 'maxRevisionRounds', 'targetGradeLevel', 'tocDepth', 'faqCount', 'headlineVariants'];
+const NUMBER_FIELDS = ['maxBudgetUsd'];
+const BOOLEAN_FIELDS = [
+    'includeImages',
+    'includeTableOfContents',
+    'includeExecutiveSummary',
+    'includeReferences',
+    'includeCallToAction',
+    'includeStructuredData',
+    'persistImages',
+    'checkLinks',
+    'preserveAnchors',
+    'preserveLinks'
+];
+
+/**
+ * Resolve the list of articles to generate from the actor input.
+ *
+ * Articles come from the `articles` array, a key-value store record named by
+ * `articlesRecordKey` (JSON array or CSV), or the single top-level topic/keywords.
+ * Every other top-level input field acts as a default that each article can override.
+ */
+export async function resolveArticleInputs(input) {
+    const defaults = { ...input };
+    for (const field of BATCH_ONLY_FIELDS) delete defaults[field];
+
+    let entries;
+    if (Array.isArray(input.articles) && input.articles.length > 0) {
+        entries = input.articles;
+    } else if (input.articlesRecordKey) {
+        entries = await loadArticlesRecord(input.articlesRecordKey);
+    } else {
+        entries = [{ topic: input.topic, keywords: input.keywords }];
+    }
+
+    return entries.map(entry => normalizeArticleInput({ ...defaults, ...entry }));
+}
+
+/**
+ * Load a batch of articles from a key-value store record
+ */
+async function loadArticlesRecord(key) {
+    const record = await Actor.getValue(key);
+    if (record === null || record === undefined) {
+        throw new Error(`Key-value store record "${key}" not found`);
+    }
+
+    if (Array.isArray(record)) return record;
+    if (Array.isArray(record.articles)) return record.articles;
+
+    const text = Buffer.isBuffer(record) ? record.toString('utf8') : String(record);
+    const trimmed = text.trim();
+
+    // Records stored without a JSON content type still arrive as text
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const parsed = JSON.parse(trimmed);
+        return Array.isArray(parsed) ? parsed : parsed.articles || [];
+    }
+
+    return parseArticlesCsv(text);
+}
+
+/**
+ * Parse a CSV content calendar into article entries.
+ * The first row holds the column names (topic, keywords, targetAudience, tone, ...).
+ * Keywords within a cell are separated by semicolons or pipes.
+ */
+export function parseArticlesCsv(text) {
+    const rows = parseCsvRows(text).filter(row => row.some(cell => cell.trim() !== ''));
+    if (rows.length < 2) return [];
+
+    const header = rows[0].map(column => column.trim());
+
+    return rows.slice(1).map(row => {
+        const entry = {};
+        header.forEach((column, i) => {
+            const value = (row[i] ?? '').trim();
+            if (column && value !== '') entry[column] = value;
+        });
+        return entry;
+    });
+}
+
+/**
+ * Split CSV text into rows of cells, honouring quoted fields (RFC 4180)
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Coerce loosely-typed article fields (from CSV or JSON records) to the types the pipeline expects
+ */
+function normalizeArticleInput(article) {
+    const normalized = { ...article };
+
+    for (const field of LIST_FIELDS) {
+        if (typeof normalized[field] === 'string') {
+            normalized[field] = normalized[field]
+                .split(/[;|]/)
+                .map(item => item.trim())
+                .filter(Boolean);
+        }
+    }
+
+    for (const field of INTEGER_FIELDS) {
+        if (typeof normalized[field] === 'string') {
+            normalized[field] = parseInt(normalized[field], 10);
+        }
+    }
+
+    for (const field of NUMBER_FIELDS) {
+        if (typeof normalized[field] === 'string') {
+            normalized[field] = normalized[field].trim() === '' ? null : Number(normalized[field]);
+        }
+    }
+
+    for (const field of BOOLEAN_FIELDS) {
+        if (typeof normalized[field] === 'string') {
+            normalized[field] = !/^(false|no|0)$/i.test(normalized[field].trim());
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Validate the run-level batch settings
+ */
+export function validateBatchInput(input) {
+    const { maxConcurrency } = input;
+    if (maxConcurrency !== undefined && maxConcurrency !== null && (!Number.isInteger(maxConcurrency) || maxConcurrency < 1 || maxConcurrency > 10)) {
+        throw new Error('Max concurrency must be an integer between 1 and 10');
+    }
+}
+
+/**
+ * Validate the run-level settings of topic cluster mode, which plans its own articles
+ */
+export function validateClusterInput(input) {
+    if ((Array.isArray(input.articles) && input.articles.length > 0) || input.articlesRecordKey) {
+        throw new Error('Topic cluster mode plans its own articles; remove the articles list or record key');
+    }
+    if (input.clusterSpokes !== undefined && (!Number.isInteger(input.clusterSpokes) || input.clusterSpokes < 1 || input.clusterSpokes > 10)) {
+        throw new Error('Cluster spokes must be an integer between 1 and 10');
+    }
+}
+
+/**
+ * Validate a single article's input, throwing on the first problem found
+ */
+export function validateArticleInput(article) {
+    const refreshing = Boolean(article?.existingContent || article?.existingContentRecordKey);
+    if (!article?.topic && !refreshing) {
+        throw new Error('Topic is required');
+    }
+    if (article.existingContent !== undefined && article.existingContent !== null && typeof article.existingContent !== 'string') {
+        throw new Error('Existing content must be an HTML or Markdown string');
+    }
+    if (article.refreshStrategy !== undefined && !REFRESH_STRATEGIES.includes(article.refreshStrategy)) {
+        throw new Error(`Refresh strategy must be one of: ${REFRESH_STRATEGIES.join(', ')}`);
+    }
+    if (!Array.isArray(article.keywords) || article.keywords.length === 0) {
+        throw new Error('At least one SEO keyword is required');
+    }
+    if (article.wordCount !== undefined && (!Number.isInteger(article.wordCount) || article.wordCount < 1000 || article.wordCount > 5000)) {
+        throw new Error('Word count must be an integer between 1000 and 5000');
+    }
+    if (article.numberOfImages !== undefined && (!Number.isInteger(article.numberOfImages) || article.numberOfImages < 1 || article.numberOfImages > 5)) {
+        throw new Error('Number of images must be an integer between 1 and 5');
+    }
+    if (article.maxBudgetUsd !== undefined && article.maxBudgetUsd !== null && (!Number.isFinite(article.maxBudgetUsd) || article.maxBudgetUsd <= 0)) {
+        throw new Error('Max budget must be a positive amount in USD');
+    }
+    if (article.language !== undefined && !isLanguageCode(article.language)) {
+        throw new Error(`Unknown language code "${article.language}". Use a BCP 47 tag such as "de", "pt-BR" or "ja"`);
+    }
+    if (article.translateTo !== undefined) {
+        const unknown = (Array.isArray(article.translateTo) ? article.translateTo : [article.translateTo])
+            .filter(code => !isLanguageCode(code));
+        if (!Array.isArray(article.translateTo) || unknown.length > 0) {
+            throw new Error(`Unknown translation language${unknown.length === 1 ? '' : 's'} ${unknown.map(code => `"${code}"`).join(', ')}. Use BCP 47 tags such as "de", "pt-BR" or "ja"`);
+        }
+    }
+    if (article.targetGradeLevel !== undefined && article.targetGradeLevel !== null && (!Number.isInteger(article.targetGradeLevel) || article.targetGradeLevel < 1 || article.targetGradeLevel > 18)) {
+        throw new Error('Target grade level must be an integer between 1 and 18');
+    }
+    if (article.tocDepth !== undefined && (!Number.isInteger(article.tocDepth) || article.tocDepth < 1 || article.tocDepth > 3)) {
+        throw new Error('Table of contents depth must be 1 (H2), 2 (H2-H3) or 3 (H2-H4)');
+    }
+    if (article.tocStyle !== undefined && !TOC_STYLES.includes(article.tocStyle)) {
+        throw new Error(`Table of contents style must be one of: ${TOC_STYLES.join(', ')}`);
+    }
+    if (article.headlineVariants !== undefined && (!Number.isInteger(article.headlineVariants) || article.headlineVariants < 0 || article.headlineVariants > 10)) {
+        throw new Error('Headline variants must be an integer between 0 and 10');
+    }
+    if (article.faqCount !== undefined && (!Number.isInteger(article.faqCount) || article.faqCount < 0 || article.faqCount > 10)) {
+        throw new Error('FAQ count must be an integer between 0 and 10');
+    }
+    if (article.schemaType !== undefined && !SCHEMA_TYPES.includes(article.schemaType)) {
+        throw new Error(`Schema type must be one of: ${SCHEMA_TYPES.join(', ')}`);
+    }
+    for (const [field, label] of [['siteUrl', 'Site URL'], ['authorUrl', 'Author URL'], ['publisherLogoUrl', 'Publisher logo URL']]) {
+        if (article[field] !== undefined && article[field] !== null && !/^https?:\/\/\S+$/.test(article[field])) {
+            throw new Error(`${label} must be an http(s) URL`);
+        }
+    }
+    if (article.twitterHandle !== undefined && article.twitterHandle !== null && !/^@?\w{1,15}$/.test(article.twitterHandle)) {
+        throw new Error('Twitter handle must look like @example');
+    }
+    if (article.sources !== undefined && (!Array.isArray(article.sources)
+        || article.sources.some(source => typeof source !== 'string' && (typeof source !== 'object' || source === null || Array.isArray(source))))) {
+        throw new Error('Sources must be an array of URLs, text or objects with text, html, markdown, recordKey or url');
+    }
+    if (article.internalLinks !== undefined && (!Array.isArray(article.internalLinks)
+        || article.internalLinks.some(link => typeof link?.url !== 'string' || !link.url.trim() || typeof link.anchorText !== 'string'))) {
+        throw new Error('Internal links must be an array of objects with a url and an anchorText');
+    }
+    if (article.slug !== undefined && article.slug !== null && !SLUG_REGEX.test(article.slug)) {
+        throw new Error('Slug must be lowercase letters and digits separated by hyphens');
+    }
+    if (article.linkPolicy !== undefined && !LINK_POLICIES.includes(article.linkPolicy)) {
+        throw new Error(`Link policy must be one of: ${LINK_POLICIES.join(', ')}`);
+    }
+    if (article.outputFormats !== undefined) {
+        const unknown = (Array.isArray(article.outputFormats) ? article.outputFormats : [article.outputFormats])
+            .filter(format => !Object.hasOwn(EXPORT_FORMATS, format));
+        if (!Array.isArray(article.outputFormats) || unknown.length > 0) {
+            throw new Error(`Unknown output format${unknown.length === 1 ? '' : 's'} ${unknown.map(format => `"${format}"`).join(', ')}. Use: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+    }
+    if (article.publishTo !== undefined) {
+        const unknown = (Array.isArray(article.publishTo) ? article.publishTo : [article.publishTo])
+            .filter(name => !PUBLISHER_NAMES.includes(name));
+        if (!Array.isArray(article.publishTo) || unknown.length > 0) {
+            throw new Error(`Unknown publisher${unknown.length === 1 ? '' : 's'} ${unknown.map(name => `"${name}"`).join(', ')}. Use: ${PUBLISHER_NAMES.join(', ')}`);
+        }
+    }
+    if (article.publishStatus !== undefined && !PUBLISH_STATUSES.includes(article.publishStatus)) {
+        throw new Error(`Publish status must be one of: ${PUBLISH_STATUSES.join(', ')}`);
+    }
+    if (article.publishAt !== undefined && article.publishAt !== null && Number.isNaN(Date.parse(article.publishAt))) {
+        throw new Error(`Publish date "${article.publishAt}" is not a valid date`);
+    }
+    if (article.publishStatus === 'scheduled' && !article.publishAt) {
+        throw new Error('A publish date (publishAt) is required for scheduled posts');
+    }
+    if (article.imageSizes !== undefined) {
+        const sizes = Object.entries(article.imageSizes ?? {});
+        if (sizes.length === 0 || sizes.some(([name, width]) => !/^[a-zA-Z0-9_-]+$/.test(name) || !Number.isInteger(width) || width < 16 || width > 4096)) {
+            throw new Error('Image sizes must map variant names (letters, digits, - and _) to widths between 16 and 4096 pixels');
+        }
+    }
+    if (article.allowedHtmlTags !== undefined && (!Array.isArray(article.allowedHtmlTags)
+        || article.allowedHtmlTags.some(tag => typeof tag !== 'string' || !/^[a-zA-Z][a-zA-Z0-9-]*$/.test(tag)))) {
+        throw new Error('Allowed HTML tags must be a list of tag names such as "p" or "h2"');
+    }
+    if (article.allowedHtmlAttributes !== undefined) {
+        const attributes = article.allowedHtmlAttributes;
+        if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes) || Object.entries(attributes).some(([tag, names]) =>
+            !/^(?:\*|[a-zA-Z][a-zA-Z0-9-]*)$/.test(tag) || !Array.isArray(names) || names.some(name => typeof name !== 'string' || !/^[a-zA-Z_:][a-zA-Z0-9_:.-]*$/.test(name)))) {
+            throw new Error('Allowed HTML attributes must map tag names (or "*" for every tag) to lists of attribute names');
+        }
+    }
+}
+
+/**
+ * Run an async worker over every item with at most `concurrency` in flight.
+ * Results are returned in input order.
+ */
+export async function runWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    // Anything but a positive integer would start no runners and leave every result empty
+    const limit = Number.isInteger(concurrency) && concurrency > 0 ? concurrency : 1;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
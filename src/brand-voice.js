@@ -0,0 +1,236 @@
+import { Actor } from 'apify';
+import { phrasePattern } from './language.js';
+
+// Named key-value store that keeps brand voice profiles across runs
+export const DEFAULT_BRAND_VOICE_STORE = 'brand-voices';
+
+// Record keys the key-value store accepts
+const PROFILE_ID_REGEX = /^[a-zA-Z0-9!\-_.'()]{1,256}$/;
+
+// Article fields the linter checks; references are left alone so cited titles stay accurate
+const TEXT_FIELDS = ['title', 'subtitle', 'metaDescription', 'executiveSummary'];
+const HTML_FIELDS = ['contentHTML', 'callToAction'];
+
+// Text inside these elements is never rewritten
+const VERBATIM_TAGS = new Set(['code', 'pre', 'kbd', 'samp', 'script', 'style']);
+
+/**
+ * Load a brand voice profile by ID from the brand voice key-value store
+ */
+export async function loadBrandVoice(profileId, options = {}) {
+    const { storeName = DEFAULT_BRAND_VOICE_STORE } = options;
+
+    if (!PROFILE_ID_REGEX.test(profileId)) {
+        throw new Error(`Invalid brand voice ID "${profileId}". Use letters, digits and !-_.'() only`);
+    }
+
+    const store = await Actor.openKeyValueStore(storeName);
+    const record = await store.getValue(profileId);
+    if (record === null || record === undefined) {
+        throw new Error(`Brand voice "${profileId}" not found in key-value store "${storeName}"`);
+    }
+
+    const profile = Buffer.isBuffer(record) || typeof record === 'string'
+        ? JSON.parse(record.toString())
+        : record;
+
+    return normalizeBrandVoice(profile, profileId);
+}
+
+/**
+ * Validate a stored profile and bring it into one shape.
+ *
+ * Profile record:
+ *   {
+ *     name, description, guidelines: [],
+ *     bannedTerms: ["synergy", { term: "leverage", replacement: "use" }],
+ *     preferredTerms: { "e-mail": "email" },
+ *     productNames: ["HubSpot"],
+ *     oxfordComma: true,
+ *     examples: ["A paragraph written in our voice..."]
+ *   }
+ */
+export function normalizeBrandVoice(profile, profileId) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        throw new Error(`Brand voice "${profileId}" must be a JSON object`);
+    }
+
+    const stringList = (field) => {
+        const value = profile[field] ?? [];
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+            throw new Error(`Brand voice "${profileId}": ${field} must be an array of strings`);
+        }
+        return value.map(item => item.trim()).filter(Boolean);
+    };
+
+    const bannedTerms = (profile.bannedTerms ?? []).map(entry => {
+        const term = typeof entry === 'string' ? entry : entry?.term;
+        if (typeof term !== 'string' || !term.trim()) {
+            throw new Error(`Brand voice "${profileId}": bannedTerms entries must be strings or { term, replacement } objects`);
+        }
+        return { term: term.trim(), replacement: typeof entry.replacement === 'string' ? entry.replacement : null };
+    });
+
+    const preferred = profile.preferredTerms ?? {};
+    if (typeof preferred !== 'object' || Array.isArray(preferred) || Object.values(preferred).some(value => typeof value !== 'string')) {
+        throw new Error(`Brand voice "${profileId}": preferredTerms must map discouraged terms to preferred ones`);
+    }
+
+    if (profile.oxfordComma !== undefined && profile.oxfordComma !== null && typeof profile.oxfordComma !== 'boolean') {
+        throw new Error(`Brand voice "${profileId}": oxfordComma must be true or false`);
+    }
+
+    return {
+        id: profileId,
+        name: typeof profile.name === 'string' && profile.name.trim() ? profile.name.trim() : profileId,
+        description: typeof profile.description === 'string' ? profile.description.trim() : '',
+        guidelines: stringList('guidelines'),
+        bannedTerms,
+        preferredTerms: Object.entries(preferred).map(([term, replacement]) => ({ term: term.trim(), replacement })),
+        productNames: stringList('productNames'),
+        oxfordComma: profile.oxfordComma ?? null,
+        examples: stringList('examples')
+    };
+}
+
+/**
+ * Describe the brand voice for a writing prompt, with sample paragraphs as few-shot examples
+ */
+export function formatBrandVoicePrompt(profile, options = {}) {
+    const { includeExamples = true } = options;
+    const lines = [`BRAND VOICE: ${profile.name}`];
+
+    if (profile.description) lines.push(profile.description);
+    profile.guidelines.forEach(guideline => lines.push(`- ${guideline}`));
+
+    if (profile.preferredTerms.length > 0 || profile.bannedTerms.some(entry => entry.replacement !== null)) {
+        const replacements = [...profile.preferredTerms, ...profile.bannedTerms.filter(entry => entry.replacement !== null)];
+        lines.push(`- Preferred terminology: ${replacements.map(entry => `"${entry.replacement}" instead of "${entry.term}"`).join(', ')}`);
+    }
+    if (profile.bannedTerms.length > 0) {
+        lines.push(`- Never use these terms: ${profile.bannedTerms.map(entry => `"${entry.term}"`).join(', ')}`);
+    }
+    if (profile.productNames.length > 0) {
+        lines.push(`- Write product names exactly like this: ${profile.productNames.join(', ')}`);
+    }
+    if (profile.oxfordComma !== null) {
+        lines.push(profile.oxfordComma
+            ? '- Always use the Oxford comma in lists ("A, B, and C")'
+            : '- Do not use the Oxford comma in lists ("A, B and C")');
+    }
+
+    if (includeExamples && profile.examples.length > 0) {
+        lines.push('', 'EXAMPLES OF OUR VOICE (match the style, not the content):');
+        profile.examples.forEach((example, i) => lines.push(`Example ${i + 1}:\n"""\n${example}\n"""`));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Check the generated article against the brand voice.
+ *
+ * Banned terms with a replacement, preferred terminology and product name casing are
+ * fixed in place when `autoFix` is on; banned terms without a replacement are only
+ * flagged. Oxford comma usage is left to the prompt: telling a list from an introductory
+ * clause ("In 2024, sales and support grew") takes more than a pattern. Returns the
+ * article with fixes applied and a report of every violation.
+ */
+export function lintBrandVoice(article, profile, options = {}) {
+    const { autoFix = true } = options;
+    const issues = new Map();
+    const fixed = { ...article };
+
+    const record = (issue, context) => {
+        const key = `${issue.rule}|${issue.field}|${issue.found}`;
+        if (issues.has(key)) {
+            issues.get(key).count++;
+        } else {
+            issues.set(key, { ...issue, count: 1, context });
+        }
+    };
+
+    const lintText = (text, field) => {
+        let result = text;
+
+        for (const [rule, entries] of [['bannedTerm', profile.bannedTerms], ['preferredTerm', profile.preferredTerms]]) {
+            for (const { term, replacement } of entries) {
+                result = result.replace(phrasePattern(term), (match, offset, whole) => {
+                    const fix = replacement === null ? null : matchCase(match, replacement);
+                    record({ rule, field, found: match, replacement: fix, fixed: autoFix && fix !== null }, contextAround(whole, offset, match.length));
+                    return autoFix && fix !== null ? fix : match;
+                });
+            }
+        }
+
+        for (const name of profile.productNames) {
+            result = result.replace(phrasePattern(name), (match, offset, whole) => {
+                if (match === name) return match;
+                record({ rule: 'productCasing', field, found: match, replacement: name, fixed: autoFix }, contextAround(whole, offset, match.length));
+                return autoFix ? name : match;
+            });
+        }
+
+        return result;
+    };
+
+    for (const field of TEXT_FIELDS) {
+        if (typeof fixed[field] === 'string' && fixed[field]) fixed[field] = lintText(fixed[field], field);
+    }
+    for (const field of HTML_FIELDS) {
+        if (typeof fixed[field] === 'string' && fixed[field]) fixed[field] = lintHtml(fixed[field], text => lintText(text, field));
+    }
+
+    const allIssues = [...issues.values()];
+    return {
+        article: fixed,
+        report: {
+            profile: profile.id,
+            name: profile.name,
+            autoFix,
+            passed: allIssues.every(issue => issue.fixed),
+            fixedCount: allIssues.filter(issue => issue.fixed).reduce((sum, issue) => sum + issue.count, 0),
+            flaggedCount: allIssues.filter(issue => !issue.fixed).reduce((sum, issue) => sum + issue.count, 0),
+            issues: allIssues
+        }
+    };
+}
+
+/**
+ * Run a text transform over the text between tags, skipping code and other verbatim elements
+ */
+function lintHtml(html, transform) {
+    let verbatimDepth = 0;
+
+    return html.split(/(<[^>]+>)/).map(part => {
+        const tag = part.match(/^<(\/?)([a-zA-Z][a-zA-Z0-9]*)/);
+        if (tag) {
+            if (VERBATIM_TAGS.has(tag[2].toLowerCase()) && !part.endsWith('/>')) {
+                verbatimDepth = Math.max(0, verbatimDepth + (tag[1] ? -1 : 1));
+            }
+            return part;
+        }
+        if (part.startsWith('<') || verbatimDepth > 0 || !part.trim()) return part;
+        return transform(part);
+    }).join('');
+}
+
+/**
+ * Carry the capitalization of the replaced word over to its replacement
+ */
+function matchCase(original, replacement) {
+    if (!replacement) return replacement;
+    if (original.length > 1 && original === original.toUpperCase() && original !== original.toLowerCase()) {
+        return replacement.toUpperCase();
+    }
+    if (original[0] !== original[0].toLowerCase()) {
+        return replacement[0].toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+}
+
+function contextAround(text, offset, length) {
+    const start = Math.max(0, offset - 40);
+    const end = Math.min(text.length, offset + length + 40);
+    return `${start > 0 ? '...' : ''}${text.slice(start, end).replace(/\s+/g, ' ').trim()}${end < text.length ? '...' : ''}`;
+}
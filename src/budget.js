@@ -0,0 +1,224 @@
+import { getTextPricing, getImagePricing } from './pricing.js';
+import { getModel, listModels } from './models.js';
+import { usesOutline } from './article.js';
+import { ARTICLE_SOURCES_CHARS, SECTION_SOURCES_CHARS } from './sources.js';
+
+// Rough prompt and response sizes for the pre-flight estimate. Article HTML takes
+// about 1.8 tokens per word including markup; other text about 4 characters per token.
+const TOKENS_PER_WORD = 1.8;
+const CHARS_PER_TOKEN = 4;
+
+// Instructions, requirements and JSON format of one writing prompt
+const PROMPT_TOKENS = 1200;
+
+// Outline plan and the title, meta description, summary, references and CTA
+const OUTLINE_TOKENS = 600;
+const EXTRAS_TOKENS = 800;
+
+// Words per section call, and the already written text each section call sees
+const SECTION_WORDS = 400;
+const SECTION_CONTEXT_TOKENS = 2000;
+
+// Article excerpt the finishing call sees (FINISHING_CONTEXT_CHARS in article.js)
+const FINISHING_CONTEXT_TOKENS = 3000;
+
+// FAQ and social call: its instructions and article excerpt, and the FAQ answers and posts
+const SOCIAL_PROMPT_TOKENS = 2800;
+const SOCIAL_TOKENS = 1000;
+
+// Headline variant call: its instructions and article excerpt (HEADLINE_CONTEXT_CHARS in headlines.js), and each variant
+const HEADLINE_PROMPT_TOKENS = 1400;
+const TOKENS_PER_HEADLINE = 80;
+
+// Share of the writing cost set aside for quality revision rounds
+const REVISION_SHARE = 0.25;
+
+// Image prompt call: its instructions plus the prompt, alt text and caption of each image
+const IMAGE_PROMPT_TOKENS = 600;
+const TOKENS_PER_IMAGE_PROMPT = 120;
+
+// Translations come out somewhat longer than their source
+const TRANSLATION_EXPANSION = 1.3;
+
+/**
+ * Estimate what an article will cost before any model is called, from the target word
+ * count, the size of the sources and existing article in the prompts, the images and the
+ * translations. Returns the cost per stage in USD and the models without a known price.
+ */
+export function estimateArticleCost(options) {
+    const {
+        wordCount,
+        generationMode = 'auto',
+        maxRevisionRounds = 2,
+        writingModel,
+        includeImages = true,
+        numberOfImages = 0,
+        imageModel,
+        imagePromptModel = writingModel,
+        translationLanguages = [],
+        sourceChars = 0,
+        existingWords = 0,
+        socialContent = false,
+        headlineVariants = 0
+    } = options;
+
+    const articleTokens = wordCount * TOKENS_PER_WORD;
+    let promptTokens;
+    let completionTokens;
+
+    // Outline-first and refresh runs make a plan call, one call per section and a finishing call
+    if (existingWords > 0 || usesOutline(generationMode, wordCount)) {
+        const sections = Math.ceil(wordCount / SECTION_WORDS);
+        const sourceTokens = Math.min(sourceChars, SECTION_SOURCES_CHARS) / CHARS_PER_TOKEN;
+        promptTokens = (sections + 2) * PROMPT_TOKENS
+            + sections * (SECTION_CONTEXT_TOKENS + sourceTokens)
+            + existingWords * TOKENS_PER_WORD
+            + FINISHING_CONTEXT_TOKENS;
+        completionTokens = articleTokens + OUTLINE_TOKENS + EXTRAS_TOKENS;
+    } else {
+        promptTokens = PROMPT_TOKENS + Math.min(sourceChars, ARTICLE_SOURCES_CHARS) / CHARS_PER_TOKEN;
+        completionTokens = articleTokens + EXTRAS_TOKENS;
+    }
+
+    const revisionFactor = maxRevisionRounds > 0 ? 1 + REVISION_SHARE : 1;
+    const writing = textCost(
+        writingModel,
+        promptTokens * revisionFactor
+            + (socialContent ? SOCIAL_PROMPT_TOKENS : 0)
+            + (headlineVariants > 0 ? HEADLINE_PROMPT_TOKENS : 0),
+        completionTokens * revisionFactor
+            + (socialContent ? SOCIAL_TOKENS : 0)
+            + headlineVariants * TOKENS_PER_HEADLINE
+    );
+    const images = includeImages && numberOfImages > 0
+        ? estimateImageCost({ numberOfImages, imageModel, imagePromptModel })
+        : { cost: 0, unpricedModels: [] };
+    const translation = estimateTranslationCost({ wordCount, writingModel });
+    const translations = translation.cost * translationLanguages.length;
+
+    return {
+        writing: writing.cost,
+        images: images.cost,
+        translations,
+        total: writing.cost + images.cost + translations,
+        unpricedModels: [...new Set([
+            ...writing.unpricedModels,
+            ...images.unpricedModels,
+            ...(translationLanguages.length > 0 ? translation.unpricedModels : [])
+        ])]
+    };
+}
+
+/**
+ * Estimated cost of the image stage: the image prompt call plus every image
+ */
+export function estimateImageCost(options) {
+    const { numberOfImages, imageModel, imagePromptModel } = options;
+
+    const prompts = textCost(imagePromptModel, IMAGE_PROMPT_TOKENS, numberOfImages * TOKENS_PER_IMAGE_PROMPT);
+    const pricing = getImagePricing(imageModel);
+
+    return {
+        cost: prompts.cost + numberOfImages * pricing.perImage,
+        unpricedModels: [...prompts.unpricedModels, ...(pricing.estimated ? [imageModel] : [])]
+    };
+}
+
+/**
+ * Estimated cost of translating an article of `wordCount` words into one language
+ */
+export function estimateTranslationCost(options) {
+    const { wordCount, writingModel } = options;
+
+    const articleTokens = wordCount * TOKENS_PER_WORD;
+    const calls = Math.ceil(wordCount / SECTION_WORDS) + 1;
+
+    return textCost(writingModel, articleTokens + calls * PROMPT_TOKENS, articleTokens * TRANSLATION_EXPANSION + EXTRAS_TOKENS);
+}
+
+/**
+ * Characters of source text the prompts will see. Inline text is measured; sources that are
+ * fetched or read from a record count as large enough to fill the prompt's source budget.
+ */
+export function estimateSourceChars(sources = []) {
+    const chars = sources.reduce((sum, source) => {
+        const inline = typeof source === 'string'
+            ? (/^https?:\/\/\S+$/.test(source.trim()) ? null : source)
+            : source?.text ?? source?.html ?? source?.markdown ?? null;
+        return sum + (typeof inline === 'string' ? inline.length : ARTICLE_SOURCES_CHARS);
+    }, 0);
+    return Math.min(chars, ARTICLE_SOURCES_CHARS);
+}
+
+/**
+ * Fit the article into `maxBudgetUsd` before it is generated. When the estimate is over
+ * the budget the image model is switched to the cheapest registered one that supports the
+ * image size (if allowed), then images are dropped one by one. Returns the settings to use,
+ * the adjustments made, the final estimate and whether it fits; a run that does not fit
+ * should not be started.
+ */
+export function planBudget(options) {
+    const { maxBudgetUsd = null, canChangeImageModel = false } = options;
+
+    const plan = {
+        includeImages: options.includeImages && options.numberOfImages > 0,
+        numberOfImages: options.numberOfImages,
+        imageModel: options.imageModel
+    };
+    const adjustments = [];
+    const estimate = () => estimateArticleCost({ ...options, ...plan });
+    const overBudget = () => maxBudgetUsd !== null && estimate().total > maxBudgetUsd;
+
+    const cheapest = cheapestImageModel(options.imageSize);
+    if (overBudget() && plan.includeImages && canChangeImageModel
+        && cheapest && getImagePricing(cheapest).perImage < getImagePricing(plan.imageModel).perImage) {
+        adjustments.push({ setting: 'imageModel', from: plan.imageModel, to: cheapest, reason: 'pre-flight estimate' });
+        plan.imageModel = cheapest;
+    }
+
+    const requestedImages = plan.includeImages ? plan.numberOfImages : 0;
+    while (overBudget() && plan.includeImages) {
+        if (plan.numberOfImages > 1) {
+            plan.numberOfImages--;
+        } else {
+            plan.includeImages = false;
+            plan.numberOfImages = 0;
+        }
+    }
+    const plannedImages = plan.includeImages ? plan.numberOfImages : 0;
+    if (plannedImages < requestedImages) {
+        adjustments.push({ setting: 'numberOfImages', from: requestedImages, to: plannedImages, reason: 'pre-flight estimate' });
+    }
+
+    return {
+        ...plan,
+        adjustments,
+        estimate: estimate(),
+        withinBudget: !overBudget()
+    };
+}
+
+/**
+ * The largest number of images, up to `numberOfImages`, whose estimated cost fits in `budget`
+ */
+export function affordableImageCount(options, budget) {
+    let count = options.numberOfImages;
+    while (count > 0 && estimateImageCost({ ...options, numberOfImages: count }).cost > budget) {
+        count--;
+    }
+    return count;
+}
+
+function textCost(model, promptTokens, completionTokens) {
+    const pricing = getTextPricing(model);
+    return {
+        cost: (promptTokens / 1000000) * pricing.input + (completionTokens / 1000000) * pricing.output,
+        unpricedModels: pricing.estimated ? [model] : []
+    };
+}
+
+function cheapestImageModel(imageSize) {
+    return listModels('image')
+        .filter(id => !imageSize || getModel(id).imageSizes.includes(imageSize))
+        .sort((a, b) => getImagePricing(a).perImage - getImagePricing(b).perImage)[0];
+}
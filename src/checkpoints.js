@@ -0,0 +1,73 @@
+import { createHash } from 'node:crypto';
+import { Actor } from 'apify';
+
+// Stages saved for an article, in pipeline order
+export const CHECKPOINT_STAGES = ['outline', 'draft', 'article', 'headlines', 'social', 'images', 'translations', 'published', 'done'];
+
+/**
+ * Open the checkpoint of one article in the default key-value store.
+ *
+ * Finished stages (outline and written sections, draft, quality-checked article, headline
+ * variants, FAQ and social posts, images, translations, publishing) are saved as they complete, so a migrated
+ * or resurrected run continues from the last one instead of paying for it again. The key is derived from the
+ * article's position and input, so a changed input starts over.
+ */
+export async function openCheckpoint(article, index, options = {}) {
+    const { enabled = true } = options;
+
+    const key = `CHECKPOINT-${index + 1}-${inputHash(article)}`;
+    const saved = enabled ? await Actor.getValue(key) : null;
+    const data = saved && typeof saved === 'object' ? saved : {};
+
+    return {
+        key,
+        data,
+        resumedStages: CHECKPOINT_STAGES.filter(stage => data[stage] !== undefined),
+
+        /**
+         * A copy of a saved stage, or undefined when the stage has not been saved
+         */
+        restore(stage) {
+            return data[stage] === undefined ? undefined : structuredClone(data[stage]);
+        },
+
+        /**
+         * Merge finished stages into the checkpoint and store it. Stages are copied, so
+         * later changes to the saved objects don't leak into the checkpoint.
+         */
+        async save(stages) {
+            Object.assign(data, JSON.parse(JSON.stringify(stages)));
+            if (enabled) await Actor.setValue(key, data);
+        },
+
+        /**
+         * Replace the stages with the article's result once it is in the dataset,
+         * so a resumed run skips it
+         */
+        async complete(result) {
+            for (const stage of Object.keys(data)) delete data[stage];
+            await this.save({ done: result });
+        }
+    };
+}
+
+/**
+ * Restore a run-level result saved for the same input (such as the plan of a topic
+ * cluster), or create and save it. Articles planned from a restored result keep their
+ * input, so their own checkpoints still match.
+ */
+export async function restoreOrCreate(name, input, create, options = {}) {
+    const { enabled = true } = options;
+
+    const key = `${name}-${inputHash(input)}`;
+    const saved = enabled ? await Actor.getValue(key) : null;
+    if (saved !== null && saved !== undefined) return { value: saved, restored: true };
+
+    const value = await create();
+    if (enabled) await Actor.setValue(key, value);
+    return { value, restored: false };
+}
+
+function inputHash(input) {
+    return createHash('sha256').update(JSON.stringify(input)).digest('hex').slice(0, 16);
+}
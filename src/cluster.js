@@ -0,0 +1,255 @@
+import { createUsageTracker } from './pricing.js';
+import { parseStructuredOutput } from './structured-output.js';
+import { suggestSlug } from './seo.js';
+import { formatLanguagePrompt, isEnglish } from './language.js';
+
+// Keywords per planned article; more than a handful can't all reach their density
+const MAX_KEYWORDS_PER_ARTICLE = 4;
+
+const CLUSTER_SCHEMA = {
+    pillar: 'object',
+    spokes: 'array',
+    relatedHeading: 'string?'
+};
+
+/**
+ * Plan a topic cluster from a seed topic and keywords in one call: a pillar article with
+ * the broad overview and `spokeCount` supporting "spoke" articles that each go deep on one
+ * subtopic. Every keyword is assigned to one article only (assignClusterKeywords).
+ */
+export async function planTopicCluster(options) {
+    const {
+        topic,
+        keywords,
+        spokeCount,
+        targetAudience = 'general readers',
+        language,
+        industryContext = null,
+        writingModel,
+        provider
+    } = options;
+
+    const tracker = createUsageTracker(writingModel);
+    const { track } = tracker;
+
+    const result = await provider.generateText(
+        buildClusterPrompt({ topic, keywords, spokeCount, targetAudience, language, industryContext }),
+        { model: writingModel, maxTokens: 400 + spokeCount * 200, task: 'cluster' }
+    );
+    track(result);
+    const data = await parseStructuredOutput(result, {
+        schema: CLUSTER_SCHEMA,
+        label: 'topic cluster plan',
+        provider,
+        model: writingModel,
+        track
+    });
+
+    const pillar = {
+        topic: text(data.pillar.topic) || topic,
+        angle: text(data.pillar.angle),
+        keywords: strings(data.pillar.keywords)
+    };
+    const spokes = data.spokes
+        .filter(spoke => text(spoke?.topic))
+        .map(spoke => ({ topic: text(spoke.topic), angle: text(spoke.angle), keywords: strings(spoke.keywords) }));
+
+    return {
+        topic,
+        keywords,
+        ...assignClusterKeywords(pillar, spokes, keywords, spokeCount),
+        relatedHeading: text(data.relatedHeading) || null,
+        usage: tracker.usage,
+        cost: tracker.cost,
+        ledger: tracker.ledger
+    };
+}
+
+/**
+ * Give every keyword to one article only, so the cluster's articles don't compete for the
+ * same searches. The pillar leads with the primary seed keyword and takes the seed keywords
+ * no spoke was given; spokes repeating another article's topic or left without a keyword
+ * are dropped, and at most `spokeCount` are kept.
+ */
+export function assignClusterKeywords(pillar, spokes, seedKeywords, spokeCount) {
+    const used = new Set();
+    const topics = new Set([normalize(pillar.topic)]);
+    const claim = (keywords) => {
+        const claimed = [];
+        for (const keyword of keywords) {
+            const key = normalize(keyword);
+            if (!key || used.has(key) || claimed.length >= MAX_KEYWORDS_PER_ARTICLE) continue;
+            used.add(key);
+            claimed.push(keyword);
+        }
+        return claimed;
+    };
+
+    const plannedPillar = { ...pillar, keywords: claim([seedKeywords[0], ...pillar.keywords]) };
+    const plannedSpokes = [];
+    for (const spoke of spokes) {
+        if (plannedSpokes.length >= spokeCount || topics.has(normalize(spoke.topic))) continue;
+        const keywords = claim(spoke.keywords);
+        if (keywords.length === 0) continue;
+        topics.add(normalize(spoke.topic));
+        plannedSpokes.push({ ...spoke, keywords });
+    }
+
+    const unassigned = seedKeywords.filter(keyword => !used.has(normalize(keyword)));
+    plannedPillar.keywords.push(...unassigned);
+
+    return { pillar: plannedPillar, spokes: plannedSpokes };
+}
+
+/**
+ * Lay out a planned cluster: node ids, unique slugs, the path (and with `siteUrl` the URL)
+ * of every article, and the links between the pillar and each spoke. A link's anchor text
+ * is the primary keyword of the article it points to.
+ */
+export function buildClusterMap(plan, options = {}) {
+    const { siteUrl = null } = options;
+
+    const base = siteUrl ? siteUrl.replace(/\/+$/, '') : '';
+    const basePath = siteUrl ? new URL(siteUrl).pathname.replace(/\/+$/, '') : '';
+    const slugs = new Set();
+
+    const nodes = [
+        { id: 'pillar', role: 'pillar', ...plan.pillar },
+        ...plan.spokes.map((spoke, i) => ({ id: `spoke-${i + 1}`, role: 'spoke', ...spoke }))
+    ].map(node => {
+        const baseSlug = suggestSlug(node.topic, node.keywords) || node.id;
+        let slug = baseSlug;
+        for (let n = 2; slugs.has(slug); n++) slug = `${baseSlug}-${n}`;
+        slugs.add(slug);
+        return { ...node, slug, path: `${basePath}/${slug}`, url: siteUrl ? `${base}/${slug}` : null };
+    });
+
+    const [pillar, ...spokes] = nodes;
+    const links = spokes.flatMap(spoke => [
+        { from: pillar.id, to: spoke.id, anchorText: spoke.keywords[0] },
+        { from: spoke.id, to: pillar.id, anchorText: pillar.keywords[0] }
+    ]);
+
+    return { topic: plan.topic, keywords: plan.keywords, nodes, links, relatedHeading: plan.relatedHeading };
+}
+
+/**
+ * The article inputs of a cluster: the seed input's settings with each node's topic,
+ * keywords, slug and internal links, and a brief of its place in the cluster
+ */
+export function clusterArticleInputs(map, defaults) {
+    const nodesById = new Map(map.nodes.map(node => [node.id, node]));
+
+    return map.nodes.map(node => ({
+        ...defaults,
+        topic: node.topic,
+        keywords: node.keywords,
+        slug: node.slug,
+        industryContext: [defaults.industryContext, clusterBrief(node, map)].filter(Boolean).join('\n'),
+        internalLinks: map.links
+            .filter(link => link.from === node.id)
+            .map(link => {
+                const target = nodesById.get(link.to);
+                return { url: target.path, anchorText: link.anchorText, title: target.topic };
+            }),
+        ...(map.relatedHeading ? { internalLinksHeading: map.relatedHeading } : {}),
+        cluster: { id: node.id, role: node.role }
+    }));
+}
+
+/**
+ * The cluster map dataset item: every article of the cluster with its outcome, and every
+ * link with where it was placed (results are in the order of the map's nodes)
+ */
+export function buildClusterReport(map, plan, results) {
+    const nodes = map.nodes.map((node, i) => ({
+        id: node.id,
+        role: node.role,
+        topic: node.topic,
+        title: results[i].title ?? null,
+        angle: node.angle,
+        keywords: node.keywords,
+        slug: results[i].slug ?? node.slug,
+        path: node.path,
+        url: node.url,
+        batchIndex: i,
+        status: results[i].status,
+        error: results[i].error ?? null
+    }));
+
+    const links = map.links.map(link => {
+        const source = results[map.nodes.findIndex(node => node.id === link.from)];
+        const target = map.nodes.find(node => node.id === link.to);
+        const placed = source.internalLinks?.find(entry => entry.url === target.path);
+        return { ...link, url: target.url ?? target.path, placement: placed?.placement ?? null };
+    });
+
+    const succeeded = nodes.filter(node => node.status === 'succeeded').length;
+    const cost = plan.cost + results.reduce((sum, result) => sum + result.cost, 0);
+
+    return {
+        type: 'topicCluster',
+        status: succeeded === nodes.length ? 'succeeded' : succeeded > 0 ? 'partial' : 'failed',
+        topic: map.topic,
+        keywords: map.keywords,
+        nodes,
+        links,
+        planningCost: parseFloat(plan.cost.toFixed(6)),
+        cost: parseFloat(cost.toFixed(6)),
+        costLedger: plan.ledger.map(entry => ({ stage: 'clusterPlan', ...entry, cost: parseFloat(entry.cost.toFixed(6)) })),
+        generatedAt: new Date().toISOString()
+    };
+}
+
+function clusterBrief(node, map) {
+    const [pillar, ...spokes] = map.nodes;
+    const others = spokes.filter(spoke => spoke !== node).map(spoke => `"${spoke.topic}"`).join(', ');
+    // Mentions of the anchor texts become the internal links, so the text should contain them
+    const anchors = map.links.filter(link => link.from === node.id).map(link => `"${link.anchorText}"`).join(', ');
+    const mentions = anchors ? ` Mention ${anchors} in the running text where it fits naturally.` : '';
+
+    if (node.role === 'pillar') {
+        return `This is the pillar article of a topic cluster on "${map.topic}": ${node.angle || 'a broad overview of the topic'}. Introduce every subtopic briefly and leave the details to the cluster's in-depth articles${others ? `: ${others}` : ''}.${mentions}`;
+    }
+    return `This is a supporting article in a topic cluster on "${map.topic}": ${node.angle || `an in-depth look at ${node.topic}`}. Go deep on this subtopic only; the pillar article "${pillar.topic}" gives the overview${others ? ` and other articles cover ${others}` : ''}.${mentions}`;
+}
+
+function buildClusterPrompt(options) {
+    const { topic, keywords, spokeCount, targetAudience, language, industryContext } = options;
+
+    const industryText = industryContext ? `\nIndustry/Context: ${industryContext}` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+
+    return `Plan a topic cluster of blog articles for ${targetAudience}: one pillar article and ${spokeCount} supporting spoke articles.
+
+Topic: "${topic}"
+Keywords: ${keywords.join(', ')}${industryText}
+
+Requirements:
+- Pillar: the broad, comprehensive guide to the topic. Its primary keyword is "${keywords[0]}".
+- Spokes: ${spokeCount} articles that each go deep on one distinct subtopic a reader of the pillar would want next. No two spokes may cover the same ground.
+- Give every article 2-${MAX_KEYWORDS_PER_ARTICLE} SEO keywords, most important first. No keyword may be used by two articles; give the remaining seed keywords to the spokes they fit best and add specific long-tail keywords.
+- The angle says in one sentence what the article covers and what it leaves to the others.
+- Related heading: the heading of a short "Related Articles" list, in the articles' language.
+${languageText}
+Return the result in this exact JSON format:
+{
+    "pillar": {"topic": "Pillar article topic", "angle": "What it covers", "keywords": ["${keywords[0]}", "keyword"]},
+    "spokes": [{"topic": "Spoke article topic", "angle": "What it covers", "keywords": ["keyword", "keyword"]}],
+    "relatedHeading": "Related Articles"
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+function text(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function strings(value) {
+    return Array.isArray(value) ? value.map(text).filter(Boolean) : [];
+}
+
+function normalize(value) {
+    return text(value).toLowerCase().replace(/\s+/g, ' ');
+}
@@ -0,0 +1,151 @@
+import { createUsageTracker } from './pricing.js';
+import { parseStructuredOutput } from './structured-output.js';
+import { scoreHeadline } from './seo.js';
+import { formatBrandVoicePrompt, lintBrandVoice } from './brand-voice.js';
+import { formatLanguagePrompt, isEnglish } from './language.js';
+
+// Variant styles, used in turn when more variants than styles are requested
+export const HEADLINE_STYLES = ['how-to', 'listicle', 'question', 'data-led'];
+
+const STYLE_DESCRIPTIONS = {
+    'how-to': 'a "How to ..." title promising a practical outcome',
+    listicle: 'a numbered list title ("7 Ways to ...") whose number matches the article',
+    question: 'a question the reader is asking, answered by the article',
+    'data-led': 'a title led by a concrete figure, result or finding from the article'
+};
+
+// How much of the article text (in characters) the headline call sees
+const HEADLINE_CONTEXT_CHARS = 3000;
+
+const HEADLINES_SCHEMA = {
+    variants: 'array'
+};
+
+/**
+ * Write `count` title and meta description variants of a finished article in different
+ * styles, score them together with the article's own title (scoreHeadline) and rank them.
+ * The best variant comes first and has `selected: true`; the rest are kept for A/B tests.
+ * With a brand voice, the variants get its terminology fixes before they are scored.
+ */
+export async function generateHeadlineVariants(article, options) {
+    const {
+        topic,
+        keywords,
+        targetAudience,
+        tone,
+        brandVoice = null,
+        brandVoiceAutoFix = true,
+        language,
+        count,
+        writingModel,
+        provider
+    } = options;
+
+    const tracker = createUsageTracker(writingModel);
+    const { track } = tracker;
+    const styles = Array.from({ length: count }, (_, i) => HEADLINE_STYLES[i % HEADLINE_STYLES.length]);
+
+    const result = await provider.generateText(
+        buildHeadlinesPrompt({ article, topic, keywords, targetAudience, tone, brandVoice, language, styles }),
+        { model: writingModel, maxTokens: 200 + count * 150, task: 'headlines' }
+    );
+    track(result);
+    const data = await parseStructuredOutput(result, {
+        schema: HEADLINES_SCHEMA,
+        label: 'Headline variants',
+        provider,
+        model: writingModel,
+        track
+    });
+
+    const written = data.variants
+        .filter(variant => typeof variant?.title === 'string' && variant.title.trim()
+            && typeof variant.metaDescription === 'string' && variant.metaDescription.trim())
+        .slice(0, count)
+        .map((variant, i) => {
+            const headline = { title: variant.title.trim(), metaDescription: variant.metaDescription.trim() };
+            const { title, metaDescription } = brandVoice && brandVoiceAutoFix
+                ? lintBrandVoice(headline, brandVoice).article
+                : headline;
+            return { style: HEADLINE_STYLES.includes(variant.style) ? variant.style : styles[i], title, metaDescription };
+        });
+
+    return {
+        variants: rankHeadlines([
+            { style: 'original', title: article.title, metaDescription: article.metaDescription },
+            ...written
+        ], keywords),
+        usage: tracker.usage,
+        cost: tracker.cost,
+        ledger: tracker.ledger
+    };
+}
+
+/**
+ * Score title and meta description pairs and sort them best first. Ties keep their
+ * order, so the article's own title wins a tie when it is listed first. Variants with
+ * a title another variant already has are dropped.
+ */
+export function rankHeadlines(candidates, keywords) {
+    const seen = new Set();
+
+    return candidates
+        .filter(candidate => {
+            const key = candidate.title.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(candidate => {
+            const { score, checks, meta } = scoreHeadline({ ...candidate, keywords });
+            return {
+                ...candidate,
+                score,
+                titleCharacters: meta.title.characters,
+                titlePixels: meta.title.pixels,
+                metaDescriptionCharacters: meta.description.characters,
+                metaDescriptionPixels: meta.description.pixels,
+                checks
+            };
+        })
+        .sort((a, b) => b.score - a.score)
+        .map((variant, i) => ({ rank: i + 1, selected: i === 0, ...variant }));
+}
+
+function buildHeadlinesPrompt(options) {
+    const { article, topic, keywords, targetAudience, tone, brandVoice, language, styles } = options;
+
+    const text = article.contentHTML.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    const articleText = text.length > HEADLINE_CONTEXT_CHARS ? `${text.slice(0, HEADLINE_CONTEXT_CHARS)}...` : text;
+    const headings = [...article.contentHTML.matchAll(/<h2[^>]*>([\s\S]*?)<\/h2>/gi)]
+        .map(match => match[1].replace(/<[^>]*>/g, '').trim())
+        .filter(Boolean);
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice)}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+
+    return `You have written this blog article for ${targetAudience} in a ${tone} tone. Write alternative titles and meta descriptions to A/B test against the current ones.
+
+Topic: "${topic}"
+Keywords: ${keywords.join(', ')}
+Current title: "${article.title}"
+Current meta description: "${article.metaDescription}"
+Sections: ${headings.join(' | ')}
+
+ARTICLE:
+${articleText}
+
+Write ${styles.length} variants, one for each style below, in this order:
+${styles.map((style, i) => `${i + 1}. ${style}: ${STYLE_DESCRIPTIONS[style]}`).join('\n')}
+
+Every variant:
+- Title of 30-60 characters with the primary keyword "${keywords[0]}", ideally near the start
+- Meta description of 120-160 characters that mentions "${keywords[0]}" and gives a reason to click
+- Only promises what the article delivers; no clickbait
+${languageText}${brandVoiceText}
+Return the result in this exact JSON format:
+{
+    "variants": [{"style": "${styles[0]}", "title": "Title", "metaDescription": "Meta description"}]
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
@@ -0,0 +1,50 @@
+import { countTextWords } from './language.js';
+
+/**
+ * Extract headings from HTML
+ */
+export function extractHeadings(html) {
+    const headings = [];
+    const headingRegex = /<h[23][^>]*>(.*?)<\/h[23]>/gi;
+    let match;
+
+    while ((match = headingRegex.exec(html)) !== null) {
+        const heading = match[1].replace(/<[^>]*>/g, '').trim();
+        headings.push(heading);
+    }
+
+    return headings;
+}
+
+/**
+ * Count words in HTML content (characters for Chinese and Japanese, see countTextWords)
+ */
+export function countWords(html) {
+    return countTextWords(html.replace(/<[^>]*>/g, ' '));
+}
+
+/**
+ * Turn a heading into an anchor slug. Accents are dropped from Latin letters (é -> e);
+ * letters of other scripts are kept, so non-Latin headings get readable anchors.
+ */
+export function slugify(text) {
+    return String(text)
+        .normalize('NFKC')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+        .normalize('NFC')
+        .replace(/[^\p{L}\p{N}\p{M}]+/gu, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Escape text for use inside HTML
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
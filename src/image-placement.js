@@ -0,0 +1,168 @@
+import { escapeHtml } from './html.js';
+import { injectHeadingAnchors } from './toc.js';
+
+// Words too common to say anything about which section an image belongs to
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'into', 'is', 'it',
+    'of', 'on', 'or', 'that', 'the', 'to', 'with', 'your', 'you', 'what', 'why', 'professional',
+    'image', 'illustration', 'style', 'photo', 'editorial', 'modern', 'clean', 'high', 'quality'
+]);
+
+// Alt text longer than this is cut off by many screen readers
+const MAX_ALT_LENGTH = 125;
+
+/**
+ * Place generated images into the article.
+ *
+ * The first image becomes the hero image at the top of the article. Every other image
+ * goes into the H2 section it matches best (the model's suggested section counts most),
+ * at most one per section, right after the section's first paragraph.
+ * H2s without an id get one so each image can point at its section anchor.
+ */
+export function placeImages(contentHTML, images, options = {}) {
+    const { keywords = [] } = options;
+
+    if (images.length === 0) {
+        return { contentHTML, images: [] };
+    }
+
+    const { html, headings: sections } = injectHeadingAnchors(contentHTML, { depth: 1 });
+
+    const placed = images.map((image, i) => ({
+        ...image,
+        alt: buildAltText(image, keywords),
+        caption: (image.caption || '').trim(),
+        placement: i === 0 ? 'hero' : null,
+        anchor: null,
+        heading: null
+    }));
+
+    // Best-matching free section for each remaining image, in order.
+    // Ties (e.g. no shared words) go to the section closest to an even spread.
+    const used = new Set();
+    const sectionImages = placed.slice(1);
+    sectionImages.forEach((image, i) => {
+        const ideal = Math.round((i + 1) * sections.length / (sectionImages.length + 1));
+        const ranked = sections
+            .map((section, index) => ({ section, score: scoreSection(section, image), spread: Math.abs(index - ideal) }))
+            .filter(({ section }) => !used.has(section.anchor))
+            .sort((a, b) => b.score - a.score || a.spread - b.spread);
+
+        if (ranked.length === 0) return;
+
+        const { section } = ranked[0];
+        used.add(section.anchor);
+        Object.assign(image, { placement: 'section', anchor: section.anchor, heading: section.heading });
+    });
+
+    // Insert from the end of the document so earlier offsets stay valid
+    let result = html;
+    const insertions = placed
+        .filter(image => image.placement === 'section')
+        .map(image => ({ image, position: sectionInsertPosition(result, sections.find(section => section.anchor === image.anchor)) }))
+        .sort((a, b) => b.position - a.position);
+
+    for (const { image, position } of insertions) {
+        result = `${result.slice(0, position)}\n${renderFigure(image)}\n${result.slice(position)}`;
+    }
+
+    if (placed[0].placement === 'hero') {
+        result = `${renderFigure(placed[0])}\n${result}`;
+    }
+
+    // Images without a free section stay in the output but not in the body
+    placed.filter(image => image.placement === null).forEach(image => {
+        image.placement = 'unplaced';
+    });
+
+    return { contentHTML: result, images: placed };
+}
+
+/**
+ * Render an image as a <figure> with alt text, caption and responsive sources
+ */
+export function renderFigure(image) {
+    const variants = Object.values(image.variants || {}).filter(variant => variant.url && variant.width);
+    const srcset = variants.length > 1
+        ? ` srcset="${variants.map(variant => `${escapeHtml(variant.url)} ${variant.width}w`).join(', ')}"`
+        : '';
+    const dimensions = image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '';
+
+    // The hero is above the fold, so only section images are lazy-loaded
+    const loading = image.placement === 'hero' ? '' : ' loading="lazy"';
+    const className = image.placement === 'hero' ? 'article-image hero-image' : 'article-image';
+    const caption = image.caption ? `\n  <figcaption>${escapeHtml(image.caption)}</figcaption>` : '';
+
+    return `<figure class="${className}">
+  <img src="${escapeHtml(image.url)}"${srcset} alt="${escapeHtml(image.alt)}"${dimensions}${loading}>${caption}
+</figure>`;
+}
+
+/**
+ * Offset right after the first paragraph of a section, or right after its heading
+ */
+function sectionInsertPosition(html, section) {
+    const headingRegex = new RegExp(`<h2[^>]*\\sid=["']${escapeRegExp(section.anchor)}["'][^>]*>[\\s\\S]*?<\\/h2>`, 'i');
+    const heading = headingRegex.exec(html);
+    const headingEnd = heading.index + heading[0].length;
+
+    const rest = html.slice(headingEnd);
+    const nextHeading = rest.search(/<h2[\s>]/i);
+    const sectionBody = nextHeading === -1 ? rest : rest.slice(0, nextHeading);
+    const firstParagraphEnd = sectionBody.search(/<\/p>/i);
+
+    return firstParagraphEnd === -1 ? headingEnd : headingEnd + firstParagraphEnd + '</p>'.length;
+}
+
+/**
+ * How well an image matches a section: the model's suggested heading counts most,
+ * then shared words between the heading and the image's alt text and prompt
+ */
+function scoreSection(section, image) {
+    const headingWords = tokenize(section.heading);
+    if (headingWords.size === 0) return 0;
+
+    const hint = (image.section || '').trim().toLowerCase();
+    let score = hint && hint === section.heading.toLowerCase() ? 100 : 0;
+
+    const overlap = (text, weight) => {
+        const words = tokenize(text);
+        headingWords.forEach(word => {
+            if (words.has(word)) score += weight;
+        });
+    };
+    overlap(image.section, 3);
+    overlap(image.alt, 2);
+    overlap(image.prompt, 1);
+
+    return score / headingWords.size;
+}
+
+/**
+ * Use the model's alt text, or derive one from the prompt, and keep it short
+ */
+function buildAltText(image, keywords) {
+    let alt = (image.alt || '').trim();
+
+    if (!alt) {
+        // First clause of the prompt usually names the subject
+        alt = (image.prompt || '').split(/[,.;]/)[0].trim();
+        const keyword = keywords.find(kw => !alt.toLowerCase().includes(kw.toLowerCase()));
+        if (keyword && alt.length + keyword.length < MAX_ALT_LENGTH - 10) {
+            alt = `${alt} - ${keyword}`;
+        }
+    }
+
+    return alt.length > MAX_ALT_LENGTH ? `${alt.slice(0, MAX_ALT_LENGTH - 3).trim()}...` : alt;
+}
+
+function tokenize(text) {
+    return new Set(String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
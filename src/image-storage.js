@@ -0,0 +1,145 @@
+import { createHash } from 'node:crypto';
+import { Actor } from 'apify';
+import axios from 'axios';
+import sharp from 'sharp';
+
+// Output formats sharp can convert to, with their content types and file extensions
+const OUTPUT_FORMATS = {
+    webp: { contentType: 'image/webp', extension: 'webp' },
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    png: { contentType: 'image/png', extension: 'png' }
+};
+
+const EXTENSIONS_BY_CONTENT_TYPE = {
+    'image/webp': 'webp',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg'
+};
+
+// Widths of the stored variants; images are never enlarged
+export const DEFAULT_IMAGE_SIZES = { hero: 1200, thumbnail: 400 };
+
+/**
+ * Download a generated image and store it in the default key-value store.
+ *
+ * With format "original" the image is stored as downloaded. Otherwise one variant per
+ * entry in `sizes` is converted and resized. Keys are derived from the content hash,
+ * so re-running with the same image overwrites the same records.
+ */
+export async function persistImage(source, options = {}) {
+    const { format = 'webp', sizes = DEFAULT_IMAGE_SIZES } = options;
+
+    const { buffer, contentType } = await downloadImage(source);
+    const sourceHash = sha256(buffer);
+    const store = await Actor.openKeyValueStore();
+    const variants = {};
+
+    if (format === 'original') {
+        const metadata = await sharp(buffer).metadata();
+        const extension = EXTENSIONS_BY_CONTENT_TYPE[contentType] || 'bin';
+        variants.original = await storeVariant(store, `image-${sourceHash.slice(0, 16)}.${extension}`, buffer, {
+            contentType,
+            width: metadata.width,
+            height: metadata.height
+        });
+    } else {
+        const output = OUTPUT_FORMATS[format];
+        if (!output) {
+            throw new Error(`Unsupported image format "${format}". Use one of: original, ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+        }
+
+        for (const [name, width] of Object.entries(sizes)) {
+            const { data, info } = await sharp(buffer)
+                .resize({ width, withoutEnlargement: true })
+                .toFormat(format)
+                .toBuffer({ resolveWithObject: true });
+
+            variants[name] = await storeVariant(store, `image-${sourceHash.slice(0, 16)}-${name}.${output.extension}`, data, {
+                contentType: output.contentType,
+                width: info.width,
+                height: info.height
+            });
+        }
+    }
+
+    return {
+        sourceContentType: contentType,
+        sourceBytes: buffer.length,
+        sha256: sourceHash,
+        variants
+    };
+}
+
+/**
+ * Load the bytes of a generated image: its main stored variant when persisted, otherwise its URL
+ */
+export async function loadImage(image) {
+    const primary = image.variants ? Object.values(image.variants)[0] : null;
+    if (primary) {
+        const store = await Actor.openKeyValueStore();
+        const buffer = await store.getValue(primary.key);
+        if (buffer) {
+            return { buffer: Buffer.from(buffer), contentType: primary.contentType, filename: primary.key };
+        }
+    }
+
+    const { buffer, contentType } = await downloadImage(image.sourceUrl || image.url);
+    return { buffer, contentType, filename: `image-${sha256(buffer).slice(0, 16)}.${EXTENSIONS_BY_CONTENT_TYPE[contentType] || 'bin'}` };
+}
+
+/**
+ * Store one image variant and describe it
+ */
+async function storeVariant(store, key, buffer, details) {
+    await store.setValue(key, buffer, { contentType: details.contentType });
+
+    return {
+        key,
+        url: store.getPublicUrl(key),
+        width: details.width,
+        height: details.height,
+        bytes: buffer.length,
+        contentType: details.contentType,
+        sha256: sha256(buffer)
+    };
+}
+
+/**
+ * Fetch image bytes from an http(s) URL or decode a data URL
+ */
+async function downloadImage(source, maxRetries = 3) {
+    const dataUrl = source.match(/^data:([^;,]+)?(;base64)?,(.*)$/s);
+    if (dataUrl) {
+        const [, contentType = 'application/octet-stream', base64, payload] = dataUrl;
+        const buffer = base64 ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload));
+        return { buffer, contentType };
+    }
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            const response = await axios.get(source, {
+                responseType: 'arraybuffer',
+                timeout: 60000 // 1 minute
+            });
+
+            return {
+                buffer: Buffer.from(response.data),
+                contentType: String(response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim()
+            };
+        } catch (error) {
+            if (attempt >= maxRetries || (error.response && error.response.status < 500)) {
+                throw new Error(`Failed to download image: ${error.message}`);
+            }
+
+            const backoff = Math.pow(2, attempt) * 1000;
+            console.log(`  ⚠ Image download failed. Retrying in ${backoff}ms (attempt ${attempt}/${maxRetries})...`);
+            await new Promise(resolve => setTimeout(resolve, backoff));
+        }
+    }
+}
+
+function sha256(buffer) {
+    return createHash('sha256').update(buffer).digest('hex');
+}
@@ -0,0 +1,71 @@
+import { escapeHtml } from './html.js';
+import { phrasePattern } from './language.js';
+
+// Text inside these elements never gets a link: links, headings, captions, code and navigation
+const SKIPPED_ELEMENTS = new Set(['a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figcaption', 'code', 'pre', 'nav', 'button']);
+
+// Elements whose running text can carry an inline link
+const LINKABLE_ELEMENTS = new Set(['p', 'li', 'blockquote', 'td', 'dd']);
+
+const TAG_REGEX = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b[^>]*?(\/?)>$/;
+
+/**
+ * Link the article to related posts of the same site. Each link ({ url, anchorText, title })
+ * goes on the first mention of its anchor text in running text, outside headings and
+ * existing links. Links the text never mentions are listed in a related articles section
+ * at the end; URLs the article already links to are left alone.
+ *
+ * Returns the HTML and every link with its placement: "inline", "related" or "existing".
+ */
+export function insertInternalLinks(html, links, options = {}) {
+    const { heading = 'Related Articles' } = options;
+
+    const report = links.map(link => ({
+        ...link,
+        placement: html.includes(`href="${escapeHtml(link.url)}"`) ? 'existing' : null
+    }));
+    const pending = report.filter(link => link.placement === null && link.anchorText?.trim());
+
+    let skipDepth = 0;
+    let linkableDepth = 0;
+    const parts = html.split(/(<[^>]+>)/).map(part => {
+        const tag = part.startsWith('<') ? part.match(TAG_REGEX) : null;
+        if (tag) {
+            const [, closing, name, selfClosing] = tag;
+            const change = selfClosing ? 0 : closing ? -1 : 1;
+            if (SKIPPED_ELEMENTS.has(name.toLowerCase())) skipDepth = Math.max(0, skipDepth + change);
+            if (LINKABLE_ELEMENTS.has(name.toLowerCase())) linkableDepth = Math.max(0, linkableDepth + change);
+            return part;
+        }
+        if (part.startsWith('<') || skipDepth > 0 || linkableDepth === 0 || pending.length === 0) return part;
+        return linkText(part, pending);
+    });
+
+    const unplaced = report.filter(link => link.placement === null);
+    unplaced.forEach(link => { link.placement = 'related'; });
+    const related = unplaced.length > 0
+        ? `\n<h2>${escapeHtml(heading)}</h2>\n<ul>\n${unplaced
+            .map(link => `<li><a href="${escapeHtml(link.url)}">${escapeHtml(link.title || link.anchorText)}</a></li>`)
+            .join('\n')}\n</ul>`
+        : '';
+
+    return { html: parts.join('') + related, links: report };
+}
+
+/**
+ * Wrap the first mention of a pending link's anchor text in a text node; the link is then
+ * placed, and the text on either side is searched for the remaining links
+ */
+function linkText(text, pending) {
+    for (const link of pending) {
+        const match = phrasePattern(link.anchorText).exec(text);
+        if (!match) continue;
+
+        link.placement = 'inline';
+        pending.splice(pending.indexOf(link), 1);
+        const before = text.slice(0, match.index);
+        const after = text.slice(match.index + match[0].length);
+        return `${linkText(before, pending)}<a href="${escapeHtml(link.url)}">${match[0]}</a>${linkText(after, pending)}`;
+    }
+    return text;
+}
@@ -0,0 +1,124 @@
+// Articles are written in English unless a `language` is given
+export const DEFAULT_LANGUAGE = 'en';
+
+// Scripts written without spaces between words. Han and Kana characters count as one word
+// each (the usual convention for Chinese and Japanese); the others are split by Intl.Segmenter.
+const CJK_CHARACTERS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu;
+const SEGMENTED_SCRIPTS = /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const UNSPACED_SCRIPTS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}';
+
+// Letters and digits that make a phrase match part of a longer word; unspaced scripts never do
+const WORD_CHARACTER = `(?![${UNSPACED_SCRIPTS}])[\\p{L}\\p{N}]`;
+
+// Reading speed in words per minute; characters per minute for Chinese and Japanese
+const READING_SPEEDS = { zh: 300, ja: 400 };
+const DEFAULT_READING_SPEED = 200;
+
+// Languages whose target lengths are counted in characters
+const CHARACTER_COUNT_LANGUAGES = ['zh', 'ja'];
+
+let wordSegmenter = null;
+
+/**
+ * Whether `code` is a valid BCP 47 language tag such as "de", "pt-BR" or "zh-Hant"
+ */
+export function isLanguageCode(code) {
+    if (typeof code !== 'string' || !/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(code)) return false;
+    try {
+        return Intl.getCanonicalLocales(code).length === 1;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Bring a language tag into its canonical form ("pt-br" -> "pt-BR")
+ */
+export function normalizeLanguage(code) {
+    if (!isLanguageCode(code)) {
+        throw new Error(`Unknown language code "${code}". Use a BCP 47 tag such as "de", "pt-BR" or "ja"`);
+    }
+    return Intl.getCanonicalLocales(code)[0];
+}
+
+export function isEnglish(language) {
+    return !language || baseLanguage(language) === 'en';
+}
+
+/**
+ * English name of a language with its native name, e.g. "Japanese (日本語)"
+ */
+export function languageName(language) {
+    const english = new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    const native = new Intl.DisplayNames([language], { type: 'language' }).of(language) || language;
+    return english === native ? english : `${english} (${native})`;
+}
+
+/**
+ * Describe the output language for a writing prompt
+ */
+export function formatLanguagePrompt(language) {
+    const lines = [
+        `LANGUAGE: ${languageName(language)}`,
+        `- Write all text (title, subtitle, headings, body, meta description, summary, call-to-action, alt text) in ${languageName(language)}`,
+        '- Write natively for readers of this language; do not translate from English',
+        '- Keep the JSON keys and HTML tags in English'
+    ];
+    if (CHARACTER_COUNT_LANGUAGES.includes(baseLanguage(language))) {
+        lines.push('- Target lengths count characters, not words');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Count words in plain text. Whitespace separates words, except in Chinese and Japanese
+ * (one word per character) and in Thai, Lao, Khmer and Myanmar (split by Intl.Segmenter).
+ */
+export function countTextWords(text) {
+    let count = 0;
+    const spaced = String(text).replace(CJK_CHARACTERS, () => {
+        count++;
+        return ' ';
+    });
+
+    for (const token of spaced.split(/\s+/)) {
+        if (!/[\p{L}\p{N}]/u.test(token)) continue;
+        count += SEGMENTED_SCRIPTS.test(token) ? segmentWords(token).length : 1;
+    }
+    return count;
+}
+
+/**
+ * Lower-case word tokens for matching and relevance scoring; Chinese and Japanese
+ * characters are single tokens
+ */
+export function wordTokens(text) {
+    const tokens = String(text).toLowerCase().replace(CJK_CHARACTERS, ' $& ').match(/[\p{L}\p{N}]+/gu) || [];
+    return tokens.flatMap(token => (SEGMENTED_SCRIPTS.test(token) ? segmentWords(token) : [token]));
+}
+
+/**
+ * Case-insensitive whole-phrase match, also across line breaks. Text in scripts without
+ * spaces counts as a word boundary, so "AcmeCloudは" still matches "AcmeCloud".
+ */
+export function phrasePattern(phrase) {
+    const escaped = phrase.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    return new RegExp(`(?<!${WORD_CHARACTER})${escaped}(?!${WORD_CHARACTER})`, 'giu');
+}
+
+/**
+ * Reading time in whole minutes at the language's reading speed
+ */
+export function readingTimeMinutes(wordCount, language = DEFAULT_LANGUAGE) {
+    const speed = READING_SPEEDS[baseLanguage(language)] || DEFAULT_READING_SPEED;
+    return Math.max(1, Math.ceil(wordCount / speed));
+}
+
+function baseLanguage(language) {
+    return String(language || DEFAULT_LANGUAGE).split('-')[0].toLowerCase();
+}
+
+function segmentWords(text) {
+    wordSegmenter ??= new Intl.Segmenter(undefined, { granularity: 'word' });
+    return [...wordSegmenter.segment(text)].filter(segment => segment.isWordLike).map(segment => segment.segment);
+}
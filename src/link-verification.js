@@ -0,0 +1,256 @@
+import axios from 'axios';
+
+// How bad links are handled: marked for the editor, or removed from the article
+export const LINK_POLICIES = ['mark', 'strip'];
+
+// Hosts models use as stand-ins for real URLs
+const PLACEHOLDER_HOSTS = [
+    'example.com', 'example.org', 'example.net', 'domain.com', 'yourdomain.com', 'yoursite.com',
+    'yourwebsite.com', 'website.com', 'company.com', 'yourcompany.com', 'placeholder.com', 'url.com', 'link.com'
+];
+const RESERVED_TLDS = ['example', 'test', 'invalid', 'localhost', 'local'];
+
+// HTTP statuses that mean the page is gone; anything else that fails is inconclusive
+const BROKEN_STATUSES = [404, 410];
+const BROKEN_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ERR_INVALID_URL'];
+
+const LINK_CHECK_CONCURRENCY = 5;
+
+// URLs in plain text; trailing punctuation belongs to the sentence
+const TEXT_URL_REGEX = /https?:\/\/[^\s<>"']+[^\s<>"'.,;:)\]]/g;
+const ANCHOR_REGEX = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+
+/**
+ * Create a link checker that sends real HEAD requests, falling back to GET for servers that reject HEAD.
+ *
+ * A link checker has one method, check(url) -> { status, error }, so tests and offline
+ * runs can pass a stub instead.
+ */
+export function createHttpLinkChecker(options = {}) {
+    const { timeout = 10000 } = options;
+    const request = (method, url) => axios.request({
+        method,
+        url,
+        timeout,
+        maxRedirects: 5,
+        responseType: 'stream',
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; BlogWriterLinkCheck/1.0)' },
+        validateStatus: () => true
+    });
+
+    return {
+        async check(url) {
+            try {
+                let response = await request('head', url);
+                if ([403, 405, 501].includes(response.status)) {
+                    response.data?.destroy?.();
+                    response = await request('get', url);
+                }
+                response.data?.destroy?.();
+                return { status: response.status, error: null };
+            } catch (error) {
+                return { status: null, error: error.code || error.message };
+            }
+        }
+    };
+}
+
+/**
+ * Create an offline link checker for local runs: every link answers 200 unless its URL
+ * contains "broken" or "404"
+ */
+export function createMockLinkChecker() {
+    return {
+        async check(url) {
+            return /broken|404/i.test(url) ? { status: 404, error: null } : { status: 200, error: null };
+        }
+    };
+}
+
+/**
+ * Create the link checker selected by LINK_CHECKER ("http" by default, "mock" for offline runs)
+ */
+export function createLinkChecker(name = process.env.LINK_CHECKER || 'http') {
+    switch (name) {
+        case 'http':
+            return createHttpLinkChecker();
+        case 'mock':
+            return createMockLinkChecker();
+        default:
+            throw new Error(`Unknown link checker "${name}". Use one of: http, mock`);
+    }
+}
+
+/**
+ * Verify every URL in the references and the links of the content and CTA.
+ *
+ * URLs are validated for syntax and checked against placeholder and blocked domains. With
+ * `checkLinks` they are also requested through `linkChecker`. Each link is tagged
+ * verified, unverified or broken, and broken links are marked or stripped per `policy`.
+ */
+export async function verifyLinks(article, options = {}) {
+    const {
+        checkLinks = false,
+        linkChecker = null,
+        policy = 'mark',
+        blockedDomains = []
+    } = options;
+
+    if (!LINK_POLICIES.includes(policy)) {
+        throw new Error(`Unknown link policy "${policy}". Use one of: ${LINK_POLICIES.join(', ')}`);
+    }
+
+    const references = (article.references || []).map(reference => ({
+        reference,
+        urls: reference.match(TEXT_URL_REGEX) || []
+    }));
+    const anchors = ['contentHTML', 'callToAction'].flatMap(field => [...(article[field] || '').matchAll(ANCHOR_REGEX)]
+        .map(match => ({ field, href: decodeEntities(readHref(match[1])), text: stripTags(match[2]).trim() }))
+        .filter(anchor => anchor.href && !anchor.href.startsWith('#')));
+
+    const urls = [...new Set([...references.flatMap(entry => entry.urls), ...anchors.map(anchor => anchor.href)])];
+    const results = new Map(urls.map(url => [url, inspectUrl(url, blockedDomains)]));
+
+    if (checkLinks) {
+        const checker = linkChecker || createHttpLinkChecker();
+        const candidates = urls.filter(url => /^https?:\/\//i.test(url) && results.get(url).status !== 'broken');
+        for (let i = 0; i < candidates.length; i += LINK_CHECK_CONCURRENCY) {
+            await Promise.all(candidates.slice(i, i + LINK_CHECK_CONCURRENCY).map(async (url) => {
+                const { status, error } = await checker.check(url);
+                results.set(url, classifyResponse(status, error));
+            }));
+        }
+    }
+
+    const isBroken = url => results.get(url)?.status === 'broken';
+
+    // Rewrite the article according to the policy
+    const updated = { ...article };
+    for (const field of ['contentHTML', 'callToAction']) {
+        if (!updated[field]) continue;
+        updated[field] = updated[field].replace(ANCHOR_REGEX, (match, attributes, inner) => {
+            const href = decodeEntities(readHref(attributes));
+            if (!href || !isBroken(href)) return match;
+            if (policy === 'strip') return inner;
+            const kept = attributes.replace(/\s(?:class|rel|data-link-status)\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi, '');
+            return `<a${kept} class="broken-link" data-link-status="broken" rel="nofollow">${inner}</a>`;
+        });
+    }
+
+    const taggedReferences = references.map(({ reference, urls: referenceUrls }) => {
+        const statuses = referenceUrls.map(url => results.get(url));
+        const status = statuses.length === 0
+            ? 'unverified'
+            : statuses.some(result => result.status === 'broken') ? 'broken'
+                : statuses.every(result => result.status === 'verified') ? 'verified' : 'unverified';
+        return {
+            reference,
+            urls: referenceUrls,
+            status,
+            reason: statuses.length === 0 ? 'No URL' : statuses.find(result => result.status === status)?.reason || null
+        };
+    });
+
+    updated.references = taggedReferences.map(({ reference, urls: referenceUrls, status }) => {
+        if (status !== 'broken') return reference;
+        if (policy === 'mark') return `${reference} [broken link]`;
+
+        // Stripping keeps every reference in its place so citation numbers stay valid;
+        // a reference that was only a broken URL is left as a placeholder
+        const withoutUrls = referenceUrls
+            .filter(isBroken)
+            .reduce((text, url) => text.replace(url, ''), reference)
+            .replace(/\s*[-–—:,]\s*$/, '')
+            .trim();
+        return withoutUrls || '[reference unavailable]';
+    });
+
+    const links = [
+        ...anchors.map(anchor => ({ url: anchor.href, location: anchor.field, text: anchor.text, ...results.get(anchor.href) })),
+        ...references.flatMap(entry => entry.urls.map(url => ({ url, location: 'references', text: entry.reference, ...results.get(url) })))
+    ];
+
+    return {
+        article: updated,
+        report: {
+            checked: checkLinks,
+            policy,
+            summary: {
+                verified: [...results.values()].filter(result => result.status === 'verified').length,
+                unverified: [...results.values()].filter(result => result.status === 'unverified').length,
+                broken: [...results.values()].filter(result => result.status === 'broken').length
+            },
+            links,
+            references: taggedReferences.map(({ reference, status, reason }) => ({ reference, status, reason }))
+        }
+    };
+}
+
+/**
+ * Offline checks: syntax, protocol, placeholder and blocked domains
+ */
+function inspectUrl(url, blockedDomains) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        // Relative links point into the publishing site and cannot be checked here
+        return /^\/(?!\/)/.test(url)
+            ? { status: 'unverified', reason: 'Relative URL', httpStatus: null }
+            : { status: 'broken', reason: 'Invalid URL', httpStatus: null };
+    }
+
+    if (['mailto:', 'tel:'].includes(parsed.protocol)) {
+        return { status: 'unverified', reason: `${parsed.protocol.slice(0, -1)} link`, httpStatus: null };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { status: 'broken', reason: `Unsupported protocol ${parsed.protocol}`, httpStatus: null };
+    }
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const tld = host.split('.').pop();
+    if (!host.includes('.') || RESERVED_TLDS.includes(tld) || matchesDomain(host, PLACEHOLDER_HOSTS) || /\.\.\.|%E2%80%A6/i.test(url)) {
+        return { status: 'broken', reason: 'Placeholder URL', httpStatus: null };
+    }
+    if (matchesDomain(host, blockedDomains)) {
+        return { status: 'broken', reason: 'Blocked domain', httpStatus: null };
+    }
+
+    return { status: 'unverified', reason: 'Not checked', httpStatus: null };
+}
+
+/**
+ * Tag a link from the response of a live check
+ */
+function classifyResponse(status, error) {
+    if (error) {
+        return BROKEN_ERROR_CODES.includes(error)
+            ? { status: 'broken', reason: `Unreachable (${error})`, httpStatus: null }
+            : { status: 'unverified', reason: `Check failed (${error})`, httpStatus: null };
+    }
+    if (status >= 200 && status < 400) return { status: 'verified', reason: null, httpStatus: status };
+    if (BROKEN_STATUSES.includes(status)) return { status: 'broken', reason: `HTTP ${status}`, httpStatus: status };
+
+    // Bot protection, rate limits and server errors do not prove the page is gone
+    return { status: 'unverified', reason: `HTTP ${status}`, httpStatus: status };
+}
+
+function matchesDomain(host, domains) {
+    return domains.some(domain => {
+        const normalized = domain.toLowerCase().replace(/^www\./, '');
+        return host === normalized || host.endsWith(`.${normalized}`);
+    });
+}
+
+function readHref(attributes) {
+    const match = attributes.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    return match ? (match[1] ?? match[2] ?? match[3]).trim() : '';
+}
+
+function decodeEntities(text) {
+    return text.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'");
+}
+
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, '');
+}
@@ -1,387 +1,972 @@
 import { Actor } from 'apify';
-import axios from 'axios';
+import { resolveArticleInputs, validateArticleInput, validateBatchInput, validateClusterInput, runWithConcurrency } from './batch.js';
+import { generateArticle } from './article.js';
+import { enforceQuality } from './quality.js';
+import { createProvider } from './providers/index.js';
+import { getImagePricing, calculateChargePrice, createUsageTracker } from './pricing.js';
+import { planBudget, estimateSourceChars, estimateTranslationCost, affordableImageCount } from './budget.js';
+import { extractHeadings, countWords, slugify } from './html.js';
+import { buildTableOfContents } from './toc.js';
+import { parseStructuredOutput } from './structured-output.js';
+import { persistImage, DEFAULT_IMAGE_SIZES } from './image-storage.js';
+import { placeImages } from './image-placement.js';
+import { htmlToMarkdown } from './markdown.js';
+import { storeOutputFormats } from './output-formats.js';
+import { createPublisher, publishArticle, PUBLISHER_NAMES } from './publishers/index.js';
+import { analyzeSEO, suggestSlug } from './seo.js';
+import { analyzeReadability } from './readability.js';
+import { loadBrandVoice, lintBrandVoice, DEFAULT_BRAND_VOICE_STORE } from './brand-voice.js';
+import { loadSources, resolveCitations } from './sources.js';
+import { createLinkChecker, verifyLinks } from './link-verification.js';
+import { insertInternalLinks } from './internal-links.js';
+import { loadExistingContent, parseExistingArticle, refreshArticle } from './refresh.js';
+import { translateArticle } from './translation.js';
+import { sanitizeArticle, DEFAULT_ALLOWED_TAGS, DEFAULT_ALLOWED_ATTRIBUTES } from './sanitize.js';
+import { generateHeadlineVariants } from './headlines.js';
+import { planTopicCluster, buildClusterMap, clusterArticleInputs, buildClusterReport } from './cluster.js';
+import { generateSocialContent, appendFaqSection, buildStructuredData, buildSocialMeta, buildSocialPosts } from './structured-data.js';
+import { DEFAULT_LANGUAGE, normalizeLanguage, isEnglish, languageName, readingTimeMinutes } from './language.js';
+import { loadModelRegistry, resolveStageModels } from './models.js';
+import { openCheckpoint, restoreOrCreate } from './checkpoints.js';
+import { createStatusReporter } from './progress.js';
+
+// Input fields that are never written to the log
+const SECRET_INPUT_FIELDS = ['llmApiKey', 'wordpressAppPassword', 'ghostAdminApiKey'];
 
-// OpenRouter API Configuration
-const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1/chat/completions';
-const OPENROUTER_IMAGE_URL = 'https://openrouter.ai/api/v1/images/generations';
+await Actor.main(async () => {
+    const input = await Actor.getInput() ?? {};
+    const redacted = Object.fromEntries(SECRET_INPUT_FIELDS.filter(field => input[field]).map(field => [field, '********']));
+    console.log('Input:', JSON.stringify({ ...input, ...redacted }, null, 2));
+
+    // Only the OpenRouter provider needs the API key from environment variables;
+    // OpenAI-compatible servers and the offline mock provider can run without it.
+    // LLM_PROVIDER wins over the input so CI and air-gapped hosts can force a provider.
+    const providerName = process.env.LLM_PROVIDER || input.llmProvider || 'openrouter';
+    const provider = createProvider({
+        provider: providerName,
+        baseUrl: process.env.LLM_BASE_URL || input.llmBaseUrl,
+        apiKey: providerName === 'openrouter'
+            ? process.env.OPENROUTER_API_KEY
+            : input.llmApiKey ?? process.env.LLM_API_KEY,
+        jsonMode: input.llmJsonMode ?? true,
+        streaming: input.llmStreaming ?? true
+    });
+    console.log(`LLM provider: ${provider.name}`);
 
-// Model pricing per million tokens (input/output) and per image
-const MODEL_PRICING = {
-    // Text models
-    'anthropic/claude-3.5-sonnet': { input: 3.00, output: 15.00 },
-    'openai/gpt-4o': { input: 2.50, output: 10.00 },
-    'anthropic/claude-3-opus': { input: 15.00, output: 75.00 },
+    // Models, prices and token limits come from the registry; a JSON file (MODEL_REGISTRY_FILE) or a record can extend it
+    const registry = await loadModelRegistry({
+        file: process.env.MODEL_REGISTRY_FILE,
+        recordKey: input.modelRegistryRecordKey
+    });
+    console.log(`Model registry: ${Object.keys(registry.models).length} models`);
 
-    // Image models (per image)
-    'black-forest-labs/flux-1.1-pro': { perImage: 0.04 },
-    'openai/dall-e-3': { perImage: 0.08 },
-    'black-forest-labs/flux-schnell': { perImage: 0.00 } // Free tier
-};
+    validateBatchInput(input);
 
-await Actor.main(async () => {
-    const input = await Actor.getInput();
-    console.log('Input:', JSON.stringify(input, null, 2));
+    // Topic cluster mode plans a pillar article and its spokes from the topic and keywords
+    const cluster = input.topicCluster
+        ? await planCluster(input, { provider, checkpoints: input.checkpoints ?? true })
+        : null;
+    const articles = cluster ? cluster.articles : await resolveArticleInputs(input);
+    if (articles.length === 0) {
+        throw new Error('No articles to generate. Provide a topic with keywords or a non-empty articles list.');
+    }
+
+    // Publishers are shared by all articles; missing connection settings fail the run up front
+    const publishers = {};
+    const publisherNames = new Set(articles.flatMap(article => article.publishTo || []));
+    for (const name of PUBLISHER_NAMES.filter(name => publisherNames.has(name))) {
+        publishers[name] = createPublisher(name, input);
+    }
+
+    const maxConcurrency = input.maxConcurrency ?? 3;
+    const batchStartTime = Date.now();
+
+    if (articles.length > 1) {
+        console.log(`Batch mode: ${articles.length} articles, up to ${maxConcurrency} in parallel`);
+    }
 
-    // Get OpenRouter API key from environment variables
-    const openrouterApiKey = process.env.OPENROUTER_API_KEY;
-    if (!openrouterApiKey) {
-        throw new Error('OPENROUTER_API_KEY environment variable is required. Please configure it in the actor settings.');
+    const status = createStatusReporter(articles.length);
+    const results = await runWithConcurrency(articles, maxConcurrency, async (article, index) => {
+        const result = await processArticle(article, {
+            index,
+            total: articles.length,
+            provider,
+            publishers,
+            publishDryRun: input.publishDryRun ?? false,
+            linkChecker: createLinkChecker(),
+            checkpoints: input.checkpoints ?? true,
+            status
+        });
+        status.finish(index);
+        return result;
+    });
+
+    const succeeded = results.filter(result => result.status === 'succeeded');
+    const failed = results.filter(result => result.status === 'failed');
+    await Actor.setStatusMessage(`${succeeded.length}/${articles.length} article${articles.length === 1 ? '' : 's'} generated`)
+        .catch(error => console.warn(`⚠ Could not update the status message: ${error.message}`));
+
+    // The cluster map links the articles' results and where their internal links went;
+    // a resumed run that already stored it does not store it again
+    let clusterReport = null;
+    if (cluster) {
+        ({ value: clusterReport } = await restoreOrCreate('CLUSTER-MAP', cluster.options, async () => {
+            const report = buildClusterReport(cluster.map, cluster.plan, results);
+            await Actor.pushData(report);
+            return report;
+        }, { enabled: input.checkpoints ?? true }));
+        const placed = clusterReport.links.filter(link => link.placement !== null).length;
+        console.log(`\n✓ Topic cluster: ${clusterReport.nodes.length} articles, ${placed}/${clusterReport.links.length} internal links placed`);
+    }
+
+    if (articles.length > 1) {
+        const batchCost = clusterReport ? clusterReport.cost : results.reduce((sum, result) => sum + result.cost, 0);
+        const batchDuration = ((Date.now() - batchStartTime) / 1000).toFixed(2);
+
+        console.log('\n========================================');
+        console.log('BATCH SUMMARY');
+        console.log('========================================');
+        console.log(`Succeeded: ${succeeded.length}/${articles.length}`);
+        console.log(`Failed: ${failed.length}/${articles.length}`);
+        failed.forEach(result => console.log(`  ✗ [${result.index + 1}] ${result.topic || '(no topic)'}: ${result.error}`));
+        console.log(`Total Cost: $${batchCost.toFixed(6)}`);
+        console.log(`Duration: ${batchDuration}s`);
+        console.log('========================================\n');
+    }
+
+    // A run where nothing could be generated is a failed run
+    if (succeeded.length === 0) {
+        throw new Error(failed.length === 1 ? failed[0].error : `All ${failed.length} articles failed`);
+    }
+});
+
+/**
+ * Plan a topic cluster from the run's topic and keywords, or restore the plan of an
+ * interrupted run, and turn it into the articles to generate
+ */
+async function planCluster(input, context) {
+    const { provider, checkpoints } = context;
+
+    validateClusterInput(input);
+    const [seed] = await resolveArticleInputs(input);
+    validateArticleInput(seed);
+    const { writingModel } = resolveStageModels(seed, { requireRegistered: provider.name === 'openrouter' });
+    const spokeCount = input.clusterSpokes ?? 5;
+
+    console.log(`\nPlanning a topic cluster on "${seed.topic}" with ${spokeCount} spoke articles...`);
+    const options = {
+        topic: seed.topic,
+        keywords: seed.keywords,
+        spokeCount,
+        targetAudience: seed.targetAudience,
+        language: seed.language ?? DEFAULT_LANGUAGE,
+        industryContext: seed.industryContext ?? null,
+        writingModel
+    };
+    const { value: plan, restored } = await restoreOrCreate('CLUSTER-PLAN', options,
+        () => planTopicCluster({ ...options, provider }), { enabled: checkpoints });
+
+    const map = buildClusterMap(plan, { siteUrl: seed.siteUrl ?? null });
+    console.log(`✓ Cluster ${restored ? 'plan restored' : 'planned'}: "${plan.pillar.topic}" with ${plan.spokes.length} spokes${restored ? '' : `, Cost: $${plan.cost.toFixed(6)}`}`);
+    map.nodes.forEach(node => console.log(`  ${node.id}: ${node.path} (${node.keywords.join(', ')})`));
+    if (plan.spokes.length < spokeCount) {
+        console.log(`⚠ Only ${plan.spokes.length} of ${spokeCount} spokes had a distinct topic and keywords of their own`);
+    }
+
+    return { options, plan, map, articles: clusterArticleInputs(map, seed) };
+}
+
+/**
+ * Generate a single article end-to-end and push it to the dataset.
+ * Failures are recorded as a dataset item with status "failed" instead of being thrown,
+ * so one bad article does not stop the rest of a batch.
+ */
+async function processArticle(article, context) {
+    const { index, total, provider, publishers = {}, publishDryRun = false, linkChecker = null, checkpoints = true, status = null } = context;
+    const label = total > 1 ? `[${index + 1}/${total}] ` : '';
+    const log = (message) => console.log(message.replace(/^(\n*)/, `$1${label}`));
+    const setStatus = (message) => status?.stage(index, message);
+
+    // OpenRouter only accepts the models it lists, so they have to be registered with their prices
+    let stageModels;
+    try {
+        validateArticleInput(article);
+        stageModels = resolveStageModels(article, { requireRegistered: provider.name === 'openrouter' });
+    } catch (error) {
+        console.error(`${label}❌ Invalid article input: ${error.message}`);
+        return recordFailure(article, index, error);
     }
 
-    // Validate required inputs
-    if (!input?.topic) {
-        throw new Error('Topic is required');
+    // A migrated or resurrected run continues from the article's last saved stage
+    let checkpoint;
+    try {
+        checkpoint = await openCheckpoint(article, index, { enabled: checkpoints });
+    } catch (error) {
+        console.error(`${label}❌ Could not open the article checkpoint: ${error.message}`);
+        return recordFailure(article, index, error);
     }
-    if (!input?.keywords || input.keywords.length === 0) {
-        throw new Error('At least one SEO keyword is required');
+    const finished = checkpoint.restore('done');
+    if (finished) {
+        log('✓ Already generated before the run was resumed, skipping');
+        return finished;
+    }
+
+    // Refresh mode rewrites an existing post; its title stands in for a missing topic
+    let existing = null;
+    if (article.existingContent || article.existingContentRecordKey) {
+        try {
+            existing = parseExistingArticle(await loadExistingContent(article));
+            if (!article.topic && !existing.title) {
+                throw new Error('The existing article has no title, so a topic is required');
+            }
+        } catch (error) {
+            console.error(`${label}❌ Invalid existing article: ${error.message}`);
+            return recordFailure(article, index, error);
+        }
     }
 
     const {
-        topic,
+        topic: requestedTopic,
         keywords,
         targetAudience = 'general readers',
         wordCount = 2000,
         tone = 'professional',
-        includeImages = true,
-        numberOfImages = 3,
+        language = DEFAULT_LANGUAGE,
+        translateTo = [],
+        targetGradeLevel = null,
+        includeImages: requestedIncludeImages = true,
+        numberOfImages: requestedNumberOfImages = 3,
         includeTableOfContents = true,
+        tocDepth = 3,
+        tocStyle = 'nested',
         includeExecutiveSummary = true,
         includeReferences = true,
         includeCallToAction = true,
         ctaText = null,
         industryContext = null,
-        writingModel = 'anthropic/claude-3.5-sonnet',
-        imageModel = 'black-forest-labs/flux-schnell'
-    } = input;
-
-    console.log('\n========================================');
-    console.log('PROFESSIONAL BLOG WRITER ACTOR');
-    console.log('========================================');
-    console.log(`Topic: "${topic}"`);
-    console.log(`Target Words: ${wordCount}`);
-    console.log(`Keywords: ${keywords.join(', ')}`);
-    console.log(`Target Audience: ${targetAudience}`);
-    console.log(`Writing Model: ${writingModel}`);
+        sources = [],
+        brandVoice: brandVoiceId = null,
+        brandVoiceStore = DEFAULT_BRAND_VOICE_STORE,
+        brandVoiceAutoFix = true,
+        checkLinks = false,
+        linkPolicy = 'mark',
+        blockedLinkDomains = [],
+        internalLinks = [],
+        internalLinksHeading = 'Related Articles',
+        slug: requestedSlug = null,
+        cluster = null,
+        headlineVariants = 0,
+        includeStructuredData = true,
+        faqCount = 5,
+        schemaType = 'BlogPosting',
+        authorName = null,
+        authorUrl = null,
+        publisherName = null,
+        publisherLogoUrl = null,
+        siteUrl = null,
+        twitterHandle = null,
+        allowedHtmlTags = DEFAULT_ALLOWED_TAGS,
+        allowedHtmlAttributes = DEFAULT_ALLOWED_ATTRIBUTES,
+        maxBudgetUsd = null,
+        persistImages = true,
+        imageFormat = 'webp',
+        imageSizes = DEFAULT_IMAGE_SIZES,
+        outputFormats = [],
+        generationMode = 'auto',
+        maxSectionRetries = 2,
+        maxRevisionRounds = 2,
+        refreshStrategy = 'update',
+        refreshInstructions = null,
+        preserveAnchors = true,
+        preserveLinks = true
+    } = article;
+    const topic = requestedTopic || existing.title;
+    const translationLanguages = [...new Set(translateTo.map(normalizeLanguage))].filter(code => code !== normalizeLanguage(language));
+    const { writingModel, imagePromptModel, imageModel: requestedImageModel, imageSize } = stageModels;
+
+    // Estimate the cost up front; over budget, use a cheaper image model and fewer images or don't start
+    const budgetPlan = planBudget({
+        maxBudgetUsd,
+        canChangeImageModel: provider.name === 'openrouter',
+        wordCount,
+        generationMode,
+        maxRevisionRounds,
+        writingModel,
+        includeImages: requestedIncludeImages,
+        numberOfImages: requestedNumberOfImages,
+        imageModel: requestedImageModel,
+        imagePromptModel,
+        imageSize,
+        translationLanguages,
+        sourceChars: estimateSourceChars(sources),
+        existingWords: existing ? existing.sections.reduce((sum, section) => sum + section.wordCount, 0) : 0,
+        socialContent: includeStructuredData,
+        headlineVariants
+    });
+    const { includeImages, imageModel, estimate: costEstimate } = budgetPlan;
+    let { numberOfImages } = budgetPlan;
+    const budgetAdjustments = [...budgetPlan.adjustments];
+    if (!budgetPlan.withinBudget) {
+        const error = new Error(`Estimated cost $${costEstimate.total.toFixed(4)} exceeds the budget of $${maxBudgetUsd}${requestedIncludeImages ? ' even without images' : ''}`);
+        console.error(`${label}❌ Over budget: ${error.message}`);
+        return recordFailure(article, index, error, { budget: formatBudget(maxBudgetUsd, costEstimate, budgetAdjustments, null) });
+    }
+
+    log('\n========================================');
+    log('PROFESSIONAL BLOG WRITER ACTOR');
+    log('========================================');
+    log(`Topic: "${topic}"`);
+    if (existing) log(`Refreshing: "${existing.title || '(untitled)'}" (${existing.format}, ${existing.sections.length} sections, ${refreshStrategy})`);
+    log(`Target Words: ${wordCount}`);
+    log(`Keywords: ${keywords.join(', ')}`);
+    log(`Target Audience: ${targetAudience}`);
+    if (!isEnglish(language)) log(`Language: ${languageName(language)}`);
+    if (translationLanguages.length > 0) log(`Translations: ${translationLanguages.join(', ')}`);
+    if (brandVoiceId) log(`Brand Voice: ${brandVoiceId}`);
+    if (sources.length > 0) log(`Sources: ${sources.length}`);
+    log(`Writing Model: ${writingModel}`);
     if (includeImages) {
-        console.log(`Image Model: ${imageModel}`);
-        console.log(`Number of Images: ${numberOfImages}`);
+        log(`Image Prompt Model: ${imagePromptModel}`);
+        log(`Image Model: ${imageModel} (${imageSize})`);
+        log(`Number of Images: ${numberOfImages}`);
     }
-    console.log('========================================\n');
+    log(`Estimated Cost: $${costEstimate.total.toFixed(4)}${maxBudgetUsd !== null ? ` (budget $${maxBudgetUsd})` : ''}`);
+    budgetAdjustments.forEach(adjustment => log(`⚠ Budget: ${adjustment.setting} ${adjustment.from} -> ${adjustment.to}`));
+    if (costEstimate.unpricedModels.length > 0) {
+        log(`⚠ No known price for ${costEstimate.unpricedModels.join(', ')}; their costs are estimated`);
+    }
+    if (checkpoint.resumedStages.length > 0) log(`Resuming from checkpoint: ${checkpoint.resumedStages.join(', ')}`);
+    log('========================================\n');
 
     const startTime = Date.now();
     let writingCost = 0;
     let imageCost = 0;
+    let translationCost = 0;
     let writingTokens = 0;
+    let translationTokens = 0;
     let imageGenerations = 0;
+    const costLedger = [];
+    const addToLedger = (entries, details) => costLedger.push(...entries.map(entry => ({
+        ...details,
+        ...entry,
+        cost: parseFloat(entry.cost.toFixed(6))
+    })));
 
     try {
-        // STEP 1: Generate the article content
-        console.log('Step 1/5: Generating article content...');
-        const articleResult = await generateArticle({
-            topic,
-            keywords,
-            targetAudience,
-            wordCount,
-            tone,
-            industryContext,
-            includeExecutiveSummary,
-            includeReferences,
-            includeCallToAction,
-            ctaText,
-            writingModel,
-            openrouterApiKey
+        const brandVoice = brandVoiceId ? await loadBrandVoice(brandVoiceId, { storeName: brandVoiceStore }) : null;
+
+        // Grounded articles cite the supplied sources, and the references are built from them
+        let grounding = null;
+        if (sources.length > 0) {
+            grounding = await loadSources(sources);
+            log(`✓ Loaded ${grounding.sources.length} sources (${grounding.passages.length} passages)`);
+        }
+        const sourcePassages = grounding ? grounding.passages : [];
+        const writeReferences = includeReferences && !grounding;
+
+        // STEP 1: Generate the article content, or refresh the existing one
+        log(existing ? 'Step 1/6: Refreshing existing article...' : 'Step 1/6: Generating article content...');
+        setStatus(existing ? 'Refreshing the article' : 'Writing the article');
+        let draftResult = checkpoint.restore('draft');
+        if (draftResult) {
+            log('✓ Draft restored from checkpoint');
+        } else {
+            draftResult = await (existing ? refreshArticle : generateArticle)({
+                topic,
+                keywords,
+                targetAudience,
+                wordCount,
+                tone,
+                industryContext,
+                brandVoice,
+                language,
+                sourcePassages,
+                includeExecutiveSummary,
+                includeReferences: writeReferences,
+                includeCallToAction,
+                ctaText,
+                writingModel,
+                generationMode,
+                maxSectionRetries,
+                existing,
+                refreshStrategy,
+                refreshInstructions,
+                preserveAnchors,
+                preserveLinks,
+                provider,
+                checkpoint: checkpoint.restore('outline') ?? null,
+                saveCheckpoint: (outline) => checkpoint.save({ outline }),
+                onProgress: setStatus
+            });
+            await checkpoint.save({ draft: draftResult });
+        }
+        writingCost = draftResult.cost;
+        log(`✓ Draft generated (${draftResult.wordCount} words, ${draftResult.generationMode} mode)`);
+        const refreshReport = draftResult.refreshReport ?? null;
+        if (refreshReport) {
+            const { added, removed, changed, unchanged } = refreshReport.summary;
+            log(`✓ Refresh: ${added} added, ${removed} removed, ${changed} changed, ${unchanged} unchanged sections`);
+            if (refreshReport.lostUrls.length > 0) {
+                log(`⚠ Links lost in the refresh: ${refreshReport.lostUrls.join(', ')}`);
+            }
+        }
+
+        // STEP 2: Validate against the requirements and revise where needed
+        log('\nStep 2/6: Validating article quality...');
+        setStatus('Checking and revising the article');
+        let articleResult = checkpoint.restore('article');
+        if (articleResult) {
+            log('✓ Quality-checked article restored from checkpoint');
+        } else {
+            articleResult = await enforceQuality(draftResult, {
+                topic,
+                keywords,
+                targetAudience,
+                wordCount,
+                tone,
+                brandVoice,
+                language,
+                sourcePassages,
+                ctaText,
+                includeExecutiveSummary,
+                includeReferences: writeReferences,
+                includeCallToAction,
+                writingModel,
+                maxRevisionRounds,
+                provider
+            });
+            await checkpoint.save({ article: articleResult });
+        }
+        const { qualityReport } = articleResult;
+        if (qualityReport.passed) {
+            log(`✓ All quality checks passed (${qualityReport.revisionRounds} revision rounds)`);
+        } else {
+            log(`⚠ Failed quality checks: ${qualityReport.failedChecks.join(', ')} (after ${qualityReport.revisionRounds} revision rounds)`);
+        }
+
+        // Clean up the model's HTML before anything is derived from it or rendered
+        const sanitizeOptions = { allowedTags: allowedHtmlTags, allowedAttributes: allowedHtmlAttributes };
+        const sanitized = sanitizeArticle(articleResult, sanitizeOptions);
+        Object.assign(articleResult, sanitized.article, { wordCount: countWords(sanitized.article.contentHTML) });
+        const sanitizationReport = sanitized.report;
+        log(`✓ HTML sanitized (${sanitizationReport.fixedCount} fix${sanitizationReport.fixedCount === 1 ? '' : 'es'})`);
+
+        let citations = [];
+        let sourceSummary = [];
+        if (grounding) {
+            const resolved = resolveCitations(articleResult, grounding.sources, { includeReferences });
+            Object.assign(articleResult, resolved.article, { wordCount: countWords(resolved.article.contentHTML) });
+            citations = resolved.citations;
+            sourceSummary = grounding.sources.map(source => ({
+                id: source.id,
+                title: source.title,
+                url: source.url,
+                words: source.words,
+                passages: source.passages.length,
+                cited: !resolved.uncitedSources.includes(source.id)
+            }));
+            log(`✓ ${citations.length} citations from ${grounding.sources.length - resolved.uncitedSources.length}/${grounding.sources.length} sources`);
+            if (resolved.unknownCitations.length > 0) {
+                log(`⚠ Removed citations of unknown passages: ${resolved.unknownCitations.join(', ')}`);
+            }
+        }
+
+        // Apply the brand voice linter's fixes before anything is derived from the text
+        let brandVoiceReport = null;
+        if (brandVoice) {
+            const linted = lintBrandVoice(articleResult, brandVoice, { autoFix: brandVoiceAutoFix });
+            Object.assign(articleResult, linted.article, { wordCount: countWords(linted.article.contentHTML) });
+            brandVoiceReport = linted.report;
+            log(`${brandVoiceReport.passed ? '✓' : '⚠'} Brand voice "${brandVoice.name}": ${brandVoiceReport.fixedCount} fixed, ${brandVoiceReport.flaggedCount} flagged`);
+        }
+
+        // Verify references and links before they reach the dataset
+        const links = await verifyLinks(articleResult, {
+            checkLinks,
+            linkChecker,
+            policy: linkPolicy,
+            blockedDomains: blockedLinkDomains
         });
+        Object.assign(articleResult, links.article);
+        const linkReport = links.report;
+        const { verified, unverified, broken } = linkReport.summary;
+        log(`${broken > 0 ? '⚠' : '✓'} Links: ${verified} verified, ${unverified} unverified, ${broken} broken${broken > 0 ? ` (${linkPolicy === 'strip' ? 'stripped' : 'marked'})` : ''}`);
+
+        // Links to related posts of the same site, such as the other articles of a topic cluster
+        let internalLinkReport = [];
+        if (internalLinks.length > 0) {
+            const linked = insertInternalLinks(articleResult.contentHTML, internalLinks, { heading: internalLinksHeading });
+            Object.assign(articleResult, { contentHTML: linked.html, wordCount: countWords(linked.html) });
+            internalLinkReport = linked.links;
+            const placed = (placement) => internalLinkReport.filter(link => link.placement === placement).length;
+            log(`✓ Internal links: ${placed('inline')} in the text, ${placed('related')} in the related articles list${placed('existing') > 0 ? `, ${placed('existing')} already linked` : ''}`);
+        }
 
         writingCost = articleResult.cost;
         writingTokens = articleResult.usage.total_tokens;
-        console.log(`✓ Article generated (${articleResult.wordCount} words)`);
-        console.log(`  Tokens: ${writingTokens}, Cost: $${writingCost.toFixed(6)}`);
+        addToLedger(articleResult.ledger, { stage: 'writing' });
+
+        // Title and meta description variants to A/B test; the best scoring pair is used
+        let headlineRanking = null;
+        if (headlineVariants > 0) {
+            setStatus('Writing headline variants');
+            let headlines = checkpoint.restore('headlines');
+            if (!headlines) {
+                headlines = await generateHeadlineVariants(articleResult, {
+                    topic,
+                    keywords,
+                    targetAudience,
+                    tone,
+                    brandVoice,
+                    brandVoiceAutoFix,
+                    language,
+                    count: headlineVariants,
+                    writingModel,
+                    provider
+                });
+                await checkpoint.save({ headlines });
+            }
+            headlineRanking = headlines.variants;
+            const [best] = headlineRanking;
+            articleResult.title = best.title;
+            articleResult.metaDescription = best.metaDescription;
+            writingCost += headlines.cost;
+            writingTokens += headlines.usage.total_tokens;
+            addToLedger(headlines.ledger, { stage: 'headlines' });
+            log(`✓ ${headlineRanking.length} headlines ranked, using the ${best.style} one (score ${best.score}/100): "${best.title}"`);
+        }
 
-        // STEP 2: Generate table of contents
+        // FAQ and social posts for the structured data; the FAQ becomes a section of the article.
+        // It is written after the quality check, so its words are counted apart from the body's
+        let social = null;
+        let faqWordCount = 0;
+        if (includeStructuredData) {
+            setStatus('Writing the FAQ and social posts');
+            social = checkpoint.restore('social');
+            if (!social) {
+                social = await generateSocialContent(articleResult, {
+                    topic,
+                    keywords,
+                    targetAudience,
+                    tone,
+                    brandVoice,
+                    language,
+                    faqCount,
+                    writingModel,
+                    provider
+                });
+                await checkpoint.save({ social });
+            }
+            articleResult.contentHTML = appendFaqSection(articleResult.contentHTML, social.faqHTML);
+            faqWordCount = countWords(social.faqHTML);
+            writingCost += social.cost;
+            writingTokens += social.usage.total_tokens;
+            addToLedger(social.ledger, { stage: 'structuredData' });
+            log(`✓ FAQ with ${social.faq.length} questions and social posts written`);
+        }
+        log(`✓ Article ready (${articleResult.wordCount} words${faqWordCount > 0 ? ` + ${faqWordCount} in the FAQ` : ''})`);
+        log(`  Tokens: ${writingTokens}, Cost: $${writingCost.toFixed(6)}`);
+
+        // STEP 3: Generate table of contents
         let tableOfContents = [];
+        let tableOfContentsBlocks = { html: null, markdown: null };
         if (includeTableOfContents) {
-            console.log('\nStep 2/5: Generating table of contents...');
-            tableOfContents = generateTableOfContents(articleResult.contentHTML);
-            console.log(`✓ TOC generated with ${tableOfContents.length} sections`);
+            log('\nStep 3/6: Generating table of contents...');
+            const toc = buildTableOfContents(articleResult.contentHTML, { depth: tocDepth, style: tocStyle });
+            articleResult.contentHTML = toc.contentHTML;
+            tableOfContents = toc.entries;
+            tableOfContentsBlocks = { html: toc.html, markdown: toc.markdown };
+            log(`✓ TOC generated with ${tableOfContents.length} sections and ${toc.headingCount} headings${toc.addedAnchors > 0 ? ` (${toc.addedAnchors} anchors added)` : ''}`);
         } else {
-            console.log('\nStep 2/5: Skipping table of contents (disabled)');
+            log('\nStep 3/6: Skipping table of contents (disabled)');
         }
 
-        // STEP 3: Generate images
+        // STEP 4: Generate images
+        let images = [];
         let imageUrls = [];
         let imagePrompts = [];
-        if (includeImages && numberOfImages > 0) {
-            console.log(`\nStep 3/5: Generating ${numberOfImages} AI images...`);
-            const imageResult = await generateImages({
-                topic,
-                keywords,
-                articleContent: articleResult.contentHTML,
-                numberOfImages,
-                imageModel,
-                openrouterApiKey
-            });
+        let imageResult = includeImages ? checkpoint.restore('images') : undefined;
+
+        // Images only use what the writing left of the budget, minus what the translations need
+        if (includeImages && !imageResult && maxBudgetUsd !== null) {
+            const available = maxBudgetUsd - writingCost - costEstimate.translations;
+            const affordable = affordableImageCount({ numberOfImages, imageModel, imagePromptModel }, available);
+            if (affordable < numberOfImages) {
+                budgetAdjustments.push({ setting: 'numberOfImages', from: numberOfImages, to: affordable, reason: 'budget left after writing' });
+                log(`⚠ Budget: generating ${affordable} of ${numberOfImages} images`);
+                numberOfImages = affordable;
+            }
+        }
+
+        if (imageResult || (includeImages && numberOfImages > 0)) {
+            if (imageResult) {
+                log('\nStep 4/6: Images restored from checkpoint');
+            } else {
+                log(`\nStep 4/6: Generating ${numberOfImages} AI images...`);
+                setStatus(`Generating ${numberOfImages} images`);
+                imageResult = await generateImages({
+                    topic,
+                    keywords,
+                    articleContent: articleResult.contentHTML,
+                    numberOfImages,
+                    language,
+                    imageModel,
+                    imageSize,
+                    imagePromptModel,
+                    persistImages,
+                    imageFormat,
+                    imageSizes,
+                    provider
+                });
+                await checkpoint.save({ images: imageResult });
+            }
 
-            imageUrls = imageResult.imageUrls;
             imagePrompts = imageResult.prompts;
             imageCost = imageResult.cost;
             imageGenerations = imageResult.count;
-            console.log(`✓ Generated ${imageUrls.length} images, Cost: $${imageCost.toFixed(6)}`);
+            addToLedger(imageResult.ledger, { stage: 'images' });
+            log(`✓ Generated ${imageResult.images.length} images, Cost: $${imageCost.toFixed(6)}`);
+
+            // Hero image on top, the rest in their best-matching sections
+            const placement = placeImages(articleResult.contentHTML, imageResult.images, { keywords });
+            articleResult.contentHTML = placement.contentHTML;
+            images = placement.images;
+            imageUrls = images.map(image => image.url);
+            log(`✓ Placed ${images.filter(image => image.placement !== 'unplaced').length} images in the article`);
         } else {
-            console.log('\nStep 3/5: Skipping image generation (disabled)');
+            log('\nStep 4/6: Skipping image generation (disabled)');
         }
 
-        // STEP 4: Convert to Markdown
-        console.log('\nStep 4/5: Converting to Markdown...');
+        // STEP 5: Convert to Markdown
+        log('\nStep 5/6: Converting to Markdown...');
         const contentMarkdown = htmlToMarkdown(articleResult.contentHTML);
-        console.log('✓ Markdown conversion complete');
+        log('✓ Markdown conversion complete');
 
-        // STEP 5: Calculate SEO score
-        console.log('\nStep 5/5: Calculating SEO metrics...');
-        const seoScore = calculateSEOScore({
+        // STEP 6: Analyze SEO and readability
+        log('\nStep 6/6: Analyzing SEO and readability...');
+        const seoReport = analyzeSEO({
             title: articleResult.title,
             metaDescription: articleResult.metaDescription,
-            content: articleResult.contentHTML,
+            contentHTML: articleResult.contentHTML,
             keywords,
             wordCount: articleResult.wordCount,
-            hasImages: imageUrls.length > 0,
-            hasTOC: tableOfContents.length > 0
+            hasTOC: tableOfContents.length > 0,
+            slug: requestedSlug
         });
-        console.log(`✓ SEO Score: ${seoScore}/100`);
+        log(`✓ SEO Score: ${seoReport.score}/100 (${seoReport.recommendations.length} recommendations)`);
+
+        // The readability formulas are calibrated for English only
+        let readability = null;
+        if (isEnglish(language)) {
+            readability = analyzeReadability(articleResult.contentHTML, { targetAudience, tone, targetGradeLevel, keywords });
+            log(`${readability.passed ? '✓' : '⚠'} Readability: grade ${readability.fleschKincaidGrade} (target ${readability.targetGrade}, max ${readability.maxGrade}), reading ease ${readability.fleschReadingEase}`);
+        } else {
+            log('  Readability: skipped (only available for English)');
+        }
+
+        // Localized versions of the finished article; a failed translation does not fail the article
+        const translations = [];
+        const savedTranslations = checkpoint.restore('translations') ?? {};
+        if (translationLanguages.length > 0) {
+            log(`\nTranslating into ${translationLanguages.join(', ')}...`);
+            for (const targetLanguage of translationLanguages) {
+                const saved = savedTranslations[targetLanguage];
+                if (saved) {
+                    translationCost += saved.translation.cost;
+                    translationTokens += saved.tokens;
+                    addToLedger(saved.ledger, { stage: 'translation', language: targetLanguage });
+                    translations.push(saved.translation);
+                    log(`✓ ${languageName(targetLanguage)}: restored from checkpoint`);
+                    continue;
+                }
+
+                // Translations that would take the article over its budget are skipped
+                if (maxBudgetUsd !== null) {
+                    const needed = estimateTranslationCost({ wordCount: articleResult.wordCount + faqWordCount, writingModel }).cost;
+                    if (writingCost + imageCost + translationCost + needed > maxBudgetUsd) {
+                        budgetAdjustments.push({ setting: 'translateTo', from: targetLanguage, to: null, reason: 'budget left before translation' });
+                        translations.push({ language: targetLanguage, status: 'skipped', error: `Skipped to stay within the budget of $${maxBudgetUsd}` });
+                        log(`⚠ Budget: skipping the ${languageName(targetLanguage)} translation`);
+                        continue;
+                    }
+                }
+
+                try {
+                    setStatus(`Translating into ${languageName(targetLanguage)}`);
+                    const translatedDraft = await translateArticle(articleResult, {
+                        language: targetLanguage,
+                        sourceLanguage: language,
+                        keywords,
+                        images,
+                        writingModel,
+                        maxSectionRetries,
+                        provider
+                    });
+                    const sanitizedTranslation = sanitizeArticle(translatedDraft, sanitizeOptions);
+                    const translated = { ...sanitizedTranslation.article, wordCount: countWords(sanitizedTranslation.article.contentHTML) };
+                    const translatedToc = includeTableOfContents ? buildTableOfContents(translated.contentHTML, { depth: tocDepth }) : null;
+                    if (translatedToc) translated.contentHTML = translatedToc.contentHTML;
+                    translationCost += translated.cost;
+                    translationTokens += translated.usage.total_tokens;
+                    addToLedger(translated.ledger, { stage: 'translation', language: targetLanguage });
+                    const translation = {
+                        language: targetLanguage,
+                        status: 'succeeded',
+                        title: translated.title,
+                        subtitle: translated.subtitle,
+                        executiveSummary: translated.executiveSummary,
+                        summaryHeading: translated.summaryHeading,
+                        tableOfContents: translatedToc?.entries ?? [],
+                        contentHTML: translated.contentHTML,
+                        contentMarkdown: htmlToMarkdown(translated.contentHTML),
+                        metaDescription: translated.metaDescription,
+                        metaKeywords: translated.keywords,
+                        slug: suggestSlug(translated.title, translated.keywords),
+                        anchors: translated.anchors,
+                        images: translated.images,
+                        references: translated.references,
+                        referencesHeading: translated.referencesHeading,
+                        callToAction: translated.callToAction,
+                        sanitizationReport: sanitizedTranslation.report,
+                        wordCount: translated.wordCount,
+                        readingTime: readingTimeMinutes(translated.wordCount, targetLanguage),
+                        cost: parseFloat(translated.cost.toFixed(6))
+                    };
+                    translations.push(translation);
+                    savedTranslations[targetLanguage] = { translation, tokens: translated.usage.total_tokens, ledger: translated.ledger };
+                    await checkpoint.save({ translations: savedTranslations });
+                    log(`✓ ${languageName(targetLanguage)}: ${translated.wordCount} words, Cost: $${translated.cost.toFixed(6)}`);
+                } catch (error) {
+                    translations.push({ language: targetLanguage, status: 'failed', error: error.message });
+                    log(`⚠ ${languageName(targetLanguage)} translation failed: ${error.message}`);
+                }
+            }
+        }
 
         // Calculate final costs and metrics
-        const totalCost = writingCost + imageCost;
+        const totalCost = writingCost + translationCost + imageCost;
         const chargePrice = calculateChargePrice(wordCount, numberOfImages);
         const profit = chargePrice - totalCost;
         const profitMargin = (profit / chargePrice) * 100;
         const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+        const unpricedModels = [...new Set(costLedger.filter(entry => entry.estimatedPrice).map(entry => entry.model))];
 
         // Prepare complete output
         const output = {
+            // Batch status
+            status: 'succeeded',
+            batchIndex: index,
+            topic,
+            cluster,
+
             // Content
             title: articleResult.title,
             subtitle: articleResult.subtitle,
             executiveSummary: articleResult.executiveSummary,
+            summaryHeading: articleResult.summaryHeading,
             tableOfContents,
+            tableOfContentsHTML: tableOfContentsBlocks.html,
+            tableOfContentsMarkdown: tableOfContentsBlocks.markdown,
             contentHTML: articleResult.contentHTML,
             contentMarkdown,
+            outline: articleResult.outline,
+            refreshReport,
+            language,
+            translations,
 
             // SEO
             metaDescription: articleResult.metaDescription,
+            headlineVariants: headlineRanking,
             metaKeywords: keywords,
-            seoScore,
+            slug: seoReport.slug.used,
+            seoScore: seoReport.score,
+            seoReport,
+
+            // Quality
+            qualityReport,
+            sanitizationReport,
+            readability,
+            brandVoiceReport,
 
             // Images
+            images,
             imageUrls,
             imagePrompts,
 
             // References and CTA
             references: articleResult.references,
+            referencesHeading: articleResult.referencesHeading,
+            citations,
+            sources: sourceSummary,
+            linkReport,
+            internalLinks: internalLinkReport,
             callToAction: articleResult.callToAction,
 
             // Metrics
             wordCount: articleResult.wordCount,
-            readingTime: Math.ceil(articleResult.wordCount / 200), // Average reading speed
+            faqWordCount,
+            readingTime: readingTimeMinutes(articleResult.wordCount + faqWordCount, language),
 
             // Models used
             writingModel,
+            generationMode: articleResult.generationMode,
+            imagePromptModel: includeImages ? imagePromptModel : null,
             imageModel: includeImages ? imageModel : null,
 
             // Usage statistics
             usage: {
                 writing_tokens: writingTokens,
+                translation_tokens: translationTokens,
                 image_generations: imageGenerations
             },
 
             // Cost tracking
             writingCost: parseFloat(writingCost.toFixed(6)),
+            translationCost: parseFloat(translationCost.toFixed(6)),
             imageCost: parseFloat(imageCost.toFixed(6)),
             cost: parseFloat(totalCost.toFixed(6)),
             chargePrice,
             profit: parseFloat(profit.toFixed(6)),
             profitMargin: parseFloat(profitMargin.toFixed(2)),
+            budget: formatBudget(maxBudgetUsd, costEstimate, budgetAdjustments, totalCost),
+            costLedger,
+            pricesEstimated: unpricedModels.length > 0,
+            unpricedModels,
 
             // Metadata
+            resumedStages: checkpoint.resumedStages,
             duration: parseFloat(duration),
             generatedAt: new Date().toISOString()
         };
 
+        // Structured data and social tags describe the finished post, so they are built last
+        if (social) {
+            const url = siteUrl ? `${siteUrl.replace(/\/+$/, '')}/${output.slug}` : null;
+            const dates = { datePublished: article.publishAt || output.generatedAt, dateModified: output.generatedAt };
+            output.faq = social.faq;
+            output.structuredData = buildStructuredData(output, { schemaType, url, authorName, authorUrl, publisherName, publisherLogoUrl, ...dates });
+            output.socialMeta = buildSocialMeta(output, {
+                title: social.socialTitle,
+                description: social.socialDescription,
+                url,
+                siteName: publisherName,
+                twitterHandle,
+                authorUrl,
+                ...dates
+            });
+            output.socialPosts = buildSocialPosts(social, { url });
+            log(`✓ Structured data: ${[schemaType, output.structuredData.faqPage && 'FAQPage'].filter(Boolean).join(', ')}, ${output.socialMeta.tags.length} social meta tags`);
+        }
+
+        // Store the requested export formats and link them from the dataset item
+        if (outputFormats.length > 0) {
+            log(`\nStoring output formats: ${outputFormats.join(', ')}...`);
+            const slug = output.slug || 'article';
+            output.exports = await storeOutputFormats(output, outputFormats, {
+                keyPrefix: total > 1 ? `${slug.slice(0, 70)}-${index + 1}` : slug.slice(0, 80)
+            });
+            log(`✓ Stored ${Object.keys(output.exports).length} output formats`);
+        }
+
+        // Publish to the configured targets and record the created posts
+        if (article.publishTo?.length > 0) {
+            log(`\n${publishDryRun ? 'Dry run: publishing' : 'Publishing'} to ${article.publishTo.join(', ')}...`);
+            setStatus('Publishing');
+            output.published = checkpoint.restore('published');
+            if (output.published) {
+                log('✓ Already published before the restart, not publishing again');
+            } else {
+                output.published = await publishArticle(output, article, publishers, {
+                    dryRun: publishDryRun,
+                    log
+                });
+                await checkpoint.save({ published: output.published });
+            }
+        }
+
         // Save to dataset
         await Actor.pushData(output);
 
         // Print summary
-        console.log('\n========================================');
-        console.log('✓ BLOG ARTICLE GENERATED SUCCESSFULLY!');
-        console.log('========================================');
-        console.log(`Title: ${output.title}`);
-        console.log(`Word Count: ${output.wordCount} words`);
-        console.log(`Reading Time: ${output.readingTime} minutes`);
-        console.log(`SEO Score: ${output.seoScore}/100`);
-        console.log(`Images: ${output.imageUrls.length}`);
-        console.log(`References: ${output.references.length}`);
-        console.log('----------------------------------------');
-        console.log(`Writing Cost: $${output.writingCost}`);
-        console.log(`Image Cost: $${output.imageCost}`);
-        console.log(`Total Cost: $${output.cost}`);
-        console.log(`Charge Price: $${output.chargePrice}`);
-        console.log(`Profit: $${output.profit} (${output.profitMargin}% margin)`);
-        console.log(`Duration: ${output.duration}s`);
-        console.log('========================================\n');
+        log('\n========================================');
+        log('✓ BLOG ARTICLE GENERATED SUCCESSFULLY!');
+        log('========================================');
+        log(`Title: ${output.title}`);
+        log(`Word Count: ${output.wordCount} words${output.faqWordCount > 0 ? ` + ${output.faqWordCount} in the FAQ` : ''}`);
+        log(`Reading Time: ${output.readingTime} minutes`);
+        log(`SEO Score: ${output.seoScore}/100`);
+        log(`Images: ${output.imageUrls.length}`);
+        log(`References: ${output.references.length}`);
+        if (translations.length > 0) log(`Translations: ${translations.filter(entry => entry.status === 'succeeded').length}/${translations.length}`);
+        log('----------------------------------------');
+        log(`Writing Cost: $${output.writingCost}`);
+        if (translations.length > 0) log(`Translation Cost: $${output.translationCost}`);
+        log(`Image Cost: $${output.imageCost}`);
+        log(`Total Cost: $${output.cost}${output.pricesEstimated ? ' (estimated prices)' : ''}`);
+        if (maxBudgetUsd !== null) log(`Budget: $${maxBudgetUsd} (estimated $${output.budget.estimate.total})`);
+        log(`Charge Price: $${output.chargePrice}`);
+        log(`Profit: $${output.profit} (${output.profitMargin}% margin)`);
+        log(`Duration: ${output.duration}s`);
+        log('========================================\n');
+
+        const result = { status: 'succeeded', index, topic, title: output.title, slug: output.slug, cost: output.cost, internalLinks: internalLinkReport };
+        await checkpoint.complete(result);
+        return result;
 
     } catch (error) {
-        console.error('\n❌ Error generating blog article:', error.message);
+        console.error(`\n${label}❌ Error generating blog article:`, error.message);
         if (error.response) {
             console.error('API Response:', error.response.data);
         }
-        throw error;
+        return recordFailure(article, index, error, {
+            writingCost: parseFloat(writingCost.toFixed(6)),
+            translationCost: parseFloat(translationCost.toFixed(6)),
+            imageCost: parseFloat(imageCost.toFixed(6)),
+            cost: parseFloat((writingCost + translationCost + imageCost).toFixed(6)),
+            costLedger,
+            duration: parseFloat(((Date.now() - startTime) / 1000).toFixed(2))
+        });
     }
-});
+}
 
 /**
- * Generate the main article content using AI
+ * Push a failed dataset item for an article and return its batch result
  */
-async function generateArticle(options) {
-    const {
-        topic,
-        keywords,
-        targetAudience,
-        wordCount,
-        tone,
-        industryContext,
-        includeExecutiveSummary,
-        includeReferences,
-        includeCallToAction,
-        ctaText,
-        writingModel,
-        openrouterApiKey
-    } = options;
-
-    const prompt = buildArticlePrompt({
-        topic,
-        keywords,
-        targetAudience,
-        wordCount,
-        tone,
-        industryContext,
-        includeExecutiveSummary,
-        includeReferences,
-        includeCallToAction,
-        ctaText
+async function recordFailure(article, index, error, costs = {}) {
+    await Actor.pushData({
+        status: 'failed',
+        batchIndex: index,
+        topic: article?.topic ?? null,
+        metaKeywords: Array.isArray(article?.keywords) ? article.keywords : [],
+        error: error.message,
+        writingCost: 0,
+        imageCost: 0,
+        cost: 0,
+        ...costs,
+        generatedAt: new Date().toISOString()
     });
 
-    const result = await callOpenRouterText(prompt, writingModel, openrouterApiKey);
-
-    // Parse the JSON response
-    let articleData;
-    try {
-        articleData = JSON.parse(result.content);
-    } catch (parseError) {
-        console.error('Failed to parse article JSON:', result.content);
-        throw new Error('AI returned invalid JSON response');
-    }
-
-    // Calculate cost
-    const cost = calculateTextCost(result.usage, writingModel);
-
-    return {
-        title: articleData.title,
-        subtitle: articleData.subtitle || '',
-        executiveSummary: articleData.executiveSummary || '',
-        contentHTML: articleData.contentHTML,
-        metaDescription: articleData.metaDescription,
-        references: articleData.references || [],
-        callToAction: articleData.callToAction || '',
-        wordCount: countWords(articleData.contentHTML),
-        usage: result.usage,
-        cost: cost.totalCost
-    };
+    return { status: 'failed', index, topic: article?.topic, error: error.message, cost: costs.cost ?? 0 };
 }
 
 /**
- * Build the article generation prompt
+ * Budget report for the dataset item: the cap, the pre-flight estimate, what was cut to
+ * stay within it and whether the actual cost did (null when there is no cap or cost yet)
  */
-function buildArticlePrompt(options) {
-    const {
-        topic,
-        keywords,
-        targetAudience,
-        wordCount,
-        tone,
-        industryContext,
-        includeExecutiveSummary,
-        includeReferences,
-        includeCallToAction,
-        ctaText
-    } = options;
-
-    const industryText = industryContext ? `\nIndustry/Context: ${industryContext}` : '';
-    const ctaTextInfo = ctaText ? `\nUse this CTA text: "${ctaText}"` : '';
-
-    return `You are an expert professional blog writer and content strategist. Create a comprehensive, well-researched, and engaging blog article.
-
-ARTICLE REQUIREMENTS:
-Topic: "${topic}"
-Target Audience: ${targetAudience}
-Target Length: ${wordCount} words (aim for 90-110% of this target)
-Writing Tone: ${tone}
-SEO Keywords: ${keywords.join(', ')}${industryText}
-
-CONTENT STRUCTURE:
-1. Compelling, professional title (50-70 characters, SEO optimized)
-2. Engaging subtitle that complements the title${includeExecutiveSummary ? '\n3. Executive Summary (100-150 words) - concise overview for busy executives' : ''}
-4. Introduction that hooks the reader
-5. Main content with:
-   - Well-organized sections using H2 headings
-   - Subsections with H3 headings where appropriate
-   - Each section 300-500 words
-   - Clear, logical flow between sections
-   - Data, statistics, or expert insights where relevant
-   - Practical examples and actionable advice
-   - Bullet points and numbered lists for clarity
-6. Strong conclusion that summarizes key points${includeCallToAction ? `\n7. Call-to-Action section${ctaTextInfo}` : ''}${includeReferences ? '\n8. References section with 5-8 suggested authoritative sources' : ''}
-
-WRITING GUIDELINES:
-- Use ${tone} language throughout
-- Write for ${targetAudience} specifically
-- Naturally integrate keywords: ${keywords.join(', ')}
-- Use concrete examples and real-world applications
-- Include transitional phrases between sections
-- Write in active voice
-- Use short paragraphs (3-4 sentences max)
-- Include varied sentence structure
-- Ensure content is original, informative, and valuable
-- Make it scannable with clear headings and formatting
-
-HTML FORMATTING:
-- Use semantic HTML5 tags
-- H2 for main sections (use id attributes for anchors: id="section-name")
-- H3 for subsections
-- <p> for paragraphs
-- <strong> for emphasis
-- <em> for softer emphasis
-- <ul> and <li> for bullet lists
-- <ol> and <li> for numbered lists
-- <blockquote> for quotes or callouts
-- NO H1 tags (that's for the title)
-
-SEO OPTIMIZATION:
-- Meta description: 150-160 characters, compelling, includes main keyword
-- Natural keyword integration (avoid keyword stuffing)
-- Front-load important keywords in title and first paragraph
-- Use semantic variations of keywords
-- Optimize headings with keywords
-
-Return the result in this exact JSON format:
-{
-    "title": "Professional, SEO-optimized article title",
-    "subtitle": "Engaging subtitle that complements the title",
-    "executiveSummary": "${includeExecutiveSummary ? '100-150 word executive summary' : ''}",
-    "contentHTML": "<h2 id='introduction'>Introduction</h2><p>Full HTML article content with proper semantic tags...</p>",
-    "metaDescription": "150-160 character SEO meta description",
-    "references": ${includeReferences ? '["Source 1: Title - URL or description", "Source 2: ..."]' : '[]'},
-    "callToAction": "${includeCallToAction ? '<div class=\\"cta\\"><h3>Ready to Get Started?</h3><p>CTA content...</p></div>' : ''}"
-}
-
-IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+function formatBudget(maxBudgetUsd, estimate, adjustments, actualCost) {
+    const round = (value) => parseFloat(value.toFixed(6));
+    return {
+        maxBudgetUsd,
+        estimate: {
+            writing: round(estimate.writing),
+            images: round(estimate.images),
+            translations: round(estimate.translations),
+            total: round(estimate.total),
+            unpricedModels: estimate.unpricedModels
+        },
+        adjustments,
+        withinBudget: maxBudgetUsd !== null && actualCost !== null ? actualCost <= maxBudgetUsd : null
+    };
 }
 
 /**
@@ -393,8 +978,14 @@ async function generateImages(options) {
         keywords,
         articleContent,
         numberOfImages,
+        language,
         imageModel,
-        openrouterApiKey
+        imageSize,
+        imagePromptModel,
+        persistImages,
+        imageFormat,
+        imageSizes,
+        provider
     } = options;
 
     console.log('  Generating image prompts...');
@@ -405,31 +996,59 @@ async function generateImages(options) {
         keywords,
         articleContent,
         numberOfImages,
-        openrouterApiKey
+        language,
+        imagePromptModel,
+        provider
     });
 
     const imagePrompts = promptsResult.prompts;
     console.log(`  Generated ${imagePrompts.length} image prompts`);
 
     // Generate images using the prompts
-    const imageUrls = [];
-    let totalCost = 0;
+    const images = [];
+    const ledger = [...promptsResult.ledger];
+    let totalCost = promptsResult.cost;
 
     for (let i = 0; i < imagePrompts.length; i++) {
         console.log(`  Generating image ${i + 1}/${imagePrompts.length}...`);
 
         try {
-            const imageUrl = await callOpenRouterImage(
-                imagePrompts[i],
-                imageModel,
-                openrouterApiKey
-            );
-
-            imageUrls.push(imageUrl);
+            const imageUrl = await provider.generateImage(imagePrompts[i].prompt, { model: imageModel, size: imageSize });
 
             // Calculate per-image cost
-            const pricing = MODEL_PRICING[imageModel] || { perImage: 0.04 };
+            const pricing = getImagePricing(imageModel);
             totalCost += pricing.perImage;
+            ledger.push({ task: 'image', model: imageModel, images: 1, cost: pricing.perImage, estimatedPrice: pricing.estimated });
+
+            const image = {
+                ...imagePrompts[i],
+                url: imageUrl,
+                // Data URLs are the image itself and too large to repeat in the output
+                sourceUrl: imageUrl.startsWith('data:') ? null : imageUrl,
+                persisted: false
+            };
+
+            // Provider URLs expire, so the image is copied to the key-value store
+            if (persistImages) {
+                try {
+                    const stored = await persistImage(imageUrl, { format: imageFormat, sizes: imageSizes });
+                    const primary = Object.values(stored.variants)[0];
+                    Object.assign(image, {
+                        url: primary.url,
+                        width: primary.width,
+                        height: primary.height,
+                        bytes: primary.bytes,
+                        contentType: primary.contentType,
+                        sha256: stored.sha256,
+                        variants: stored.variants,
+                        persisted: true
+                    });
+                } catch (error) {
+                    console.warn(`  ⚠ Failed to store image ${i + 1}, keeping the provider URL: ${error.message}`);
+                }
+            }
+
+            images.push(image);
 
             // Small delay between images to avoid rate limiting
             if (i < imagePrompts.length - 1) {
@@ -442,10 +1061,12 @@ async function generateImages(options) {
     }
 
     return {
-        imageUrls,
-        prompts: imagePrompts,
+        images,
+        imageUrls: images.map(image => image.url),
+        prompts: imagePrompts.map(item => item.prompt),
         cost: totalCost,
-        count: imageUrls.length
+        ledger,
+        count: images.length
     };
 }
 
@@ -458,12 +1079,17 @@ async function generateImagePrompts(options) {
         keywords,
         articleContent,
         numberOfImages,
-        openrouterApiKey
+        language,
+        imagePromptModel,
+        provider
     } = options;
 
     // Extract section headings for context
     const headings = extractHeadings(articleContent);
     const headingsText = headings.slice(0, 10).join(', ');
+    const languageText = isEnglish(language)
+        ? ''
+        : `\n- Write alt and caption in ${languageName(language)}; keep the image prompts in English`;
 
     const prompt = `Based on this blog article, generate ${numberOfImages} detailed image prompts for AI image generation.
 
@@ -480,365 +1106,45 @@ Requirements for each image prompt:
 - Diverse image subjects (not all similar)
 - Professional business/editorial style
 - Good for blog headers or section illustrations
-
-Return ONLY a JSON array of prompts, no other text:
-["Detailed prompt 1 for professional image generation...", "Detailed prompt 2...", ...]`;
-
-    const result = await callOpenRouterText(
-        prompt,
-        'anthropic/claude-3.5-sonnet',
-        openrouterApiKey,
-        1000 // Lower token limit for prompts
-    );
-
-    let prompts;
-    try {
-        prompts = JSON.parse(result.content);
-    } catch (parseError) {
-        // Fallback: try to extract array from text
-        const match = result.content.match(/\[[\s\S]*\]/);
-        if (match) {
-            prompts = JSON.parse(match[0]);
-        } else {
-            throw new Error('Failed to parse image prompts');
-        }
-    }
-
-    // Ensure we have the right number of prompts
-    prompts = prompts.slice(0, numberOfImages);
-
-    return { prompts };
-}
-
-/**
- * Call OpenRouter text generation API with retry logic
- */
-async function callOpenRouterText(prompt, model, apiKey, maxTokens = 6000, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            const response = await axios.post(
-                OPENROUTER_API_URL,
-                {
-                    model: model,
-                    messages: [
-                        {
-                            role: 'system',
-                            content: 'You are an expert professional content writer, journalist, and SEO specialist with 15+ years of experience. You create engaging, well-researched, authoritative blog content. Always return valid JSON.'
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    temperature: 0.7,
-                    max_tokens: maxTokens,
-                    response_format: { type: 'json_object' }
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'HTTP-Referer': 'https://apify.com',
-                        'X-Title': 'Apify Professional Blog Writer',
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 180000 // 3 minutes
-                }
-            );
-
-            return {
-                content: response.data.choices[0].message.content,
-                usage: response.data.usage,
-                model: response.data.model
-            };
-
-        } catch (error) {
-            if (error.response?.status === 429) {
-                const retryAfter = parseInt(error.response.headers['retry-after'] || '10');
-                if (attempt < maxRetries) {
-                    console.log(`  ⚠ Rate limited. Waiting ${retryAfter}s before retry ${attempt}/${maxRetries}...`);
-                    await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-                    continue;
-                }
-            }
-
-            if (error.response?.status === 401) {
-                throw new Error('Invalid OpenRouter API key. Get your key at https://openrouter.ai/keys');
-            }
-
-            if (error.response?.status >= 500 && attempt < maxRetries) {
-                const backoff = Math.pow(2, attempt) * 1000;
-                console.log(`  ⚠ Server error. Retrying in ${backoff}ms (attempt ${attempt}/${maxRetries})...`);
-                await new Promise(resolve => setTimeout(resolve, backoff));
-                continue;
-            }
-
-            throw error;
-        }
-    }
-
-    throw new Error(`Failed after ${maxRetries} attempts`);
-}
-
-/**
- * Call OpenRouter image generation API
- */
-async function callOpenRouterImage(prompt, model, apiKey, maxRetries = 3) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            const response = await axios.post(
-                OPENROUTER_IMAGE_URL,
-                {
-                    model: model,
-                    prompt: prompt,
-                    n: 1,
-                    size: '1024x1024'
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${apiKey}`,
-                        'HTTP-Referer': 'https://apify.com',
-                        'X-Title': 'Apify Professional Blog Writer',
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 120000 // 2 minutes
-                }
-            );
-
-            return response.data.data[0].url;
-
-        } catch (error) {
-            if (error.response?.status === 429) {
-                const retryAfter = parseInt(error.response.headers['retry-after'] || '10');
-                if (attempt < maxRetries) {
-                    console.log(`  ⚠ Rate limited. Waiting ${retryAfter}s before retry ${attempt}/${maxRetries}...`);
-                    await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-                    continue;
-                }
-            }
-
-            if (error.response?.status >= 500 && attempt < maxRetries) {
-                const backoff = Math.pow(2, attempt) * 1000;
-                console.log(`  ⚠ Server error. Retrying in ${backoff}ms (attempt ${attempt}/${maxRetries})...`);
-                await new Promise(resolve => setTimeout(resolve, backoff));
-                continue;
-            }
-
-            throw error;
-        }
-    }
-
-    throw new Error(`Failed to generate image after ${maxRetries} attempts`);
-}
-
-/**
- * Generate table of contents from HTML content
- */
-function generateTableOfContents(html) {
-    const toc = [];
-    const h2Regex = /<h2[^>]*id=["']([^"']+)["'][^>]*>(.*?)<\/h2>/gi;
-    let match;
-
-    while ((match = h2Regex.exec(html)) !== null) {
-        const anchor = match[1];
-        const heading = match[2].replace(/<[^>]*>/g, '').trim();
-
-        toc.push({
-            heading,
-            anchor
-        });
-    }
-
-    // If no IDs found, create them from headings
-    if (toc.length === 0) {
-        const h2SimpleRegex = /<h2[^>]*>(.*?)<\/h2>/gi;
-        let index = 1;
-
-        while ((match = h2SimpleRegex.exec(html)) !== null) {
-            const heading = match[1].replace(/<[^>]*>/g, '').trim();
-            const anchor = heading.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `section-${index}`;
-
-            toc.push({
-                heading,
-                anchor
-            });
-            index++;
-        }
-    }
-
-    return toc;
-}
-
-/**
- * Extract headings from HTML
- */
-function extractHeadings(html) {
-    const headings = [];
-    const headingRegex = /<h[23][^>]*>(.*?)<\/h[23]>/gi;
-    let match;
-
-    while ((match = headingRegex.exec(html)) !== null) {
-        const heading = match[1].replace(/<[^>]*>/g, '').trim();
-        headings.push(heading);
-    }
-
-    return headings;
-}
-
-/**
- * Convert HTML to Markdown
- */
-function htmlToMarkdown(html) {
-    let markdown = html;
-
-    // Headers
-    markdown = markdown.replace(/<h2[^>]*>(.*?)<\/h2>/gi, '\n## $1\n');
-    markdown = markdown.replace(/<h3[^>]*>(.*?)<\/h3>/gi, '\n### $1\n');
-    markdown = markdown.replace(/<h4[^>]*>(.*?)<\/h4>/gi, '\n#### $1\n');
-
-    // Paragraphs
-    markdown = markdown.replace(/<p[^>]*>(.*?)<\/p>/gi, '\n$1\n');
-
-    // Strong/Bold
-    markdown = markdown.replace(/<strong[^>]*>(.*?)<\/strong>/gi, '**$1**');
-    markdown = markdown.replace(/<b[^>]*>(.*?)<\/b>/gi, '**$1**');
-
-    // Emphasis/Italic
-    markdown = markdown.replace(/<em[^>]*>(.*?)<\/em>/gi, '*$1*');
-    markdown = markdown.replace(/<i[^>]*>(.*?)<\/i>/gi, '*$1*');
-
-    // Lists
-    markdown = markdown.replace(/<ul[^>]*>/gi, '\n');
-    markdown = markdown.replace(/<\/ul>/gi, '\n');
-    markdown = markdown.replace(/<ol[^>]*>/gi, '\n');
-    markdown = markdown.replace(/<\/ol>/gi, '\n');
-    markdown = markdown.replace(/<li[^>]*>(.*?)<\/li>/gi, '- $1');
-
-    // Blockquotes
-    markdown = markdown.replace(/<blockquote[^>]*>(.*?)<\/blockquote>/gi, '\n> $1\n');
-
-    // Links
-    markdown = markdown.replace(/<a[^>]*href=["']([^"']*)["'][^>]*>(.*?)<\/a>/gi, '[$2]($1)');
-
-    // Remove remaining HTML tags
-    markdown = markdown.replace(/<[^>]*>/g, '');
-
-    // Clean up whitespace
-    markdown = markdown.replace(/\n{3,}/g, '\n\n').trim();
-
-    return markdown;
-}
-
-/**
- * Calculate SEO score based on various factors
- */
-function calculateSEOScore(options) {
-    const {
-        title,
-        metaDescription,
-        content,
-        keywords,
-        wordCount,
-        hasImages,
-        hasTOC
-    } = options;
-
-    let score = 0;
-    const contentLower = content.toLowerCase();
-
-    // Title optimization (15 points)
-    if (title.length >= 50 && title.length <= 70) score += 10;
-    else if (title.length >= 40 && title.length <= 80) score += 5;
-
-    const titleLower = title.toLowerCase();
-    if (keywords.some(kw => titleLower.includes(kw.toLowerCase()))) score += 5;
-
-    // Meta description (10 points)
-    if (metaDescription.length >= 150 && metaDescription.length <= 160) score += 10;
-    else if (metaDescription.length >= 140 && metaDescription.length <= 170) score += 5;
-
-    // Word count (15 points)
-    if (wordCount >= 1500 && wordCount <= 3000) score += 15;
-    else if (wordCount >= 1000 && wordCount <= 4000) score += 10;
-    else if (wordCount >= 800) score += 5;
-
-    // Keyword usage (20 points)
-    let keywordScore = 0;
-    keywords.forEach(keyword => {
-        const keywordLower = keyword.toLowerCase();
-        const occurrences = (contentLower.match(new RegExp(keywordLower, 'g')) || []).length;
-        const density = occurrences / (wordCount / 100); // Percentage
-
-        // Optimal density: 0.5-2%
-        if (density >= 0.5 && density <= 2) keywordScore += 5;
-        else if (density >= 0.3 && density <= 3) keywordScore += 3;
-        else if (occurrences > 0) keywordScore += 1;
+- The first image is the hero image and represents the article as a whole
+- Every other image illustrates one of the article sections listed above
+
+For each image also write:
+- alt: SEO-friendly alt text describing what the image shows (max 125 characters), including a keyword where natural
+- caption: one short sentence connecting the image to the article
+- section: the exact article section heading the image illustrates (empty for the hero image)${languageText}
+
+Return ONLY a JSON array, no other text:
+[{"prompt": "Detailed prompt 1 for professional image generation...", "alt": "Alt text", "caption": "Caption", "section": ""}, ...]`;
+
+    const tracker = createUsageTracker(imagePromptModel);
+    const result = await provider.generateText(prompt, {
+        model: imagePromptModel,
+        maxTokens: 1000, // Lower token limit for prompts
+        task: 'imagePrompts'
+    });
+    tracker.track(result);
+
+    // JSON mode often wraps the array in an object; the parser picks out the array either way
+    const items = await parseStructuredOutput(result, {
+        schema: 'array',
+        label: 'image prompts',
+        provider,
+        model: imagePromptModel,
+        track: tracker.track
     });
-    score += Math.min(keywordScore, 20);
-
-    // Heading structure (15 points)
-    const h2Count = (content.match(/<h2[^>]*>/gi) || []).length;
-    const h3Count = (content.match(/<h3[^>]*>/gi) || []).length;
-
-    if (h2Count >= 3 && h2Count <= 8) score += 10;
-    else if (h2Count >= 2) score += 5;
-
-    if (h3Count >= 2) score += 5;
-
-    // Images (10 points)
-    if (hasImages) score += 10;
-
-    // Table of contents (5 points)
-    if (hasTOC) score += 5;
-
-    // List usage (5 points)
-    const hasLists = /<[uo]l>/i.test(content);
-    if (hasLists) score += 5;
-
-    // Internal structure (5 points)
-    const hasParagraphs = (content.match(/<p>/gi) || []).length >= 5;
-    if (hasParagraphs) score += 5;
-
-    return Math.min(score, 100);
-}
-
-/**
- * Calculate charge price based on article complexity
- */
-function calculateChargePrice(wordCount, numberOfImages) {
-    // Base price: $2.00 for basic article
-    let price = 2.00;
-
-    // Word count pricing
-    if (wordCount >= 3000) price += 3.00;
-    else if (wordCount >= 2000) price += 2.00;
-    else if (wordCount >= 1500) price += 1.00;
-
-    // Image pricing
-    price += numberOfImages * 0.50;
-
-    return parseFloat(price.toFixed(2));
-}
-
-/**
- * Calculate text generation cost
- */
-function calculateTextCost(usage, model) {
-    const pricing = MODEL_PRICING[model] || MODEL_PRICING['anthropic/claude-3.5-sonnet'];
-
-    const inputCost = (usage.prompt_tokens / 1000000) * pricing.input;
-    const outputCost = (usage.completion_tokens / 1000000) * pricing.output;
-
-    return {
-        inputCost,
-        outputCost,
-        totalCost: inputCost + outputCost
-    };
-}
 
-/**
- * Count words in HTML content
- */
-function countWords(html) {
-    const text = html.replace(/<[^>]*>/g, '').trim();
-    return text.split(/\s+/).filter(word => word.length > 0).length;
+    // Accept plain prompt strings as well as prompt objects, and the right number of them
+    const prompts = items
+        .map(item => (typeof item === 'string' ? { prompt: item } : item))
+        .filter(item => typeof item?.prompt === 'string' && item.prompt.trim())
+        .slice(0, numberOfImages)
+        .map(item => ({
+            prompt: item.prompt.trim(),
+            alt: typeof item.alt === 'string' ? item.alt : '',
+            caption: typeof item.caption === 'string' ? item.caption : '',
+            section: typeof item.section === 'string' ? item.section : ''
+        }));
+
+    return { prompts, cost: tracker.cost, ledger: tracker.ledger };
 }
@@ -0,0 +1,388 @@
+import { parseDocument } from 'htmlparser2';
+
+// Elements rendered as Markdown blocks; everything else is treated as inline content
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+    'pre', 'section', 'table', 'ul'
+]);
+
+// Elements whose content never ends up in the Markdown
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'template', 'noscript', 'iframe', 'svg', 'button', 'form']);
+
+// Inline elements without a Markdown equivalent that are kept as HTML
+const RAW_INLINE_TAGS = new Set(['sup', 'sub', 'kbd', 'mark']);
+
+// Inline elements rendered as emphasis, with their Markdown delimiter
+const EMPHASIS_DELIMITERS = new Map([
+    ['strong', '**'], ['b', '**'],
+    ['em', '*'], ['i', '*'], ['cite', '*'],
+    ['del', '~~'], ['s', '~~'], ['strike', '~~']
+]);
+
+// The marker a rendered list item starts with; paragraphs have theirs escaped
+const LIST_MARKER_REGEX = /^(?:(-)|\d+(\.)) /;
+
+/**
+ * Convert article HTML to GitHub-flavored Markdown.
+ *
+ * Supports headings (with their ids as inline `<a id>` anchors, so jump links keep
+ * working), paragraphs, nested and ordered lists, blockquotes, tables, inline and fenced
+ * code, figures and images, links with titles and horizontal rules. Set `headingIds` to
+ * 'attribute' for kramdown-style `{#id}` attributes (which GFM renders literally), or to
+ * false to drop them. With `mdx` the output is also valid MDX: braces are escaped and
+ * inline HTML is self-closing.
+ */
+export function htmlToMarkdown(html, options = {}) {
+    const { mdx = false, headingIds = 'html' } = options;
+    const document = parseDocument(String(html ?? ''), { decodeEntities: true });
+
+    return renderBlocks(document.children, { headingIds, mdx }).trim();
+}
+
+/**
+ * Render a list of sibling nodes as Markdown blocks.
+ * Runs of inline nodes between block elements become paragraphs.
+ */
+function renderBlocks(nodes, context, separator = '\n\n') {
+    const blocks = [];
+    let inline = [];
+
+    const flushInline = () => {
+        const text = renderParagraph(inline, context);
+        if (text) blocks.push(text);
+        inline = [];
+    };
+
+    for (const node of nodes) {
+        if (isBlock(node)) {
+            flushInline();
+            const block = renderBlock(node, context).replace(/^\n+|\s+$/g, '');
+            if (!block.trim()) continue;
+            // Two lists of the same kind in a row would merge into one, so a comment keeps them apart
+            if (blocks.length > 0 && continuesList(blocks[blocks.length - 1], block)) {
+                blocks.push(context.mdx ? '{/* */}' : '<!-- -->');
+            }
+            blocks.push(block);
+        } else if (!isSkipped(node)) {
+            inline.push(node);
+        }
+    }
+    flushInline();
+
+    return blocks.join(separator);
+}
+
+/**
+ * Render one block-level element
+ */
+function renderBlock(element, context) {
+    const { name } = element;
+
+    if (/^h[1-6]$/.test(name)) {
+        const text = renderInline(element.children, context).replace(/\\\n/g, ' ').trim();
+        if (!text) return '';
+        return `${'#'.repeat(Number(name[1]))} ${text}${renderHeadingId(element.attribs.id, context)}`;
+    }
+
+    switch (name) {
+        case 'p':
+        case 'dt':
+        case 'dd':
+            return renderParagraph(element.children, context);
+        case 'ul':
+        case 'ol':
+            return renderList(element, context);
+        case 'blockquote':
+            return prefixLines(renderBlocks(element.children, context), '> ', '>');
+        case 'pre':
+            return renderCodeBlock(element);
+        case 'table':
+            return renderTable(element, context);
+        case 'figure':
+            return renderBlocks(element.children, context, '\n');
+        case 'figcaption': {
+            const caption = renderInline(element.children, context).trim();
+            return caption ? wrap(caption, '_') : '';
+        }
+        case 'hr':
+            return '---';
+        default:
+            // Containers (div, section, article, ...) only contribute their content
+            return renderBlocks(element.children, context);
+    }
+}
+
+/**
+ * Render inline nodes as a paragraph, escaping line starts that would read as Markdown syntax
+ */
+function renderParagraph(nodes, context) {
+    return renderInline(nodes, context)
+        .trim()
+        .split('\n')
+        .map(line => escapeLineStart(line.replace(/^ +/, '')))
+        .join('\n');
+}
+
+/**
+ * Render inline nodes (text, emphasis, links, code, images, line breaks)
+ */
+function renderInline(nodes, context) {
+    let output = '';
+
+    for (const node of mergeEmphasisRuns(nodes)) {
+        if (node.type === 'text') {
+            output += escapeText(node.data.replace(/\s+/g, ' '), context);
+        } else if (isElement(node) && !isSkipped(node)) {
+            output += renderInlineElement(node, context);
+        }
+    }
+
+    // Collapse the whitespace left between adjacent text nodes and elements
+    return output.replace(/ {2,}/g, ' ').replace(/ ?\\\n ?/g, '\\\n');
+}
+
+/**
+ * Render one inline element
+ */
+function renderInlineElement(element, context) {
+    const { name, attribs } = element;
+
+    if (EMPHASIS_DELIMITERS.has(name)) {
+        return wrap(renderInline(element.children, context), EMPHASIS_DELIMITERS.get(name));
+    }
+
+    switch (name) {
+        case 'code':
+            return renderInlineCode(textContent(element));
+        case 'br':
+            return context.inTable ? (context.mdx ? '<br />' : '<br>') : '\\\n';
+        case 'img':
+            return renderImage(element, context);
+        case 'a': {
+            const text = renderInline(element.children, context).trim();
+            if (!attribs.href) return text;
+            return `[${text || attribs.href}](${formatDestination(attribs.href)}${formatTitle(attribs.title)})`;
+        }
+        default:
+            if (RAW_INLINE_TAGS.has(name)) {
+                return `<${name}>${renderInline(element.children, context)}</${name}>`;
+            }
+            // Blocks nested in inline context (e.g. a list inside a table cell) are flattened to text
+            return renderInline(element.children, context);
+    }
+}
+
+/**
+ * Merge adjacent emphasis elements that share a delimiter: `*x**y*` would read as
+ * different emphasis than `<em>x</em><em>y</em>`, so they render as one `*xy*` run
+ */
+function mergeEmphasisRuns(nodes) {
+    const merged = [];
+
+    for (const node of nodes) {
+        const previous = merged[merged.length - 1];
+        const delimiter = isElement(node) && EMPHASIS_DELIMITERS.get(node.name);
+
+        if (delimiter && previous && isElement(previous) && EMPHASIS_DELIMITERS.get(previous.name) === delimiter) {
+            merged[merged.length - 1] = { type: 'tag', name: previous.name, attribs: previous.attribs, children: [...previous.children, ...node.children] };
+        } else {
+            merged.push(node);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Whether a rendered block starts a list of the same kind as the one the previous block ends with
+ */
+function continuesList(previous, block) {
+    const lastLine = previous.split('\n').filter(line => /^\S/.test(line)).pop() ?? '';
+    const before = lastLine.match(LIST_MARKER_REGEX);
+    const after = block.match(LIST_MARKER_REGEX);
+
+    return Boolean(before && after) && Boolean(before[1]) === Boolean(after[1]);
+}
+
+/**
+ * Render an ordered or unordered list, indenting nested content under each marker
+ */
+function renderList(list, context) {
+    const ordered = list.name === 'ol';
+    const start = parseInt(list.attribs.start, 10);
+    let number = Number.isInteger(start) ? start : 1;
+
+    const items = list.children.filter(node => isElement(node) && node.name === 'li');
+    const loose = items.some(item => item.children.some(child => isElement(child) && child.name === 'p'));
+
+    const rendered = items.map(item => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const content = renderBlocks(item.children, context, loose ? '\n\n' : '\n');
+        const indent = ' '.repeat(marker.length);
+
+        return marker + content
+            .split('\n')
+            .map((line, i) => (i === 0 || line === '' ? line : indent + line))
+            .join('\n');
+    });
+
+    return rendered.join(loose ? '\n\n' : '\n');
+}
+
+/**
+ * Render <pre> as a fenced code block, taking the language from a language-* or lang-* class
+ */
+function renderCodeBlock(pre) {
+    const code = pre.children.find(node => isElement(node) && node.name === 'code');
+    const className = [code?.attribs.class, pre.attribs.class].filter(Boolean).join(' ');
+    const language = (className.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/) || [])[1] || '';
+    const text = textContent(pre).replace(/^\n/, '').replace(/\n$/, '');
+
+    // The fence must be longer than any backtick run inside the code
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+
+    return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Render inline code with enough backticks to contain any backticks in the code
+ */
+function renderInlineCode(text) {
+    const code = text.replace(/\s+/g, ' ');
+    if (!code) return '';
+
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+
+    return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+/**
+ * Render a table as a GFM pipe table. The first row is used as the header row.
+ */
+function renderTable(table, context) {
+    const rows = findRows(table).map(row => row.children
+        .filter(cell => isElement(cell) && (cell.name === 'th' || cell.name === 'td'))
+        .flatMap(cell => {
+            const text = renderInline(cell.children, { ...context, inTable: true })
+                .trim()
+                .replace(/\|/g, '\\|');
+            const span = Math.max(1, parseInt(cell.attribs.colspan, 10) || 1);
+            return [{ text, align: readAlignment(cell) }, ...Array.from({ length: span - 1 }, () => ({ text: '', align: null }))];
+        }))
+        .filter(row => row.length > 0);
+
+    if (rows.length === 0) return '';
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const cellsOf = row => Array.from({ length: columns }, (_, i) => row[i]?.text ?? '');
+    const toLine = cells => `| ${cells.join(' | ')} |`;
+
+    const [header, ...body] = rows;
+    const divider = Array.from({ length: columns }, (_, i) => {
+        const align = header[i]?.align ?? body.find(row => row[i]?.align)?.[i]?.align;
+        if (align === 'center') return ':---:';
+        if (align === 'right') return '---:';
+        if (align === 'left') return ':---';
+        return '---';
+    });
+
+    return [toLine(cellsOf(header)), toLine(divider), ...body.map(row => toLine(cellsOf(row)))].join('\n');
+}
+
+/**
+ * Collect the rows of a table in document order (thead, tbody, tfoot or direct children)
+ */
+function findRows(element) {
+    return element.children
+        .filter(isElement)
+        .flatMap(child => {
+            if (child.name === 'tr') return [child];
+            if (['thead', 'tbody', 'tfoot'].includes(child.name)) return findRows(child);
+            return [];
+        });
+}
+
+function readAlignment(cell) {
+    const style = (cell.attribs.style || '').match(/text-align\s*:\s*(left|center|right)/i);
+    const align = (style ? style[1] : cell.attribs.align || '').toLowerCase();
+    return ['left', 'center', 'right'].includes(align) ? align : null;
+}
+
+function renderImage(img, context) {
+    const { src, alt = '', title } = img.attribs;
+    if (!src) return '';
+    return `![${escapeText(alt.replace(/\s+/g, ' ').trim(), context)}](${formatDestination(src)}${formatTitle(title)})`;
+}
+
+function renderHeadingId(id, context) {
+    if (!id || !context.headingIds) return '';
+    return context.headingIds === 'html' ? ` <a id="${id.replace(/"/g, '&quot;')}"></a>` : ` {#${id}}`;
+}
+
+/**
+ * Wrap text in emphasis delimiters, keeping surrounding whitespace outside them
+ */
+function wrap(text, delimiter) {
+    const [, leading, content, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return content ? `${leading}${delimiter}${content}${delimiter}${trailing}` : leading + trailing;
+}
+
+/**
+ * Link and image destinations with spaces or parentheses are wrapped in angle brackets
+ */
+function formatDestination(url) {
+    const trimmed = url.trim();
+    return /[\s()<>]/.test(trimmed) ? `<${trimmed.replace(/[<>]/g, encodeURIComponent)}>` : trimmed;
+}
+
+function formatTitle(title) {
+    return title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+}
+
+/**
+ * Escape characters that Markdown would otherwise read as formatting
+ */
+function escapeText(text, context) {
+    const escaped = text
+        .replace(/([\\`*[\]])/g, '\\$1')
+        .replace(/(^|\W)_|_(?=\W|$)/g, (match, before = '') => `${before}\\_`)
+        .replace(/<(?=[A-Za-z/!?])/g, '&lt;');
+
+    // MDX reads braces as JavaScript expressions and every < as JSX
+    return context.mdx ? escaped.replace(/[{}]/g, '\\$&').replace(/</g, '&lt;') : escaped;
+}
+
+/**
+ * Escape a line start that would otherwise become a heading, quote, list item or rule
+ */
+function escapeLineStart(line) {
+    return line
+        .replace(/^(#{1,6}(?:\s|$)|>|[-+](?=\s|$)|=+\s*$)/, '\\$1')
+        .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2');
+}
+
+function prefixLines(text, prefix, emptyPrefix) {
+    return text.split('\n').map(line => (line ? prefix + line : emptyPrefix)).join('\n');
+}
+
+function textContent(node) {
+    if (node.type === 'text') return node.data;
+    if (node.name === 'br') return '\n';
+    return (node.children || []).map(textContent).join('');
+}
+
+function isElement(node) {
+    return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+function isBlock(node) {
+    return isElement(node) && BLOCK_TAGS.has(node.name);
+}
+
+function isSkipped(node) {
+    return node.type === 'comment' || node.type === 'directive' || (isElement(node) && SKIPPED_TAGS.has(node.name));
+}
@@ -0,0 +1,276 @@
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { Actor } from 'apify';
+
+export const MODEL_TYPES = ['text', 'image'];
+
+// The stages that pick their own model, with the model type each one needs
+const STAGES = {
+    writingModel: { type: 'text', label: 'writing model' },
+    imagePromptModel: { type: 'text', label: 'image prompt model' },
+    imageModel: { type: 'image', label: 'image model' }
+};
+
+// Output limit for models that are not in the registry (e.g. on self-hosted servers)
+const UNKNOWN_MODEL_MAX_OUTPUT_TOKENS = 6000;
+
+const IMAGE_SIZE_REGEX = /^\d+x\d+$/;
+
+// Models shipped with the actor; a JSON file and a key-value store record can add to them
+const BUNDLED_REGISTRY = normalizeModelRegistry(
+    JSON.parse(readFileSync(new URL('./models.json', import.meta.url), 'utf8')),
+    'models.json'
+);
+
+let registry = BUNDLED_REGISTRY;
+
+/**
+ * Load the model registry used by the run: the bundled models.json, then the models of a
+ * JSON `file` and of a key-value store record (`recordKey`) on top. Models are added or
+ * replaced as a whole; `defaults` and `fallbackPricing` are merged key by key.
+ */
+export async function loadModelRegistry(options = {}) {
+    const { file = null, recordKey = null } = options;
+
+    let loaded = BUNDLED_REGISTRY;
+    if (file) {
+        let content;
+        try {
+            content = await readFile(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Could not read the model registry file "${file}": ${error.message}`);
+        }
+        loaded = mergeRegistries(loaded, normalizeModelRegistry(parseRegistry(content, file), file));
+    }
+    if (recordKey) {
+        const record = await Actor.getValue(recordKey);
+        if (record === null || record === undefined) {
+            throw new Error(`Model registry record "${recordKey}" not found`);
+        }
+        const data = Buffer.isBuffer(record) || typeof record === 'string' ? parseRegistry(record.toString(), recordKey) : record;
+        loaded = mergeRegistries(loaded, normalizeModelRegistry(data, recordKey));
+    }
+
+    validateDefaults(loaded);
+    registry = loaded;
+    return registry;
+}
+
+/**
+ * Validate a registry and bring it into one shape.
+ *
+ * Registry:
+ *   {
+ *     defaults: { writingModel, imagePromptModel, imageModel },
+ *     fallbackPricing: { text: { input, output }, image: { perImage } },
+ *     models: {
+ *       "openai/gpt-4o": { type: "text", name, pricing: { input, output }, contextWindow, maxOutputTokens, jsonMode },
+ *       "openai/dall-e-3": { type: "image", name, pricing: { perImage }, imageSizes: ["1024x1024"] }
+ *     }
+ *   }
+ *
+ * Text prices are USD per million tokens, image prices USD per image.
+ */
+export function normalizeModelRegistry(data, label) {
+    if (!isObject(data)) {
+        throw new Error(`Model registry "${label}" must be a JSON object`);
+    }
+    if (data.models !== undefined && !isObject(data.models)) {
+        throw new Error(`Model registry "${label}": models must be an object keyed by model ID`);
+    }
+
+    const models = {};
+    for (const [id, model] of Object.entries(data.models ?? {})) {
+        models[id] = normalizeModel(model, `Model "${id}" in registry "${label}"`);
+    }
+
+    const defaults = {};
+    for (const [stage, id] of Object.entries(data.defaults ?? {})) {
+        if (!Object.hasOwn(STAGES, stage)) {
+            throw new Error(`Model registry "${label}": unknown default "${stage}". Use: ${Object.keys(STAGES).join(', ')}`);
+        }
+        if (typeof id !== 'string' || !id.trim()) {
+            throw new Error(`Model registry "${label}": the default ${STAGES[stage].label} must be a model ID`);
+        }
+        defaults[stage] = id.trim();
+    }
+
+    const fallbackPricing = {};
+    if (data.fallbackPricing?.text !== undefined) {
+        fallbackPricing.text = normalizePricing(data.fallbackPricing.text, 'text', `Fallback text pricing in registry "${label}"`);
+    }
+    if (data.fallbackPricing?.image !== undefined) {
+        fallbackPricing.image = normalizePricing(data.fallbackPricing.image, 'image', `Fallback image pricing in registry "${label}"`);
+    }
+
+    return { defaults, fallbackPricing, models };
+}
+
+/**
+ * Registry entry of a model, or null when the model is not registered
+ */
+export function getModel(id) {
+    return Object.hasOwn(registry.models, id) ? registry.models[id] : null;
+}
+
+/**
+ * IDs of the registered models of one type
+ */
+export function listModels(type) {
+    return Object.keys(registry.models).filter(id => registry.models[id].type === type);
+}
+
+/**
+ * Prices assumed for unregistered models of a type
+ */
+export function getFallbackPricing(type) {
+    return registry.fallbackPricing[type];
+}
+
+/**
+ * Largest response a text model can return, in tokens
+ */
+export function maxOutputTokens(model) {
+    return getModel(model)?.maxOutputTokens ?? UNKNOWN_MODEL_MAX_OUTPUT_TOKENS;
+}
+
+/**
+ * Output tokens to request for a prompt: the wanted amount, within the model's output
+ * limit and the room its context window leaves after the prompt (~4 characters per token)
+ */
+export function outputTokenLimit(model, prompt, wanted = maxOutputTokens(model)) {
+    const entry = getModel(model);
+    const limit = Math.min(wanted, maxOutputTokens(model));
+    if (!entry?.contextWindow) return limit;
+
+    return Math.max(1, Math.min(limit, entry.contextWindow - Math.ceil(prompt.length / 4)));
+}
+
+/**
+ * Whether a model supports a JSON response format. Unregistered models are assumed to.
+ */
+export function supportsJsonMode(model) {
+    return getModel(model)?.jsonMode ?? true;
+}
+
+/**
+ * Pick the model of every stage (article, image prompts, images) and the image size from
+ * the article input and the registry defaults, and validate them against the registry.
+ * With `requireRegistered`, models that are not in the registry are rejected; otherwise
+ * they are allowed (self-hosted servers name their own models) and priced as estimates.
+ */
+export function resolveStageModels(article, options = {}) {
+    const { requireRegistered = false } = options;
+
+    const writingModel = article.writingModel || registry.defaults.writingModel;
+    const models = {
+        writingModel,
+        // Self-hosted endpoints only serve their own models, so they reuse the writing model
+        imagePromptModel: article.imagePromptModel || (requireRegistered ? registry.defaults.imagePromptModel : writingModel),
+        imageModel: article.imageModel || registry.defaults.imageModel
+    };
+
+    for (const [stage, id] of Object.entries(models)) {
+        const { type, label } = STAGES[stage];
+        if (typeof id !== 'string') {
+            throw new Error(`The ${label} must be a model ID`);
+        }
+
+        const entry = getModel(id);
+        if (entry && entry.type !== type) {
+            throw new Error(`"${id}" is ${entry.type === 'image' ? 'an image' : 'a text'} model and cannot be the ${label}`);
+        }
+        if (!entry && requireRegistered) {
+            throw new Error(`Unknown ${label} "${id}". Add it to the model registry or use one of: ${listModels(type).join(', ')}`);
+        }
+    }
+
+    const imageSizes = getModel(models.imageModel)?.imageSizes ?? [];
+    const imageSize = article.imageSize || imageSizes[0] || '1024x1024';
+    if (!IMAGE_SIZE_REGEX.test(imageSize)) {
+        throw new Error(`Image size "${imageSize}" must look like 1024x1024`);
+    }
+    if (imageSizes.length > 0 && !imageSizes.includes(imageSize)) {
+        throw new Error(`Image model "${models.imageModel}" does not support the size ${imageSize}. Use one of: ${imageSizes.join(', ')}`);
+    }
+
+    return { ...models, imageSize };
+}
+
+function normalizeModel(model, label) {
+    if (!isObject(model)) {
+        throw new Error(`${label} must be an object`);
+    }
+    if (!MODEL_TYPES.includes(model.type)) {
+        throw new Error(`${label} needs a type: ${MODEL_TYPES.join(' or ')}`);
+    }
+
+    const normalized = {
+        type: model.type,
+        name: typeof model.name === 'string' ? model.name : null,
+        pricing: normalizePricing(model.pricing, model.type, label)
+    };
+
+    if (model.type === 'image') {
+        if (!Array.isArray(model.imageSizes) || model.imageSizes.length === 0 || model.imageSizes.some(size => !IMAGE_SIZE_REGEX.test(size))) {
+            throw new Error(`${label} needs imageSizes such as ["1024x1024"]`);
+        }
+        return { ...normalized, imageSizes: model.imageSizes };
+    }
+
+    for (const field of ['contextWindow', 'maxOutputTokens']) {
+        if (!Number.isInteger(model[field]) || model[field] < 1) {
+            throw new Error(`${label} needs ${field} as a positive integer`);
+        }
+    }
+    if (model.jsonMode !== undefined && typeof model.jsonMode !== 'boolean') {
+        throw new Error(`${label}: jsonMode must be true or false`);
+    }
+
+    return {
+        ...normalized,
+        contextWindow: model.contextWindow,
+        maxOutputTokens: Math.min(model.maxOutputTokens, model.contextWindow),
+        jsonMode: model.jsonMode ?? true
+    };
+}
+
+function normalizePricing(pricing, type, label) {
+    const fields = type === 'image' ? ['perImage'] : ['input', 'output'];
+    if (!isObject(pricing) || fields.some(field => !Number.isFinite(pricing[field]) || pricing[field] < 0)) {
+        throw new Error(`${label} needs pricing with ${fields.join(' and ')} in USD`);
+    }
+    return Object.fromEntries(fields.map(field => [field, pricing[field]]));
+}
+
+function mergeRegistries(base, override) {
+    return {
+        defaults: { ...base.defaults, ...override.defaults },
+        fallbackPricing: { ...base.fallbackPricing, ...override.fallbackPricing },
+        models: { ...base.models, ...override.models }
+    };
+}
+
+/**
+ * Defaults have to name registered models of the right type
+ */
+function validateDefaults(loaded) {
+    for (const [stage, { type, label }] of Object.entries(STAGES)) {
+        const id = loaded.defaults[stage];
+        if (loaded.models[id]?.type !== type) {
+            throw new Error(`The default ${label} "${id}" is not a registered ${type} model`);
+        }
+    }
+}
+
+function parseRegistry(content, label) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Model registry "${label}" is not valid JSON: ${error.message}`);
+    }
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,334 @@
+import { Actor } from 'apify';
+import { parseDocument } from 'htmlparser2';
+import { render } from 'dom-serializer';
+import { escapeHtml, slugify } from './html.js';
+import { htmlToMarkdown } from './markdown.js';
+import { renderTableOfContents } from './toc.js';
+import { DEFAULT_LANGUAGE } from './language.js';
+
+// Export formats that can be requested with `outputFormats`
+export const EXPORT_FORMATS = {
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderStandaloneHtml },
+    gutenberg: { contentType: 'text/html; charset=utf-8', extension: 'gutenberg.html', render: renderGutenberg },
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: post => renderMarkdown(post, { mdx: false }) },
+    mdx: { contentType: 'text/mdx; charset=utf-8', extension: 'mdx', render: post => renderMarkdown(post, { mdx: true }) }
+};
+
+// Wrapper elements that become Gutenberg group blocks
+const GROUP_TAGS = new Set(['div', 'section', 'nav', 'aside', 'header', 'footer', 'main', 'article']);
+
+// Matches the hero figure inserted by image placement
+const HERO_FIGURE_REGEX = /<figure class="article-image hero-image">[\s\S]*?<\/figure>\s*/;
+
+// Matches a numbered citation marker written by resolveCitations
+const CITATION_REGEX = /<sup class="citation">\[(\d+)\]<\/sup>/g;
+
+/**
+ * Render the requested formats and store each one as a key-value store record.
+ * Returns format name → { key, url, contentType, bytes } for the dataset item.
+ */
+export async function storeOutputFormats(post, formats, options = {}) {
+    const { keyPrefix = (post.slug || slugify(post.title)).slice(0, 80) || 'article' } = options;
+    const store = await Actor.openKeyValueStore();
+    const records = {};
+
+    for (const format of formats) {
+        const { contentType, extension, render: renderFormat } = EXPORT_FORMATS[format];
+        const key = `${keyPrefix}.${extension}`;
+        const content = renderFormat(post);
+
+        await store.setValue(key, content, { contentType });
+        records[format] = {
+            key,
+            url: store.getPublicUrl(key),
+            contentType,
+            bytes: Buffer.byteLength(content)
+        };
+    }
+
+    return records;
+}
+
+/**
+ * Assemble the article body: executive summary, table of contents, content, references and CTA.
+ * The summary and references get the headings the model wrote in the article's language.
+ * Citation markers link to their entry of the reference list unless `linkCitations` is
+ * false, for formats that drop the list's anchors.
+ */
+export function renderArticleBody(post, options = {}) {
+    const { includeHero = true, linkCitations = true } = options;
+    const referenceCount = post.references?.length ?? 0;
+    const linkCitation = (html) => (linkCitations && referenceCount > 0
+        ? html.replace(CITATION_REGEX, (marker, number) => (Number(number) <= referenceCount
+            ? `<sup class="citation"><a href="#ref-${number}">[${number}]</a></sup>`
+            : marker))
+        : html);
+    const parts = [];
+
+    if (post.executiveSummary?.trim()) {
+        const paragraphs = post.executiveSummary.trim().split(/\n\s*\n/).map(text => `<p>${escapeHtml(text.trim())}</p>`);
+        parts.push(`<section class="executive-summary">\n<h2>${escapeHtml(post.summaryHeading || 'Executive Summary')}</h2>\n${paragraphs.join('\n')}\n</section>`);
+    }
+
+    if (post.tableOfContents?.length > 0) {
+        parts.push(post.tableOfContentsHTML || renderTableOfContents(post.tableOfContents));
+    }
+
+    parts.push(linkCitation(includeHero ? post.contentHTML : post.contentHTML.replace(HERO_FIGURE_REGEX, '')));
+
+    if (post.references?.length > 0) {
+        const items = post.references.map((reference, i) => `<li id="ref-${i + 1}">${linkify(escapeHtml(reference))}</li>`);
+        parts.push(`<section class="references">\n<h2>${escapeHtml(post.referencesHeading || 'References')}</h2>\n<ol>\n${items.join('\n')}\n</ol>\n</section>`);
+    }
+
+    if (post.callToAction?.trim()) {
+        parts.push(linkCitation(post.callToAction.trim()));
+    }
+
+    return parts.join('\n\n');
+}
+
+/**
+ * Render a complete HTML document with meta tags, ready to open or upload as is
+ */
+function renderStandaloneHtml(post) {
+    const date = post.generatedAt ? post.generatedAt.slice(0, 10) : '';
+    const meta = [date && `<time datetime="${date}">${date}</time>`, `${post.readingTime} min read`].filter(Boolean).join(' · ');
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(post.language || DEFAULT_LANGUAGE)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(post.title)}</title>
+<meta name="description" content="${escapeHtml(post.metaDescription || '')}">
+<meta name="keywords" content="${escapeHtml((post.metaKeywords || []).join(', '))}">
+${post.socialMeta?.html ? `${post.socialMeta.html}\n` : ''}${post.structuredData?.html ? `${post.structuredData.html}\n` : ''}<style>
+body { max-width: 760px; margin: 0 auto; padding: 2rem 1rem; font: 18px/1.7 Georgia, serif; color: #1f2937; }
+h1, h2, h3, h4 { font-family: system-ui, sans-serif; line-height: 1.3; }
+img { max-width: 100%; height: auto; }
+figcaption, .article-meta, .subtitle { color: #6b7280; font-size: 0.9em; }
+.executive-summary, .table-of-contents, .cta { background: #f3f4f6; padding: 1rem 1.5rem; border-radius: 8px; margin: 2rem 0; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #d1d5db; padding: 0.4rem 0.6rem; }
+</style>
+</head>
+<body>
+<article>
+<header>
+<h1>${escapeHtml(post.title)}</h1>
+${post.subtitle ? `<p class="subtitle">${escapeHtml(post.subtitle)}</p>\n` : ''}<p class="article-meta">${meta}</p>
+</header>
+
+${renderArticleBody(post)}
+</article>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render Markdown or MDX with YAML front matter. The hero image moves to the front matter.
+ */
+function renderMarkdown(post, { mdx }) {
+    const hero = (post.images || []).find(image => image.placement === 'hero');
+    const frontMatter = {
+        title: post.title,
+        subtitle: post.subtitle,
+        description: post.metaDescription,
+        slug: post.slug || slugify(post.title),
+        date: post.generatedAt,
+        keywords: post.metaKeywords,
+        readingTime: post.readingTime,
+        heroImage: hero?.url,
+        heroImageAlt: hero?.alt
+    };
+
+    const body = htmlToMarkdown(renderArticleBody(post, { includeHero: !hero, linkCitations: false }), { mdx });
+    return `${toYamlFrontMatter(frontMatter)}\n\n${body}\n`;
+}
+
+/**
+ * Render the article as WordPress block editor (Gutenberg) markup
+ */
+function renderGutenberg(post, options = {}) {
+    const document = parseDocument(renderArticleBody(post, { ...options, linkCitations: false }), { decodeEntities: true });
+    return renderBlocks(document.children).join('\n\n') + '\n';
+}
+
+/**
+ * Convert sibling nodes to serialized blocks. Stray inline content becomes paragraphs.
+ */
+function renderBlocks(nodes) {
+    const blocks = [];
+    let inline = [];
+
+    const flushInline = () => {
+        const html = inline.map(node => serialize(node)).join('').trim();
+        if (html) blocks.push(block('paragraph', `<p>${html}</p>`));
+        inline = [];
+    };
+
+    for (const node of nodes) {
+        if (node.type !== 'tag') {
+            if (node.type === 'text') inline.push(node);
+            continue;
+        }
+
+        const converted = renderBlock(node);
+        if (converted === null) {
+            inline.push(node);
+        } else {
+            flushInline();
+            blocks.push(converted);
+        }
+    }
+    flushInline();
+
+    return blocks;
+}
+
+/**
+ * Convert one element to a block, or return null for inline elements
+ */
+function renderBlock(element) {
+    const { name } = element;
+
+    if (/^h[1-6]$/.test(name)) {
+        const level = Number(name[1]);
+        addClass(element, 'wp-block-heading');
+        return block('heading', serialize(element), level === 2 ? null : { level });
+    }
+
+    switch (name) {
+        case 'p':
+            return block('paragraph', serialize(element));
+        case 'ul':
+        case 'ol':
+            return renderListBlock(element);
+        case 'blockquote': {
+            const inner = renderBlocks(element.children).join('\n\n');
+            return block('quote', `<blockquote class="wp-block-quote">${inner}</blockquote>`);
+        }
+        case 'pre':
+            return block('code', `<pre class="wp-block-code"><code>${escapeHtml(textContent(element))}</code></pre>`);
+        case 'table':
+            return block('table', `<figure class="wp-block-table">${serialize(element)}</figure>`);
+        case 'hr':
+            return block('separator', '<hr class="wp-block-separator has-alpha-channel-opacity"/>');
+        case 'figure':
+            return renderFigureBlock(element);
+        case 'img':
+            return null;
+        default:
+            if (GROUP_TAGS.has(name)) {
+                const className = element.attribs.class || undefined;
+                const attributes = { ...(name !== 'div' && { tagName: name }), ...(className && { className }) };
+                const inner = renderBlocks(element.children).join('\n\n');
+                return block('group', `<${name} class="wp-block-group${className ? ` ${className}` : ''}">${inner}</${name}>`, attributes);
+            }
+            return isInline(element) ? null : block('html', serialize(element));
+    }
+}
+
+/**
+ * Render a list block with one list-item block per item; nested lists become nested list blocks
+ */
+function renderListBlock(list) {
+    const ordered = list.name === 'ol';
+    const start = parseInt(list.attribs.start, 10);
+    const attributes = ordered ? { ordered: true, ...(Number.isInteger(start) && start !== 1 && { start }) } : null;
+
+    const items = list.children
+        .filter(node => node.type === 'tag' && node.name === 'li')
+        .map(item => {
+            const content = item.children
+                .map(child => (child.type === 'tag' && (child.name === 'ul' || child.name === 'ol') ? renderListBlock(child) : serialize(child)))
+                .join('');
+            return block('list-item', `<li>${content.trim()}</li>`);
+        });
+
+    const startAttribute = attributes?.start ? ` start="${attributes.start}"` : '';
+    return block('list', `<${list.name} class="wp-block-list"${startAttribute}>${items.join('')}</${list.name}>`, attributes);
+}
+
+/**
+ * Render a figure as an image block, or a table block for figures wrapping a table
+ */
+function renderFigureBlock(figure) {
+    const img = findElement(figure, 'img');
+    const table = findElement(figure, 'table');
+    const caption = findElement(figure, 'figcaption');
+    const captionHtml = caption ? `<figcaption class="wp-element-caption">${caption.children.map(serialize).join('').trim()}</figcaption>` : '';
+
+    if (table) {
+        return block('table', `<figure class="wp-block-table">${serialize(table)}${captionHtml}</figure>`);
+    }
+    if (!img) {
+        return block('html', serialize(figure));
+    }
+
+    const { src = '', alt = '' } = img.attribs;
+    return block('image', `<figure class="wp-block-image size-large"><img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"/>${captionHtml}</figure>`, {
+        sizeSlug: 'large',
+        linkDestination: 'none'
+    });
+}
+
+/**
+ * Serialize a block with its comment delimiters
+ */
+function block(name, html, attributes = null) {
+    const json = attributes && Object.keys(attributes).length > 0 ? ` ${JSON.stringify(attributes)}` : '';
+    return `<!-- wp:${name}${json} -->\n${html}\n<!-- /wp:${name} -->`;
+}
+
+/**
+ * Turn a flat object into YAML front matter. Strings are JSON-quoted, which is valid YAML.
+ */
+function toYamlFrontMatter(fields) {
+    const lines = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+        .map(([key, value]) => {
+            if (Array.isArray(value)) {
+                return `${key}:\n${value.map(item => `  - ${JSON.stringify(item)}`).join('\n')}`;
+            }
+            return `${key}: ${typeof value === 'string' ? JSON.stringify(value) : value}`;
+        });
+
+    return `---\n${lines.join('\n')}\n---`;
+}
+
+/**
+ * Link bare URLs in escaped text
+ */
+function linkify(html) {
+    return html.replace(/https?:\/\/[^\s<]+[^\s<.,;:)\]]/g, url => `<a href="${url}">${url}</a>`);
+}
+
+function serialize(node) {
+    return render(node, { encodeEntities: 'utf8' });
+}
+
+function addClass(element, className) {
+    element.attribs.class = [className, element.attribs.class].filter(Boolean).join(' ');
+}
+
+function findElement(node, name) {
+    for (const child of node.children || []) {
+        if (child.type !== 'tag') continue;
+        if (child.name === name) return child;
+        const found = findElement(child, name);
+        if (found) return found;
+    }
+    return null;
+}
+
+function textContent(node) {
+    if (node.type === 'text') return node.data;
+    return (node.children || []).map(textContent).join('');
+}
+
+function isInline(element) {
+    return ['a', 'strong', 'b', 'em', 'i', 'code', 'span', 'br', 'sup', 'sub', 'mark', 'small', 'del', 's', 'kbd', 'cite', 'abbr'].includes(element.name);
+}
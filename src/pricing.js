@@ -0,0 +1,90 @@
+import { getModel, getFallbackPricing } from './models.js';
+
+/**
+ * Per-million-token prices of a text model from the model registry, and whether they
+ * are `estimated` from the fallback pricing because the model is not registered
+ */
+export function getTextPricing(model) {
+    const entry = getModel(model);
+    return entry?.type === 'text'
+        ? { ...entry.pricing, estimated: false }
+        : { ...getFallbackPricing('text'), estimated: true };
+}
+
+/**
+ * Per-image price of an image model from the model registry, and whether it is `estimated`
+ */
+export function getImagePricing(model) {
+    const entry = getModel(model);
+    return entry?.type === 'image'
+        ? { ...entry.pricing, estimated: false }
+        : { ...getFallbackPricing('image'), estimated: true };
+}
+
+/**
+ * Calculate charge price based on article complexity
+ */
+export function calculateChargePrice(wordCount, numberOfImages) {
+    // Base price: $2.00 for basic article
+    let price = 2.00;
+
+    // Word count pricing
+    if (wordCount >= 3000) price += 3.00;
+    else if (wordCount >= 2000) price += 2.00;
+    else if (wordCount >= 1500) price += 1.00;
+
+    // Image pricing
+    price += numberOfImages * 0.50;
+
+    return parseFloat(price.toFixed(2));
+}
+
+/**
+ * Calculate text generation cost
+ */
+export function calculateTextCost(usage, model) {
+    const pricing = getTextPricing(model);
+
+    const inputCost = ((usage?.prompt_tokens || 0) / 1000000) * pricing.input;
+    const outputCost = ((usage?.completion_tokens || 0) / 1000000) * pricing.output;
+
+    return {
+        inputCost,
+        outputCost,
+        totalCost: inputCost + outputCost,
+        estimated: pricing.estimated
+    };
+}
+
+/**
+ * Accumulate token usage and cost over several text generation calls.
+ * Every call is also recorded in `ledger` with its task, tokens and cost.
+ */
+export function createUsageTracker(model, initial = {}) {
+    const tracker = {
+        usage: {
+            prompt_tokens: initial.usage?.prompt_tokens || 0,
+            completion_tokens: initial.usage?.completion_tokens || 0,
+            total_tokens: initial.usage?.total_tokens || 0
+        },
+        cost: initial.cost || 0,
+        ledger: [...(initial.ledger || [])],
+        track: (result) => {
+            const cost = calculateTextCost(result.usage, model);
+            tracker.usage.prompt_tokens += result.usage?.prompt_tokens || 0;
+            tracker.usage.completion_tokens += result.usage?.completion_tokens || 0;
+            tracker.usage.total_tokens += result.usage?.total_tokens || 0;
+            tracker.cost += cost.totalCost;
+            tracker.ledger.push({
+                task: result.task || 'text',
+                model,
+                promptTokens: result.usage?.prompt_tokens || 0,
+                completionTokens: result.usage?.completion_tokens || 0,
+                cost: cost.totalCost,
+                estimatedPrice: cost.estimated
+            });
+        }
+    };
+
+    return tracker;
+}
@@ -0,0 +1,31 @@
+import { Actor } from 'apify';
+
+/**
+ * Report what the run is doing in the Apify console. Batch runs show every article that
+ * is in progress. Status updates are best effort and never fail the run.
+ */
+export function createStatusReporter(total) {
+    const active = new Map();
+    let finished = 0;
+
+    const publish = () => {
+        const parts = [...active.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([index, stage]) => (total > 1 ? `[${index + 1}/${total}] ${stage}` : stage));
+        const done = total > 1 ? `${finished}/${total} articles done` : null;
+        const message = [...parts, done].filter(Boolean).join(' | ') || 'Finishing...';
+        Actor.setStatusMessage(message).catch(error => console.warn(`  ⚠ Could not update the status message: ${error.message}`));
+    };
+
+    return {
+        stage(index, message) {
+            active.set(index, message);
+            publish();
+        },
+        finish(index) {
+            active.delete(index);
+            finished++;
+            publish();
+        }
+    };
+}
@@ -0,0 +1,27 @@
+import { createOpenRouterProvider } from './openrouter.js';
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+import { createMockProvider } from './mock.js';
+
+export const PROVIDER_NAMES = ['openrouter', 'openai-compatible', 'mock'];
+
+/**
+ * Create the LLM provider used for all text and image calls.
+ *
+ * Every provider exposes the same interface:
+ *   generateText(prompt, { model, maxTokens, task }) -> { content, usage, model, task }
+ *   generateImage(prompt, { model, size }) -> image URL or data URL
+ */
+export function createProvider(config) {
+    const { provider = 'openrouter', baseUrl, apiKey, jsonMode, streaming } = config;
+
+    switch (provider) {
+        case 'openrouter':
+            return createOpenRouterProvider({ apiKey, streaming });
+        case 'openai-compatible':
+            return createOpenAICompatibleProvider({ baseUrl, apiKey, jsonMode, streaming });
+        case 'mock':
+            return createMockProvider();
+        default:
+            throw new Error(`Unknown LLM provider "${provider}". Use one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+}
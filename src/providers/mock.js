@@ -0,0 +1,377 @@
+// Sentence templates for canned article text. {k} is replaced with a keyword, {t} with the topic.
+const SENTENCES = [
+    'Teams that invest in {k} early tend to see compounding returns within a few quarters.',
+    'A practical way to start with {k} is to pick one workflow and measure it before and after.',
+    'Most organizations underestimate how much {t} depends on clear ownership and simple processes.',
+    'Industry surveys consistently show that structured approaches to {k} outperform ad-hoc efforts.',
+    'The key is to treat {k} as an ongoing practice rather than a one-off project.',
+    'Leaders who communicate the why behind {t} get faster adoption from their teams.',
+    'Start small, document what works, and scale the parts of {k} that prove their value.',
+    'Common pitfalls include chasing tools before defining goals and ignoring feedback loops.'
+];
+
+// Canned "translations" for languages the mock renders in their own script; others get a [Language] prefix
+const TRANSLATION_SAMPLES = {
+    Japanese: 'これはテスト用に翻訳された文章です',
+    Chinese: '这是为测试而翻译的文章内容'
+};
+
+const PLACEHOLDER_SVG = (label) => `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024" viewBox="0 0 1024 1024"><rect width="1024" height="1024" fill="#e5e7eb"/><text x="512" y="512" font-family="sans-serif" font-size="40" text-anchor="middle" fill="#6b7280">${label}</text></svg>`;
+
+/**
+ * Create a deterministic offline provider that returns canned article JSON and placeholder images.
+ * Responses are derived only from the prompt, so identical inputs always produce identical output.
+ */
+export function createMockProvider() {
+    return {
+        name: 'mock',
+
+        /**
+         * Return a canned response shaped for the calling stage (`task`)
+         */
+        async generateText(prompt, options = {}) {
+            const { model = 'mock', task = 'article' } = options;
+            const handler = MOCK_RESPONSES[task] || (() => ({}));
+            const content = JSON.stringify(handler(prompt, readPromptContext(prompt)));
+
+            const promptTokens = Math.ceil(prompt.length / 4);
+            const completionTokens = Math.ceil(content.length / 4);
+
+            return {
+                content,
+                usage: {
+                    prompt_tokens: promptTokens,
+                    completion_tokens: completionTokens,
+                    total_tokens: promptTokens + completionTokens
+                },
+                model,
+                task
+            };
+        },
+
+        /**
+         * Return a placeholder SVG image as a data URL
+         */
+        async generateImage(prompt) {
+            const label = `Image ${hash(prompt) % 1000}`;
+            return `data:image/svg+xml;base64,${Buffer.from(PLACEHOLDER_SVG(label)).toString('base64')}`;
+        }
+    };
+}
+
+// Canned responses per pipeline stage
+const MOCK_RESPONSES = {
+    article: (prompt, context) => {
+        const sections = ['Introduction', ...context.keywords.map(keyword => `Understanding ${keyword}`), 'Conclusion'];
+        const perSection = Math.ceil(context.targetWords / sections.length);
+
+        return {
+            title: `${context.topic}: A Practical Guide`,
+            subtitle: `What ${context.keywords[0] || 'you'} means for your team`,
+            executiveSummary: prompt.includes('Executive Summary') ? paragraph(120, context, 1) : '',
+            summaryHeading: prompt.includes('Executive Summary') ? 'Executive Summary' : '',
+            contentHTML: sections
+                .map((heading, i) => `<h2 id="${slug(heading)}">${heading}</h2>${cite(paragraphs(perSection, context, i), prompt, i)}`)
+                .join(''),
+            metaDescription: fitLength(`Learn how ${context.topic} works in practice, with examples, data and actionable steps covering ${context.keywords.join(', ')}.`, 155),
+            references: prompt.includes('References section') ? mockReferences(context) : [],
+            referencesHeading: prompt.includes('References section') ? 'References' : '',
+            callToAction: prompt.includes('Call-to-Action') ? mockCallToAction() : ''
+        };
+    },
+
+    outline: (prompt, context) => {
+        const headings = ['Introduction', ...context.keywords.map(keyword => `Understanding ${keyword}`), 'Conclusion'];
+        const budget = Math.round(context.targetWords / headings.length);
+
+        return {
+            title: `${context.topic}: A Practical Guide`,
+            subtitle: `What ${context.keywords[0] || 'you'} means for your team`,
+            metaDescription: fitLength(`Learn how ${context.topic} works in practice, with examples, data and actionable steps covering ${context.keywords.join(', ')}.`, 155),
+            sections: headings.map(heading => ({
+                heading,
+                id: slug(heading),
+                wordBudget: budget,
+                keyPoints: [`Why ${heading.toLowerCase()} matters`],
+                subsections: []
+            }))
+        };
+    },
+
+    section: (prompt, context) => ({
+        html: cite(paragraphs(context.targetWords, context, hash(prompt)), prompt, hash(prompt))
+    }),
+
+    revision: (prompt, context) => {
+        const current = (prompt.match(/SECTION TO REVISE:\n[^\n]*\n([\s\S]*?)\n\nREVISION INSTRUCTIONS:/) || [])[1] || '';
+        const expandBy = parseInt((prompt.match(/Expand this section by about (\d+) words/) || [])[1] || '0', 10);
+        const phrases = [...prompt.matchAll(/exact phrase "([^"]+)"/g)].map(match => match[1]);
+
+        const extra = phrases.map(phrase => `<p>This is where ${phrase} makes the biggest difference.</p>`).join('');
+        return { html: current + extra + (expandBy > 0 ? paragraphs(expandBy, context, hash(prompt)) : '') };
+    },
+
+    refreshPlan: (prompt, context) => {
+        const strategy = (prompt.match(/REFRESH STRATEGY: (\w+)/) || [])[1] || 'update';
+        const existing = [...prompt.matchAll(/^\d+\. id "([^"]*)": (?:"([^"]*)"|\(untitled opening\)) \(~(\d+) words\)/gm)]
+            .map(match => ({ id: match[1], heading: match[2] || '', wordBudget: parseInt(match[3], 10) }));
+        const sections = existing.map((section, i) => ({
+            ...section,
+            action: i === existing.length - 1 ? 'keep' : strategy,
+            instructions: i === existing.length - 1 ? '' : `Bring this section up to date for ${context.topic}`
+        }));
+        const added = { id: '', heading: `Understanding ${context.keywords[0] || context.topic}`, action: 'add', instructions: 'Cover the new keyword', wordBudget: 300 };
+        sections.splice(Math.max(sections.length - 1, 0), 0, added);
+
+        return {
+            title: `${context.topic}: Updated Guide`,
+            subtitle: `What ${context.keywords[0] || 'you'} means for your team today`,
+            metaDescription: fitLength(`An updated look at ${context.topic}, with fresh examples, data and actionable steps covering ${context.keywords.join(', ')}.`, 155),
+            sections
+        };
+    },
+
+    refreshSection: (prompt, context) => {
+        const existing = (prompt.match(/EXISTING SECTION \((HTML|Markdown)\):\n([\s\S]*?)\n\nYOUR TASK:/) || []);
+        const keepUrls = [...prompt.matchAll(/^- (https?:\/\/\S+|\/\S*)$/gm)].map(match => match[1]);
+        const links = keepUrls.length > 0
+            ? `<p>Further reading: ${keepUrls.map(url => `<a href="${url}">${url}</a>`).join(', ')}.</p>`
+            : '';
+
+        // "keep" on a Markdown section only converts it
+        if (prompt.includes('without changing its wording') && existing[1] === 'Markdown') {
+            const converted = existing[2].split(/\n{2,}/).map(block => block.trim()).filter(Boolean)
+                .map(block => `<p>${block.replace(/\[([^\]]*)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')}</p>`)
+                .join('');
+            return { html: converted };
+        }
+        return { html: cite(paragraphs(context.targetWords, context, hash(prompt)), prompt, hash(prompt)) + links };
+    },
+
+    translateMetadata: (prompt) => {
+        const language = readTargetLanguage(prompt);
+        const input = JSON.parse((prompt.match(/ARTICLE METADATA:\n([\s\S]*?)\n\nReturn the result/) || [])[1] || '{}');
+
+        return {
+            title: translateText(input.title || '', language),
+            subtitle: translateText(input.subtitle || '', language),
+            metaDescription: translateText(input.metaDescription || '', language),
+            executiveSummary: translateText(input.executiveSummary || '', language),
+            summaryHeading: translateText(input.summaryHeading || '', language),
+            referencesHeading: translateText(input.referencesHeading || '', language),
+            callToAction: translateHtml(input.callToAction || '', language),
+            keywords: (input.keywords || []).map(keyword => translateText(keyword, language)),
+            images: (input.images || []).map(image => ({ alt: translateText(image.alt, language), caption: translateText(image.caption, language) }))
+        };
+    },
+
+    translateSection: (prompt) => ({
+        html: translateHtml((prompt.match(/SECTION HTML:\n([\s\S]*?)\n\nGUIDELINES:/) || [])[1] || '', readTargetLanguage(prompt))
+    }),
+
+    summary: (prompt, context) => ({
+        executiveSummary: prompt.includes('Executive Summary') ? paragraph(120, context, 1) : '',
+        summaryHeading: prompt.includes('Executive Summary') ? 'Executive Summary' : '',
+        references: prompt.includes('References') ? mockReferences(context) : [],
+        referencesHeading: prompt.includes('References') ? 'References' : '',
+        callToAction: prompt.includes('Call-to-Action') ? mockCallToAction() : ''
+    }),
+
+    missingParts: (prompt, context) => MOCK_RESPONSES.summary(prompt, context),
+
+    social: (prompt, context) => {
+        const count = parseInt((prompt.match(/FAQ: (\d+) questions/) || [])[1] || '0', 10);
+        const keywords = context.keywords.length > 0 ? context.keywords : [context.topic];
+        const title = (prompt.match(/Title: "([^"]*)"/) || [])[1] || context.topic;
+
+        return {
+            faqHeading: count > 0 ? 'Frequently Asked Questions' : '',
+            faq: Array.from({ length: count }, (_, i) => ({
+                question: `How do I get started with ${keywords[i % keywords.length]}${i >= keywords.length ? ` (part ${i + 1})` : ''}?`,
+                answer: paragraph(50, context, i)
+            })),
+            socialTitle: fitLength(title, 70),
+            socialDescription: fitLength(`A practical guide to ${context.topic}: what works, what to avoid and where to start.`, 200),
+            linkedinPost: `${context.topic} is easier to get right than most teams think.\n\n${paragraph(150, context, 3)}\n\nHow does your team approach ${keywords[0]}?`,
+            xPost: fitLength(`${paragraph(30, context, 5)} #${slug(keywords[0]).replace(/-/g, '')}`, 250)
+        };
+    },
+
+    cluster: (prompt, context) => {
+        const count = parseInt((prompt.match(/and (\d+) supporting spoke articles/) || [])[1] || '3', 10);
+        const keywords = context.keywords.length > 0 ? context.keywords : [context.topic];
+        const angles = ['tools', 'best practices', 'common mistakes', 'metrics', 'for beginners', 'case studies', 'checklist', 'trends', 'templates', 'costs'];
+
+        return {
+            pillar: {
+                topic: `${context.topic}: The Complete Guide`,
+                angle: `a complete overview of ${context.topic.toLowerCase()}`,
+                keywords: [keywords[0], `${keywords[0]} guide`]
+            },
+            // Spokes repeat the primary keyword, which the planner has to drop
+            spokes: Array.from({ length: count }, (_, i) => {
+                const keyword = keywords[(i + 1) % keywords.length];
+                return {
+                    topic: `${keyword} ${angles[i % angles.length]}`.replace(/^./, char => char.toUpperCase()),
+                    angle: `${angles[i % angles.length]} for ${keyword}`,
+                    keywords: [`${keyword} ${angles[i % angles.length]}`, keywords[0], ...(i + 1 < keywords.length ? [keyword] : [])]
+                };
+            }),
+            relatedHeading: 'Related Articles'
+        };
+    },
+
+    headlines: (prompt, context) => {
+        const styles = [...prompt.matchAll(/^\d+\. ([a-z-]+): /gm)].map(match => match[1]);
+        const keyword = context.keywords[0] || context.topic;
+        const titles = {
+            'how-to': `How to Get ${context.topic} Right`,
+            listicle: `7 ${keyword} Practices That Actually Work`,
+            question: `Is Your Team Getting ${keyword} Wrong?`,
+            'data-led': `${keyword}: What 500 Teams Taught Us About ${context.topic}`
+        };
+
+        return {
+            variants: styles.map((style, i) => ({
+                style,
+                title: `${titles[style] || context.topic}${i >= 4 ? ` (${i + 1})` : ''}`,
+                metaDescription: fitLength(`${style === 'question' ? 'Find out' : 'Learn'} how ${keyword} shapes ${context.topic}, with ${paragraph(30, context, i)}`, 150 + i)
+            }))
+        };
+    },
+
+    imagePrompts: (prompt, context) => {
+        const count = parseInt((prompt.match(/generate (\d+) detailed image prompts/) || [])[1] || '1', 10);
+        return Array.from({ length: count }, (_, i) => {
+            const subject = i === 0 ? context.topic : context.keywords[(i - 1) % context.keywords.length] || context.topic;
+            return {
+                prompt: `Professional editorial illustration of ${subject}, clean modern style, soft lighting, no text`,
+                alt: `Illustration of ${subject}`,
+                caption: `A visual overview of ${subject}.`,
+                section: i === 0 ? '' : `Understanding ${subject}`
+            };
+        });
+    }
+};
+
+/**
+ * Pull topic, keywords and target length out of a pipeline prompt
+ */
+function readPromptContext(prompt) {
+    const topic = (prompt.match(/Topic: "([^"]*)"/) || [])[1] || 'The topic';
+    const keywordsLine = (prompt.match(/(?:SEO )?Keywords: ([^\n]*)/) || [])[1] || '';
+    const targetWords = parseInt((prompt.match(/Target Length: (\d+) words/) || [])[1] || '300', 10);
+
+    return {
+        topic,
+        keywords: keywordsLine.split(',').map(keyword => keyword.trim()).filter(Boolean),
+        targetWords
+    };
+}
+
+function readTargetLanguage(prompt) {
+    return (prompt.match(/ into ([^.(\n]+?)(?: \([^)]*\))?\./) || [])[1] || 'Other';
+}
+
+/**
+ * Translate the text between tags and the alt attributes of an HTML fragment
+ */
+function translateHtml(html, language) {
+    return html
+        .split(/(<[^>]+>)/)
+        .map(part => (part.startsWith('<')
+            ? part.replace(/\balt="([^"]*)"/g, (match, alt) => `alt="${translateText(alt, language)}"`)
+            : translateText(part, language)))
+        .join('');
+}
+
+/**
+ * Replace text with the language's sample text at about the same length (two characters per word),
+ * or mark it with the language name
+ */
+function translateText(text, language) {
+    if (!text.trim()) return text;
+
+    const sample = TRANSLATION_SAMPLES[language];
+    if (!sample) return `[${language}] ${text}`;
+
+    const length = text.trim().split(/\s+/).length * 2;
+    const offset = hash(text) % sample.length;
+    const rotated = sample.slice(offset) + sample.slice(0, offset);
+    return rotated.repeat(Math.ceil(length / sample.length)).slice(0, length);
+}
+
+/**
+ * Build roughly `words` words of HTML paragraphs
+ */
+function paragraphs(words, context, seed) {
+    const html = [];
+    let written = 0;
+    let i = 0;
+
+    while (written < words) {
+        const size = Math.min(80, words - written);
+        html.push(`<p>${paragraph(size, context, seed + i)}</p>`);
+        written += size;
+        i++;
+    }
+
+    return html.join('');
+}
+
+/**
+ * Build one plain-text paragraph of exactly `words` words
+ */
+function paragraph(words, context, seed) {
+    const keywords = context.keywords.length > 0 ? context.keywords : [context.topic];
+    const text = [];
+
+    for (let i = 0; text.length < words; i++) {
+        const sentence = SENTENCES[(seed + i) % SENTENCES.length]
+            .replace('{k}', keywords[(seed + i) % keywords.length])
+            .replace('{t}', context.topic);
+        text.push(...sentence.split(/\s+/));
+    }
+
+    return text.slice(0, words).join(' ').replace(/[,.]?$/, '.');
+}
+
+/**
+ * Cite one of the prompt's source passages at the end of the first paragraph, as a grounded model would
+ */
+function cite(html, prompt, seed) {
+    const passageIds = [...prompt.matchAll(/^\[(S\d+\.\d+)\] /gm)].map(match => match[1]);
+    if (passageIds.length === 0) return html;
+    return html.replace('.</p>', ` [${passageIds[seed % passageIds.length]}].</p>`);
+}
+
+function mockReferences(context) {
+    return [
+        `Industry Report: The State of ${context.topic} - https://www.example.org/reports/${slug(context.topic)}`,
+        'Harvard Business Review: Building Capabilities That Last - https://hbr.org/',
+        'McKinsey & Company: Insights on Digital Transformation - https://www.mckinsey.com/'
+    ];
+}
+
+function mockCallToAction() {
+    return '<div class="cta"><h3>Ready to Get Started?</h3><p>Put these ideas into practice this week.</p></div>';
+}
+
+function fitLength(text, length) {
+    return text.length > length ? `${text.slice(0, length - 3).trim()}...` : text;
+}
+
+function slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Small deterministic string hash
+ */
+function hash(text) {
+    let value = 0;
+    for (let i = 0; i < text.length; i++) {
+        value = (value * 31 + text.charCodeAt(i)) >>> 0;
+    }
+    return value;
+}
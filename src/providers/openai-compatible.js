@@ -0,0 +1,247 @@
+import axios from 'axios';
+import { outputTokenLimit, supportsJsonMode } from '../models.js';
+
+const SYSTEM_PROMPT = 'You are an expert professional content writer, journalist, and SEO specialist with 15+ years of experience. You create engaging, well-researched, authoritative blog content. Always return valid JSON.';
+
+// A streamed response is given up (and retried) when no data arrives for this long
+const STREAM_IDLE_TIMEOUT_MS = 60000;
+
+/**
+ * Create a provider for any API that speaks the OpenAI chat completions and
+ * image generations format (OpenRouter, OpenAI, Ollama, vLLM, LM Studio, ...)
+ */
+export function createOpenAICompatibleProvider(config) {
+    const {
+        name = 'openai-compatible',
+        baseUrl,
+        apiKey = null,
+        headers = {},
+        jsonMode = true,
+        streaming = true,
+        authErrorMessage = 'Invalid API key for the configured LLM endpoint'
+    } = config;
+
+    if (!baseUrl) {
+        throw new Error(`A base URL is required for the ${name} provider`);
+    }
+
+    const apiBase = baseUrl.replace(/\/+$/, '');
+    const requestHeaders = {
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+        ...headers,
+        'Content-Type': 'application/json'
+    };
+
+    return {
+        name,
+
+        /**
+         * Call the text generation API with retry logic. The response is limited to what the
+         * model can return (see models.js); JSON mode is only requested from models that support it.
+         * Streamed responses only time out when the server stops sending, not after a fixed time.
+         * `finishReason` is "length" when the response was cut off at the token limit.
+         */
+        async generateText(prompt, options = {}) {
+            const { model, maxTokens, task = null, maxRetries = 3 } = options;
+
+            const body = {
+                model: model,
+                messages: [
+                    {
+                        role: 'system',
+                        content: SYSTEM_PROMPT
+                    },
+                    {
+                        role: 'user',
+                        content: prompt
+                    }
+                ],
+                temperature: 0.7,
+                max_tokens: outputTokenLimit(model, prompt, maxTokens),
+                ...(jsonMode && supportsJsonMode(model) ? { response_format: { type: 'json_object' } } : {})
+            };
+
+            if (streaming) {
+                const streamed = await withRetries(
+                    () => streamCompletion(`${apiBase}/chat/completions`, body, requestHeaders),
+                    { maxRetries, authErrorMessage }
+                );
+                return {
+                    content: streamed.content,
+                    usage: streamed.usage || estimateUsage(prompt, streamed.content),
+                    model: streamed.model || model,
+                    finishReason: streamed.finishReason,
+                    task
+                };
+            }
+
+            const response = await withRetries(() => axios.post(
+                `${apiBase}/chat/completions`,
+                body,
+                {
+                    headers: requestHeaders,
+                    timeout: 180000 // 3 minutes
+                }
+            ), { maxRetries, authErrorMessage });
+
+            return {
+                content: response.data.choices[0].message.content,
+                usage: response.data.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+                model: response.data.model || model,
+                finishReason: response.data.choices[0].finish_reason ?? null,
+                task
+            };
+        },
+
+        /**
+         * Call the image generation API. Returns an image URL or a data URL for base64 responses.
+         */
+        async generateImage(prompt, options = {}) {
+            const { model, size = '1024x1024', maxRetries = 3 } = options;
+
+            const response = await withRetries(() => axios.post(
+                `${apiBase}/images/generations`,
+                {
+                    model: model,
+                    prompt: prompt,
+                    n: 1,
+                    size
+                },
+                {
+                    headers: requestHeaders,
+                    timeout: 120000 // 2 minutes
+                }
+            ), { maxRetries, authErrorMessage });
+
+            const image = response.data.data[0];
+            return image.url || `data:image/png;base64,${image.b64_json}`;
+        }
+    };
+}
+
+/**
+ * Request a chat completion as server-sent events and put the content back together.
+ * Usage is asked for in the last event; servers that don't send it get an estimate.
+ */
+async function streamCompletion(url, body, headers) {
+    const controller = new AbortController();
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT_MS);
+    };
+
+    resetIdleTimer();
+    try {
+        let response;
+        try {
+            response = await axios.post(url, { ...body, stream: true, stream_options: { include_usage: true } }, {
+                headers,
+                responseType: 'stream',
+                signal: controller.signal
+            });
+        } catch (error) {
+            // Error bodies arrive as streams too; read them so the message can be logged
+            if (error.response?.data?.on) {
+                error.response.data = await readStream(error.response.data).catch(() => null);
+            }
+            throw error;
+        }
+
+        const result = { content: '', usage: null, model: null, finishReason: null };
+        let buffer = '';
+        response.data.setEncoding('utf8');
+        for await (const chunk of response.data) {
+            resetIdleTimer();
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(line => readStreamEvent(line, result));
+        }
+        readStreamEvent(buffer, result);
+
+        return result;
+    } catch (error) {
+        if (controller.signal.aborted) {
+            const timeout = new Error(`No response data for ${STREAM_IDLE_TIMEOUT_MS / 1000}s`);
+            timeout.retryable = true;
+            throw timeout;
+        }
+        throw error;
+    } finally {
+        clearTimeout(idleTimer);
+    }
+}
+
+/**
+ * Add one `data:` line of a completion stream to the result. Comments and [DONE] are skipped.
+ */
+function readStreamEvent(line, result) {
+    const data = line.trim().startsWith('data:') ? line.trim().slice(5).trim() : '';
+    if (!data || data === '[DONE]') return;
+
+    const event = JSON.parse(data);
+    if (event.error) {
+        throw new Error(`Streaming error: ${event.error.message || JSON.stringify(event.error)}`);
+    }
+    result.content += event.choices?.[0]?.delta?.content ?? '';
+    result.usage = event.usage ?? result.usage;
+    result.model = event.model ?? result.model;
+    result.finishReason = event.choices?.[0]?.finish_reason ?? result.finishReason;
+}
+
+async function readStream(stream) {
+    let text = '';
+    for await (const chunk of stream) text += chunk;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Roughly 4 characters per token, for servers that don't report usage
+ */
+function estimateUsage(prompt, content) {
+    const promptTokens = Math.ceil((SYSTEM_PROMPT.length + prompt.length) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * Run an API request, retrying on rate limits, server errors and stalled streams
+ */
+async function withRetries(request, options) {
+    const { maxRetries, authErrorMessage } = options;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (error.response?.status === 429) {
+                const retryAfter = parseInt(error.response.headers['retry-after'] || '10');
+                if (attempt < maxRetries) {
+                    console.log(`  ⚠ Rate limited. Waiting ${retryAfter}s before retry ${attempt}/${maxRetries}...`);
+                    await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                    continue;
+                }
+            }
+
+            if (error.response?.status === 401) {
+                throw new Error(authErrorMessage);
+            }
+
+            if ((error.response?.status >= 500 || error.retryable) && attempt < maxRetries) {
+                const backoff = Math.pow(2, attempt) * 1000;
+                console.log(`  ⚠ ${error.response ? 'Server error' : error.message}. Retrying in ${backoff}ms (attempt ${attempt}/${maxRetries})...`);
+                await new Promise(resolve => setTimeout(resolve, backoff));
+                continue;
+            }
+
+            throw error;
+        }
+    }
+
+    throw new Error(`Failed after ${maxRetries} attempts`);
+}
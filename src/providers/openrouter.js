@@ -0,0 +1,27 @@
+import { createOpenAICompatibleProvider } from './openai-compatible.js';
+
+// OpenRouter API Configuration
+const OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1';
+
+/**
+ * Create the OpenRouter provider
+ */
+export function createOpenRouterProvider(config) {
+    const { apiKey, streaming } = config;
+
+    if (!apiKey) {
+        throw new Error('OPENROUTER_API_KEY environment variable is required. Please configure it in the actor settings.');
+    }
+
+    return createOpenAICompatibleProvider({
+        name: 'openrouter',
+        baseUrl: OPENROUTER_BASE_URL,
+        apiKey,
+        streaming,
+        headers: {
+            'HTTP-Referer': 'https://apify.com',
+            'X-Title': 'Apify Professional Blog Writer'
+        },
+        authErrorMessage: 'Invalid OpenRouter API key. Get your key at https://openrouter.ai/keys'
+    });
+}
@@ -0,0 +1,129 @@
+import { createHmac } from 'node:crypto';
+import axios from 'axios';
+import { slugify } from '../html.js';
+import { loadImage } from '../image-storage.js';
+import { renderArticleBody } from '../output-formats.js';
+
+// Input status → Ghost post status
+const STATUSES = { draft: 'draft', published: 'published', scheduled: 'scheduled' };
+
+/**
+ * Create a publisher for the Ghost Admin API, authenticated with an Admin API key ("id:secret")
+ */
+export function createGhostPublisher(config) {
+    const { adminUrl, adminApiKey } = config;
+
+    if (!adminUrl || !adminApiKey) {
+        throw new Error('Ghost publishing requires ghostUrl and an Admin API key (ghostAdminApiKey or GHOST_ADMIN_API_KEY)');
+    }
+
+    const [keyId, secret] = adminApiKey.split(':');
+    if (!keyId || !secret) {
+        throw new Error('Ghost Admin API key must have the format "id:secret"');
+    }
+
+    const apiBase = `${adminUrl.replace(/\/+$/, '')}/ghost/api/admin`;
+
+    const request = async (method, path, data, headers = {}) => {
+        try {
+            const response = await axios.request({
+                method,
+                url: `${apiBase}${path}`,
+                data,
+                headers: {
+                    'Authorization': `Ghost ${createToken(keyId, secret)}`,
+                    'Accept-Version': 'v5.0',
+                    ...headers
+                },
+                timeout: 60000,
+                maxBodyLength: Infinity
+            });
+            return response.data;
+        } catch (error) {
+            const message = error.response?.data?.errors?.[0]?.message || error.message;
+            throw new Error(`Ghost API error${error.response ? ` (${error.response.status})` : ''} on ${method.toUpperCase()} ${path}: ${message}`);
+        }
+    };
+
+    /**
+     * Upload the hero image and return its Ghost URL
+     */
+    const uploadImage = async (image) => {
+        const { buffer, contentType, filename } = await loadImage(image);
+        const form = new FormData();
+        form.append('file', new Blob([buffer], { type: contentType }), filename);
+        form.append('purpose', 'image');
+
+        const data = await request('post', '/images/upload/', form);
+        return data.images[0].url;
+    };
+
+    return {
+        name: 'ghost',
+
+        /**
+         * Create a draft, published or scheduled post with tags and feature image
+         */
+        async publish(post, options) {
+            const { status = 'draft', publishAt, tags = [], dryRun = false } = options;
+            const hero = (post.images || []).find(image => image.placement === 'hero');
+
+            const ghostPost = {
+                title: post.title,
+                slug: post.slug || slugify(post.title),
+                // The hero image becomes the feature image, so it is not repeated in the content
+                html: renderArticleBody(post, { includeHero: !hero }),
+                custom_excerpt: post.metaDescription?.slice(0, 300),
+                meta_title: post.title,
+                meta_description: post.metaDescription,
+                tags: tags.map(name => ({ name })),
+                status: STATUSES[status],
+                ...(status === 'scheduled' && { published_at: new Date(publishAt).toISOString() }),
+                ...(hero && { feature_image_alt: hero.alt, feature_image_caption: hero.caption })
+            };
+
+            if (dryRun) {
+                const { html, ...fields } = ghostPost;
+                return {
+                    id: null,
+                    url: null,
+                    status: ghostPost.status,
+                    request: {
+                        endpoint: `${apiBase}/posts/?source=html`,
+                        ...fields,
+                        htmlBytes: Buffer.byteLength(html),
+                        featureImage: hero ? hero.url : null
+                    }
+                };
+            }
+
+            if (hero) ghostPost.feature_image = await uploadImage(hero);
+
+            const data = await request('post', '/posts/?source=html', { posts: [ghostPost] });
+            const created = data.posts[0];
+            return {
+                id: created.id,
+                url: created.url,
+                status: created.status
+            };
+        }
+    };
+}
+
+/**
+ * Sign a short-lived Admin API token (HS256 JWT with the hex-decoded secret)
+ */
+function createToken(keyId, secret) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: keyId }));
+    const payload = base64Url(JSON.stringify({ iat: now, exp: now + 5 * 60, aud: '/admin/' }));
+    const signature = createHmac('sha256', Buffer.from(secret, 'hex'))
+        .update(`${header}.${payload}`)
+        .digest('base64url');
+
+    return `${header}.${payload}.${signature}`;
+}
+
+function base64Url(text) {
+    return Buffer.from(text).toString('base64url');
+}
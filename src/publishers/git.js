@@ -0,0 +1,120 @@
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtemp, mkdir, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { slugify } from '../html.js';
+import { EXPORT_FORMATS } from '../output-formats.js';
+
+const execFileAsync = promisify(execFile);
+
+// Formats that can be committed, with their file extensions
+const FILE_FORMATS = { mdx: 'mdx', markdown: 'md' };
+
+/**
+ * Create a publisher that commits the post as an MDX/Markdown file to a Git repository.
+ *
+ * A local working copy is committed to in place. Anything else (a remote URL or a bare
+ * repository path) is cloned to a temporary directory, committed to and pushed.
+ */
+export function createGitPublisher(config) {
+    const {
+        repository,
+        branch = 'main',
+        authorName = 'Blog Writer',
+        authorEmail = 'blog-writer@localhost'
+    } = config;
+
+    if (!repository) {
+        throw new Error('Git publishing requires gitRepository (a local path or a remote URL)');
+    }
+
+    // Commits to the same repository must not interleave when articles run in parallel
+    let queue = Promise.resolve();
+
+    const commitPost = async (post, { directory, format }) => {
+        const workingCopy = await isWorkingCopy(repository);
+        const workDir = workingCopy ? repository : await mkdtemp(path.join(tmpdir(), 'blog-writer-git-'));
+        const git = (...args) => execFileAsync('git', ['-C', workDir, ...args], { maxBuffer: 10 * 1024 * 1024 });
+
+        try {
+            if (!workingCopy) {
+                await execFileAsync('git', ['clone', '--quiet', '--no-checkout', repository, workDir]);
+                const { stdout: remoteBranch } = await git('ls-remote', '--heads', 'origin', branch);
+                await (remoteBranch.trim()
+                    ? git('checkout', '--quiet', '-B', branch, `origin/${branch}`)
+                    : git('checkout', '--quiet', '--orphan', branch));
+            }
+
+            const filePath = postFilePath(post, directory, format);
+            await mkdir(path.join(workDir, path.dirname(filePath)), { recursive: true });
+            await writeFile(path.join(workDir, filePath), EXPORT_FORMATS[format].render(post));
+
+            await git('add', '--', filePath);
+            await git(
+                '-c', `user.name=${authorName}`,
+                '-c', `user.email=${authorEmail}`,
+                'commit', '--quiet', '-m', `Add post: ${post.title}`, '--', filePath
+            );
+            const { stdout: commit } = await git('rev-parse', 'HEAD');
+            const { stdout: committedBranch } = await git('rev-parse', '--abbrev-ref', 'HEAD');
+
+            if (!workingCopy) {
+                await git('push', '--quiet', 'origin', `HEAD:refs/heads/${branch}`);
+            }
+
+            return { id: commit.trim(), url: null, status: 'committed', path: filePath, branch: committedBranch.trim() };
+        } catch (error) {
+            throw new Error(`Git publishing failed: ${(error.stderr || error.message).trim()}`);
+        } finally {
+            if (!workingCopy) await rm(workDir, { recursive: true, force: true });
+        }
+    };
+
+    return {
+        name: 'git',
+
+        /**
+         * Commit the post file, or describe the commit without touching the repository in dry-run mode
+         */
+        async publish(post, options) {
+            const { directory = 'content/posts', format = 'mdx', dryRun = false } = options;
+
+            if (!FILE_FORMATS[format]) {
+                throw new Error(`Unsupported Git file format "${format}". Use one of: ${Object.keys(FILE_FORMATS).join(', ')}`);
+            }
+
+            if (dryRun) {
+                return {
+                    id: null,
+                    url: null,
+                    status: 'not committed',
+                    path: postFilePath(post, directory, format),
+                    branch,
+                    request: { repository, bytes: Buffer.byteLength(EXPORT_FORMATS[format].render(post)) }
+                };
+            }
+
+            const result = queue.then(() => commitPost(post, { directory, format }));
+            queue = result.catch(() => {});
+            return result;
+        }
+    };
+}
+
+function postFilePath(post, directory, format) {
+    return path.posix.join(directory, `${post.slug || slugify(post.title) || 'article'}.${FILE_FORMATS[format]}`);
+}
+
+/**
+ * Check whether a path is a non-bare Git working copy on this machine
+ */
+async function isWorkingCopy(repository) {
+    try {
+        if (!(await stat(repository)).isDirectory()) return false;
+        const { stdout } = await execFileAsync('git', ['-C', repository, 'rev-parse', '--is-bare-repository']);
+        return stdout.trim() === 'false';
+    } catch {
+        return false;
+    }
+}
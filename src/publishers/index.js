@@ -0,0 +1,69 @@
+import { createWordPressPublisher } from './wordpress.js';
+import { createGhostPublisher } from './ghost.js';
+import { createGitPublisher } from './git.js';
+
+export const PUBLISHER_NAMES = ['wordpress', 'ghost', 'git'];
+
+// Publish statuses accepted in the input
+export const PUBLISH_STATUSES = ['draft', 'published', 'scheduled'];
+
+/**
+ * Create a publisher from the run-level connection settings.
+ *
+ * Every publisher exposes the same interface:
+ *   publish(post, { status, publishAt, tags, categories, dryRun }) -> { id, url, status, ... }
+ */
+export function createPublisher(name, config) {
+    switch (name) {
+        case 'wordpress':
+            return createWordPressPublisher({
+                siteUrl: config.wordpressUrl,
+                username: config.wordpressUsername,
+                applicationPassword: config.wordpressAppPassword ?? process.env.WORDPRESS_APP_PASSWORD
+            });
+        case 'ghost':
+            return createGhostPublisher({
+                adminUrl: config.ghostUrl,
+                adminApiKey: config.ghostAdminApiKey ?? process.env.GHOST_ADMIN_API_KEY
+            });
+        case 'git':
+            return createGitPublisher({
+                repository: config.gitRepository,
+                branch: config.gitBranch,
+                authorName: config.gitAuthorName,
+                authorEmail: config.gitAuthorEmail
+            });
+        default:
+            throw new Error(`Unknown publisher "${name}". Use one of: ${PUBLISHER_NAMES.join(', ')}`);
+    }
+}
+
+/**
+ * Publish a generated post to every target the article asks for.
+ * A failing publisher is recorded with its error instead of failing the article.
+ */
+export async function publishArticle(post, article, publishers, options = {}) {
+    const { dryRun = false, log = console.log } = options;
+    const results = [];
+
+    for (const name of article.publishTo || []) {
+        try {
+            const result = await publishers[name].publish(post, {
+                status: article.publishStatus || 'draft',
+                publishAt: article.publishAt || null,
+                tags: article.publishTags || post.metaKeywords,
+                categories: article.wordpressCategories || [],
+                directory: article.gitDirectory,
+                format: article.gitFormat,
+                dryRun
+            });
+            results.push({ publisher: name, dryRun, ...result });
+            log(`✓ ${dryRun ? 'Dry run for' : 'Published to'} ${name}: ${result.url || result.id || result.status}`);
+        } catch (error) {
+            results.push({ publisher: name, dryRun, error: error.message });
+            log(`⚠ Publishing to ${name} failed: ${error.message}`);
+        }
+    }
+
+    return results;
+}
@@ -0,0 +1,121 @@
+import axios from 'axios';
+import { slugify } from '../html.js';
+import { loadImage } from '../image-storage.js';
+import { EXPORT_FORMATS } from '../output-formats.js';
+
+// Input status → WordPress post status
+const STATUSES = { draft: 'draft', published: 'publish', scheduled: 'future' };
+
+/**
+ * Create a publisher for the WordPress REST API, authenticated with an application password
+ */
+export function createWordPressPublisher(config) {
+    const { siteUrl, username, applicationPassword } = config;
+
+    if (!siteUrl || !username || !applicationPassword) {
+        throw new Error('WordPress publishing requires wordpressUrl, wordpressUsername and an application password (wordpressAppPassword or WORDPRESS_APP_PASSWORD)');
+    }
+
+    const client = axios.create({
+        baseURL: `${siteUrl.replace(/\/+$/, '')}/wp-json/wp/v2`,
+        auth: { username, password: applicationPassword },
+        timeout: 60000
+    });
+
+    const request = async (method, url, data, options = {}) => {
+        try {
+            const response = await client.request({ method, url, data, ...options });
+            return response.data;
+        } catch (error) {
+            const message = error.response?.data?.message || error.message;
+            throw new Error(`WordPress API error${error.response ? ` (${error.response.status})` : ''} on ${method.toUpperCase()} ${url}: ${message}`);
+        }
+    };
+
+    /**
+     * Map category or tag names to IDs, creating terms that do not exist yet. Numeric values are used as IDs.
+     */
+    const resolveTerms = async (taxonomy, terms) => {
+        const ids = [];
+        for (const term of terms) {
+            if (Number.isInteger(term) || /^\d+$/.test(String(term))) {
+                ids.push(Number(term));
+                continue;
+            }
+
+            const name = String(term).trim();
+            const found = await request('get', `/${taxonomy}`, undefined, { params: { search: name, per_page: 100 } });
+            const existing = found.find(item => item.name.toLowerCase() === name.toLowerCase() || item.slug === slugify(name));
+            ids.push(existing ? existing.id : (await request('post', `/${taxonomy}`, { name })).id);
+        }
+        return ids;
+    };
+
+    /**
+     * Upload the hero image to the media library and return its media ID
+     */
+    const uploadFeaturedMedia = async (image) => {
+        const { buffer, contentType, filename } = await loadImage(image);
+        const media = await request('post', '/media', buffer, {
+            headers: {
+                'Content-Type': contentType,
+                'Content-Disposition': `attachment; filename="${filename}"`
+            },
+            maxBodyLength: Infinity
+        });
+
+        await request('post', `/media/${media.id}`, { alt_text: image.alt || '', caption: image.caption || '' });
+        return media.id;
+    };
+
+    return {
+        name: 'wordpress',
+
+        /**
+         * Create a draft, published or scheduled post with categories, tags and featured image
+         */
+        async publish(post, options) {
+            const { status = 'draft', publishAt, tags = [], categories = [], dryRun = false } = options;
+            const hero = (post.images || []).find(image => image.placement === 'hero');
+
+            const payload = {
+                title: post.title,
+                slug: post.slug || slugify(post.title),
+                // The hero image becomes the featured image, so it is not repeated in the content
+                content: EXPORT_FORMATS.gutenberg.render(post, { includeHero: !hero }),
+                excerpt: post.metaDescription,
+                status: STATUSES[status],
+                ...(status === 'scheduled' && { date_gmt: new Date(publishAt).toISOString().slice(0, 19) })
+            };
+
+            if (dryRun) {
+                const { content, ...fields } = payload;
+                return {
+                    id: null,
+                    url: null,
+                    status: payload.status,
+                    request: {
+                        endpoint: `${client.defaults.baseURL}/posts`,
+                        ...fields,
+                        contentBytes: Buffer.byteLength(content),
+                        categories,
+                        tags,
+                        featuredMedia: hero ? hero.url : null
+                    }
+                };
+            }
+
+            payload.categories = await resolveTerms('categories', categories);
+            payload.tags = await resolveTerms('tags', tags);
+            if (hero) payload.featured_media = await uploadFeaturedMedia(hero);
+
+            const created = await request('post', '/posts', payload);
+            return {
+                id: created.id,
+                url: created.link,
+                status: created.status,
+                featuredMediaId: payload.featured_media ?? null
+            };
+        }
+    };
+}
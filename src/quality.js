@@ -0,0 +1,323 @@
+import { parseDocument, DomUtils } from 'htmlparser2';
+import { createUsageTracker } from './pricing.js';
+import { maxOutputTokens } from './models.js';
+import { countWords } from './html.js';
+import { SECTION_SCHEMA, EXTRAS_SCHEMA } from './article.js';
+import { parseStructuredOutput } from './structured-output.js';
+import { formatBrandVoicePrompt } from './brand-voice.js';
+import { formatLanguagePrompt, isEnglish, phrasePattern } from './language.js';
+import { formatSourcesPrompt, selectPassages, REVISION_SOURCES_CHARS } from './sources.js';
+
+// Acceptable article length relative to the requested word count.
+// Overshooting is tolerated more than falling short.
+const WORD_COUNT_MIN_RATIO = 0.9;
+const WORD_COUNT_MAX_RATIO = 1.2;
+
+// Roughly how many extra words one section can absorb in a single expand call
+const WORDS_PER_EXPANSION = 300;
+
+/**
+ * Check a generated article against the input requirements
+ */
+export function validateArticle(article, requirements) {
+    const {
+        keywords,
+        wordCount,
+        includeExecutiveSummary,
+        includeReferences,
+        includeCallToAction
+    } = requirements;
+
+    const checks = [];
+    const minWords = Math.round(wordCount * WORD_COUNT_MIN_RATIO);
+    const maxWords = Math.round(wordCount * WORD_COUNT_MAX_RATIO);
+
+    checks.push({
+        name: 'wordCount',
+        passed: article.wordCount >= minWords && article.wordCount <= maxWords,
+        expected: `${minWords}-${maxWords} words`,
+        actual: article.wordCount
+    });
+
+    const missingKeywords = findMissingKeywords(article, keywords);
+    checks.push({
+        name: 'keywords',
+        passed: missingKeywords.length === 0,
+        expected: keywords,
+        actual: keywords.filter(keyword => !missingKeywords.includes(keyword)),
+        missing: missingKeywords
+    });
+
+    if (includeExecutiveSummary) {
+        checks.push({
+            name: 'executiveSummary',
+            passed: Boolean(article.executiveSummary?.trim()),
+            expected: 'present',
+            actual: article.executiveSummary?.trim() ? 'present' : 'missing'
+        });
+    }
+
+    if (includeReferences) {
+        checks.push({
+            name: 'references',
+            passed: Array.isArray(article.references) && article.references.length > 0,
+            expected: 'at least 1 reference',
+            actual: article.references?.length || 0
+        });
+    }
+
+    if (includeCallToAction) {
+        checks.push({
+            name: 'callToAction',
+            passed: Boolean(article.callToAction?.trim()),
+            expected: 'present',
+            actual: article.callToAction?.trim() ? 'present' : 'missing'
+        });
+    }
+
+    return checks;
+}
+
+/**
+ * Validate the article and run targeted expand/revise calls until it passes
+ * or `maxRevisionRounds` is used up. Returns the revised article with a quality report.
+ */
+export async function enforceQuality(article, options) {
+    const { writingModel, maxRevisionRounds = 2 } = options;
+
+    let current = article;
+    let checks = validateArticle(current, options);
+    let revisionRounds = 0;
+
+    const tracker = createUsageTracker(writingModel, article);
+    const { track } = tracker;
+
+    while (checks.some(check => !check.passed) && revisionRounds < maxRevisionRounds) {
+        revisionRounds++;
+        const failed = checks.filter(check => !check.passed).map(check => check.name);
+        console.log(`  Revision round ${revisionRounds}/${maxRevisionRounds}: fixing ${failed.join(', ')}...`);
+
+        try {
+            current = await reviseArticle(current, checks, { ...options, track });
+        } catch (error) {
+            console.warn(`  ⚠ Revision round ${revisionRounds} failed: ${error.message}`);
+        }
+
+        checks = validateArticle(current, options);
+    }
+
+    return {
+        ...current,
+        usage: tracker.usage,
+        cost: tracker.cost,
+        ledger: tracker.ledger,
+        qualityReport: {
+            passed: checks.every(check => check.passed),
+            passedChecks: checks.filter(check => check.passed).map(check => check.name),
+            failedChecks: checks.filter(check => !check.passed).map(check => check.name),
+            checks,
+            revisionRounds
+        }
+    };
+}
+
+/**
+ * Run one round of targeted revisions for the failed checks
+ */
+async function reviseArticle(article, checks, options) {
+    const { wordCount, writingModel, provider, track } = options;
+    const failed = Object.fromEntries(checks.filter(check => !check.passed).map(check => [check.name, check]));
+    const sections = splitSections(article.contentHTML);
+    const parseOptions = { provider, model: writingModel, track };
+
+    // Body sections can be revised; content before the first H2 is left alone
+    const revisable = sections.map((section, index) => ({ ...section, index })).filter(section => section.headingHTML);
+    const plan = new Map();
+    const addInstruction = (section, instruction) => {
+        if (!plan.has(section.index)) plan.set(section.index, []);
+        plan.get(section.index).push(instruction);
+    };
+
+    if (failed.wordCount && revisable.length > 0) {
+        const difference = wordCount - article.wordCount;
+
+        if (difference > 0) {
+            // Expand the shortest sections first
+            const targets = [...revisable]
+                .sort((a, b) => countWords(a.body) - countWords(b.body))
+                .slice(0, Math.ceil(difference / WORDS_PER_EXPANSION));
+            const perSection = Math.ceil(difference / targets.length);
+            targets.forEach(section => addInstruction(section,
+                `Expand this section by about ${perSection} words with additional examples, data, or practical advice. Do not pad with filler.`));
+        } else {
+            // Condense the longest sections first
+            const targets = [...revisable]
+                .sort((a, b) => countWords(b.body) - countWords(a.body))
+                .slice(0, Math.ceil(-difference / WORDS_PER_EXPANSION));
+            const perSection = Math.ceil(-difference / targets.length);
+            targets.forEach(section => addInstruction(section,
+                `Condense this section by about ${perSection} words without losing its key points.`));
+        }
+    }
+
+    if (failed.keywords && revisable.length > 0) {
+        // Spread missing keywords over the body, skipping the introduction when possible
+        const candidates = revisable.length > 1 ? revisable.slice(1) : revisable;
+        failed.keywords.missing.forEach((keyword, i) => {
+            addInstruction(candidates[i % candidates.length],
+                `Naturally work in the exact phrase "${keyword}" at least once.`);
+        });
+    }
+
+    const revisedSections = sections.map(section => section.headingHTML + section.body);
+    for (const [index, instructions] of plan) {
+        const section = sections[index];
+        const result = await provider.generateText(
+            buildSectionRevisionPrompt({ ...options, section, instructions, title: article.title }),
+            {
+                model: writingModel,
+                maxTokens: Math.min(maxOutputTokens(writingModel), Math.max(1500, Math.ceil(countWords(section.body) * 3) + 1000)),
+                task: 'revision'
+            }
+        );
+        track(result);
+
+        const data = await parseStructuredOutput(result, { ...parseOptions, schema: SECTION_SCHEMA, label: 'revised section' });
+
+        // Keep the original heading so anchors do not change
+        const body = data.html.trim().replace(/^<h2[^>]*>[\s\S]*?<\/h2>\s*/i, '');
+        revisedSections[index] = `${section.headingHTML}\n${body}\n`;
+    }
+
+    const contentHTML = revisedSections.join('').trim();
+    let revised = { ...article, contentHTML, wordCount: countWords(contentHTML) };
+
+    if (failed.executiveSummary || failed.references || failed.callToAction) {
+        const result = await provider.generateText(
+            buildMissingPartsPrompt({ ...options, article: revised, failed }),
+            { model: writingModel, maxTokens: 2000, task: 'missingParts' }
+        );
+        track(result);
+
+        const parts = await parseStructuredOutput(result, { ...parseOptions, schema: EXTRAS_SCHEMA, label: 'missing parts' });
+        revised = {
+            ...revised,
+            executiveSummary: failed.executiveSummary && parts.executiveSummary ? parts.executiveSummary : revised.executiveSummary,
+            summaryHeading: failed.executiveSummary && parts.summaryHeading ? parts.summaryHeading : revised.summaryHeading,
+            references: failed.references && Array.isArray(parts.references) ? parts.references : revised.references,
+            referencesHeading: failed.references && parts.referencesHeading ? parts.referencesHeading : revised.referencesHeading,
+            callToAction: failed.callToAction && parts.callToAction ? parts.callToAction : revised.callToAction
+        };
+    }
+
+    return revised;
+}
+
+/**
+ * Build the prompt for revising one section of the article
+ */
+function buildSectionRevisionPrompt(options) {
+    const { topic, targetAudience, tone, brandVoice, language, sourcePassages, section, instructions, title } = options;
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice)}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+    const sourcesText = sourcePassages?.length > 0
+        ? `\n${formatSourcesPrompt(selectPassages(sourcePassages, `${section.headingHTML} ${instructions.join(' ')}`, REVISION_SOURCES_CHARS))}\n- Keep the existing citation markers (e.g. [S1.2]) next to the claims they support\n`
+        : '';
+
+    return `You are an expert professional blog editor. Revise one section of a blog article.
+
+ARTICLE:
+Title: "${title}"
+Topic: "${topic}"
+Target Audience: ${targetAudience}
+Writing Tone: ${tone}
+
+SECTION TO REVISE:
+${section.headingHTML}
+${section.body}
+
+REVISION INSTRUCTIONS:
+${instructions.map(instruction => `- ${instruction}`).join('\n')}
+${sourcesText}
+GUIDELINES:
+- Keep the existing structure, facts and H3 headings unless an instruction says otherwise
+- Keep the same ${tone} tone and semantic HTML formatting
+- Do NOT include the section's H2 heading, it is kept automatically
+- NO H1 or H2 tags
+${languageText}${brandVoiceText}
+Return the result in this exact JSON format:
+{
+    "html": "<p>Revised section content...</p>"
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Build the prompt for writing the required parts the article is missing
+ */
+function buildMissingPartsPrompt(options) {
+    const { topic, targetAudience, tone, ctaText, brandVoice, language, article, failed } = options;
+
+    const articleText = article.contentHTML.length > 12000
+        ? `${article.contentHTML.slice(0, 12000)}...`
+        : article.contentHTML;
+    const ctaTextInfo = ctaText ? ` Use this CTA text: "${ctaText}"` : '';
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice)}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+
+    return `You have written this blog article for ${targetAudience} in a ${tone} tone.
+
+Title: "${article.title}"
+Topic: "${topic}"
+
+ARTICLE:
+${articleText}
+
+The article is missing these required parts:${failed.executiveSummary ? '\n- Executive Summary (100-150 words) - concise overview for busy executives' : ''}${failed.references ? '\n- References: 5-8 suggested authoritative sources relevant to the article' : ''}${failed.callToAction ? `\n- Call-to-Action section as HTML.${ctaTextInfo}` : ''}
+${languageText}${brandVoiceText}
+Return the result in this exact JSON format, leaving parts that are not missing empty:
+{
+    "executiveSummary": "${failed.executiveSummary ? '100-150 word executive summary' : ''}",
+    "summaryHeading": "${failed.executiveSummary ? 'Executive Summary' : ''}",
+    "references": ${failed.references ? '["Source 1: Title - URL or description", "Source 2: ..."]' : '[]'},
+    "referencesHeading": "${failed.references ? 'References' : ''}",
+    "callToAction": "${failed.callToAction ? '<div class=\\"cta\\"><h3>Ready to Get Started?</h3><p>CTA content...</p></div>' : ''}"
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Find keywords that do not appear anywhere in the article text. Entities are decoded
+ * first, so "R&amp;D" in the HTML matches the keyword "R&D". Keywords match as whole
+ * phrases, the way the SEO analysis counts them, so "AI" is not found in "said".
+ */
+function findMissingKeywords(article, keywords) {
+    const textNodes = DomUtils.getElementsByTagType('text', parseDocument(article.contentHTML, { decodeEntities: true }));
+    const text = [article.title, ...textNodes.map(node => node.data)].join(' ');
+
+    return keywords.filter(keyword => !keyword.trim() || !phrasePattern(keyword).test(text));
+}
+
+/**
+ * Split article HTML into H2 sections. Content before the first H2 has an empty heading.
+ */
+export function splitSections(html) {
+    const sections = [];
+    const h2Regex = /<h2[^>]*>[\s\S]*?<\/h2>/gi;
+    let lastIndex = 0;
+    let headingHTML = '';
+    let match;
+
+    while ((match = h2Regex.exec(html)) !== null) {
+        if (headingHTML || match.index > lastIndex) {
+            sections.push({ headingHTML, body: html.slice(lastIndex, match.index) });
+        }
+        headingHTML = match[0];
+        lastIndex = match.index + match[0].length;
+    }
+    sections.push({ headingHTML, body: html.slice(lastIndex) });
+
+    return sections;
+}
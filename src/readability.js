@@ -0,0 +1,245 @@
+import { parseDocument } from 'htmlparser2';
+
+// Elements whose own text is prose; headings, captions, code and tables are left out
+const PROSE_TAGS = new Set(['p', 'li', 'dd', 'blockquote']);
+const SKIPPED_TAGS = new Set(['figure', 'pre', 'table', 'script', 'style', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// Sentences longer than this are hard to follow
+const LONG_SENTENCE_WORDS = 25;
+const MAX_LONG_SENTENCES_LISTED = 10;
+
+// Share of passive sentences editors usually accept
+const MAX_PASSIVE_RATIO = 15;
+
+// A content word is overused when it appears at least this often per 1000 words
+const OVERUSED_PER_THOUSAND = 6;
+const OVERUSED_MIN_COUNT = 5;
+const MAX_OVERUSED_WORDS_LISTED = 10;
+
+// Target Flesch-Kincaid grade per tone, adjusted for the audience below
+const TONE_GRADES = {
+    conversational: 7,
+    inspirational: 8,
+    educational: 9,
+    professional: 10,
+    technical: 12
+};
+const DEFAULT_GRADE = 9;
+const SIMPLER_AUDIENCES = /\b(beginners?|general|consumers?|everyone|public|students?|kids|children|parents|newcomers?|non-technical)\b/i;
+const EXPERT_AUDIENCES = /\b(experts?|engineers?|developers?|researchers?|academics?|scientists?|executives?|cto|ceo|cfo|architects?|specialists?|doctors?|lawyers?|analysts?)\b/i;
+
+// Abbreviations whose period does not end a sentence
+const ABBREVIATIONS = /\b(e\.g|i\.e|etc|vs|Dr|Mr|Mrs|Ms|Prof|Inc|Ltd|Jr|Sr|St|approx|No)\.$/i;
+
+const IRREGULAR_PARTICIPLES = [
+    'been', 'begun', 'bought', 'brought', 'built', 'caught', 'chosen', 'done', 'drawn', 'driven',
+    'eaten', 'fallen', 'felt', 'found', 'forgotten', 'given', 'gone', 'grown', 'held', 'hidden',
+    'kept', 'known', 'laid', 'led', 'left', 'lost', 'made', 'meant', 'met', 'paid', 'put', 'read',
+    'run', 'said', 'seen', 'sent', 'set', 'shown', 'sold', 'spent', 'spoken', 'stolen', 'taken',
+    'taught', 'thought', 'thrown', 'told', 'understood', 'won', 'worn', 'written'
+];
+// A form of "to be" or "get", then the word that may be a past participle
+const PASSIVE_REGEX = /\b(?:am|is|are|was|were|be|been|being|get|gets|got|gotten)\s+(?:\w+ly\s+)?([\w-]+)/gi;
+
+// -ed words that usually describe rather than report an action ("is red", "was bored")
+const ED_ADJECTIVES = new Set([
+    'advanced', 'ashamed', 'balanced', 'beloved', 'bored', 'complicated', 'concerned', 'confused',
+    'crowded', 'dedicated', 'detailed', 'excited', 'experienced', 'frustrated', 'hundred', 'interested',
+    'naked', 'married', 'pleased', 'qualified', 'relaxed', 'rugged', 'sacred', 'scared', 'skilled',
+    'sophisticated', 'supposed', 'surprised', 'talented', 'tired', 'wicked', 'worried'
+]);
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+    'before', 'being', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'each', 'even',
+    'for', 'from', 'had', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'like',
+    'many', 'may', 'more', 'most', 'much', 'must', 'new', 'no', 'not', 'of', 'on', 'one', 'only', 'or',
+    'other', 'our', 'out', 'over', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them',
+    'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'up', 'us', 'use', 'very',
+    'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'without',
+    'would', 'you', 'your'
+]);
+
+/**
+ * Analyze how easy the article's prose is to read.
+ *
+ * Computes Flesch-Kincaid grade, Flesch reading ease, average sentence and paragraph length,
+ * passive-voice ratio, long sentences and overused words, and checks the grade against the
+ * target for the audience and tone (or an explicit `targetGradeLevel`).
+ */
+export function analyzeReadability(contentHTML, options = {}) {
+    const { targetAudience = '', tone = 'professional', targetGradeLevel = null, keywords = [] } = options;
+
+    const blocks = collectProseBlocks(parseDocument(contentHTML, { decodeEntities: true }));
+    const sentences = blocks.flatMap(block => splitSentences(block.text));
+    const words = sentences.flatMap(sentence => sentence.words);
+    const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+    const paragraphs = blocks.filter(block => block.tag === 'p');
+
+    const wordsPerSentence = sentences.length > 0 ? words.length / sentences.length : 0;
+    const syllablesPerWord = words.length > 0 ? syllables / words.length : 0;
+    const fleschKincaidGrade = words.length > 0 ? round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59, 1) : 0;
+    const fleschReadingEase = words.length > 0 ? round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord, 1) : 0;
+
+    const passiveSentences = sentences.filter(sentence => isPassive(sentence.text)).length;
+    const passiveVoiceRatio = sentences.length > 0 ? round(passiveSentences / sentences.length * 100, 1) : 0;
+    const longSentences = sentences.filter(sentence => sentence.words.length > LONG_SENTENCE_WORDS);
+
+    const target = targetGradeLevel ?? deriveTargetGrade(targetAudience, tone);
+    const maxGrade = target + 2;
+    const passed = fleschKincaidGrade <= maxGrade;
+
+    const warnings = [];
+    if (!passed) {
+        warnings.push(`Grade level ${fleschKincaidGrade} is above the target of ${target} (max ${maxGrade}). Shorten sentences and prefer simpler words.`);
+    }
+    if (passiveVoiceRatio > MAX_PASSIVE_RATIO) {
+        warnings.push(`${passiveVoiceRatio}% of sentences use the passive voice (aim for at most ${MAX_PASSIVE_RATIO}%).`);
+    }
+    if (longSentences.length > sentences.length * 0.1) {
+        warnings.push(`${longSentences.length} sentence${longSentences.length === 1 ? ' has' : 's have'} more than ${LONG_SENTENCE_WORDS} words.`);
+    }
+
+    return {
+        fleschKincaidGrade,
+        fleschReadingEase,
+        targetGrade: target,
+        maxGrade,
+        passed,
+        sentences: sentences.length,
+        words: words.length,
+        averageSentenceLength: round(wordsPerSentence, 1),
+        averageParagraphLength: paragraphs.length > 0
+            ? round(paragraphs.reduce((sum, block) => sum + countWords(block.text), 0) / paragraphs.length, 1)
+            : 0,
+        passiveSentences,
+        passiveVoiceRatio,
+        longSentences: longSentences.slice(0, MAX_LONG_SENTENCES_LISTED).map(sentence => ({
+            text: sentence.text.length > 200 ? `${sentence.text.slice(0, 197)}...` : sentence.text,
+            words: sentence.words.length
+        })),
+        longSentenceCount: longSentences.length,
+        overusedWords: findOverusedWords(words, keywords),
+        warnings
+    };
+}
+
+/**
+ * Target grade for the tone, one lower for general or beginner audiences and one higher for experts
+ */
+export function deriveTargetGrade(targetAudience, tone) {
+    let grade = TONE_GRADES[String(tone).toLowerCase()] ?? DEFAULT_GRADE;
+    if (SIMPLER_AUDIENCES.test(targetAudience)) grade -= 1;
+    if (EXPERT_AUDIENCES.test(targetAudience)) grade += 1;
+    return grade;
+}
+
+/**
+ * Collect the text of prose blocks. Nested lists and paragraphs are collected on their own,
+ * so list items with sub-lists are not counted twice.
+ */
+function collectProseBlocks(node, blocks = []) {
+    for (const child of node.children || []) {
+        if (child.type !== 'tag' || SKIPPED_TAGS.has(child.name)) continue;
+
+        if (PROSE_TAGS.has(child.name)) {
+            const text = ownText(child).replace(/\s+/g, ' ').trim();
+            if (text) blocks.push({ tag: child.name, text });
+        }
+        collectProseBlocks(child, blocks);
+    }
+    return blocks;
+}
+
+/**
+ * Text of an element without the text of nested block elements
+ */
+function ownText(node) {
+    return (node.children || []).map(child => {
+        if (child.type === 'text') return child.data;
+        if (child.type !== 'tag' || PROSE_TAGS.has(child.name) || SKIPPED_TAGS.has(child.name) || ['ul', 'ol', 'div'].includes(child.name)) return ' ';
+        return child.name === 'br' ? ' ' : ownText(child);
+    }).join('');
+}
+
+/**
+ * Split a block into sentences with their words
+ */
+function splitSentences(text) {
+    const parts = [];
+    let current = '';
+
+    for (const piece of text.split(/(?<=[.!?…]["'”’)]?)\s+/)) {
+        current = current ? `${current} ${piece}` : piece;
+        // Keep going when the period belongs to an abbreviation
+        if (ABBREVIATIONS.test(current)) continue;
+        parts.push(current);
+        current = '';
+    }
+    if (current) parts.push(current);
+
+    return parts
+        .map(sentence => ({ text: sentence.trim(), words: toWords(sentence) }))
+        .filter(sentence => sentence.words.length > 0);
+}
+
+/**
+ * Estimate whether a sentence is in the passive voice: "to be" or "get" followed by a
+ * past participle. Hyphenated words ("need-based"), -eed words ("need") and common
+ * -ed adjectives are not counted as participles.
+ */
+function isPassive(text) {
+    return [...text.matchAll(PASSIVE_REGEX)].some(([, candidate]) => {
+        const word = candidate.toLowerCase();
+        if (IRREGULAR_PARTICIPLES.includes(word)) return true;
+        return /^[a-z]{2,}ed$/.test(word) && !word.endsWith('eed') && !ED_ADJECTIVES.has(word);
+    });
+}
+
+/**
+ * Estimate English syllables from vowel groups
+ */
+function countSyllables(word) {
+    const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!cleaned) return 1;
+    if (cleaned.length <= 3) return 1;
+
+    const trimmed = cleaned
+        .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, match => match[0])
+        .replace(/^y/, '');
+    const groups = trimmed.match(/[aeiouy]+/g);
+    return Math.max(1, groups ? groups.length : 1);
+}
+
+/**
+ * Content words used noticeably more often than the rest, ignoring stop words and the SEO keywords
+ */
+function findOverusedWords(words, keywords) {
+    const keywordWords = new Set(keywords.flatMap(keyword => toWords(keyword.toLowerCase())));
+    const counts = new Map();
+
+    for (const word of words) {
+        const lower = word.toLowerCase();
+        if (lower.length < 3 || STOP_WORDS.has(lower) || keywordWords.has(lower) || /^\d+$/.test(lower)) continue;
+        counts.set(lower, (counts.get(lower) || 0) + 1);
+    }
+
+    return [...counts.entries()]
+        .map(([word, count]) => ({ word, count, perThousandWords: round(count / words.length * 1000, 1) }))
+        .filter(item => item.count >= OVERUSED_MIN_COUNT && item.perThousandWords >= OVERUSED_PER_THOUSAND)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_OVERUSED_WORDS_LISTED);
+}
+
+function toWords(text) {
+    return String(text).match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+function countWords(text) {
+    return toWords(text).length;
+}
+
+function round(value, decimals) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,635 @@
+import { Actor } from 'apify';
+import { createUsageTracker } from './pricing.js';
+import { maxOutputTokens } from './models.js';
+import { parseStructuredOutput } from './structured-output.js';
+import { countWords, slugify, escapeHtml } from './html.js';
+import { SECTION_SCHEMA, EXTRAS_SCHEMA, buildFinishingPrompt } from './article.js';
+import { splitSections } from './quality.js';
+import { formatBrandVoicePrompt } from './brand-voice.js';
+import { formatLanguagePrompt, isEnglish } from './language.js';
+import { formatSourcesPrompt, selectPassages, SECTION_SOURCES_CHARS } from './sources.js';
+
+export const REFRESH_STRATEGIES = ['update', 'rewrite', 'expand'];
+
+const STRATEGY_INSTRUCTIONS = {
+    update: 'Keep what is still accurate and well written. Update outdated facts, examples and terminology, work in the new keywords and fill obvious gaps.',
+    rewrite: 'Rewrite every section in the requested tone for the target audience. Keep the facts, and the structure where it still works.',
+    expand: 'Keep the existing text largely as it is and add depth: new examples, data and practical advice, plus new sections where the topic needs them.'
+};
+
+// What the section call is asked to do for each planned action
+const ACTION_TASKS = {
+    keep: 'Convert the existing section to HTML without changing its wording',
+    update: 'Update the existing section',
+    rewrite: 'Rewrite the existing section',
+    expand: 'Expand the existing section',
+    add: 'Write a new section'
+};
+const PLANNED_ACTIONS = ['keep', 'update', 'rewrite', 'expand', 'remove'];
+
+// Refreshed sections at least this similar (word overlap) to the original count as unchanged
+const UNCHANGED_SIMILARITY = 0.98;
+
+// How much of each existing section (in characters) the planning call sees
+const PLAN_EXCERPT_CHARS = 300;
+
+const REFRESH_PLAN_SCHEMA = {
+    title: 'string',
+    subtitle: 'string?',
+    metaDescription: 'string',
+    sections: 'array'
+};
+
+/**
+ * Load the post to refresh from `existingContent` or the key-value store record `existingContentRecordKey`
+ */
+export async function loadExistingContent(article) {
+    if (typeof article.existingContent === 'string' && article.existingContent.trim()) {
+        return article.existingContent;
+    }
+
+    const record = await Actor.getValue(article.existingContentRecordKey);
+    if (record === null || record === undefined) {
+        throw new Error(`Key-value store record "${article.existingContentRecordKey}" not found`);
+    }
+    if (typeof record === 'object' && !Buffer.isBuffer(record)) {
+        const content = record.contentHTML ?? record.html ?? record.contentMarkdown ?? record.markdown ?? record.content;
+        if (typeof content !== 'string') {
+            throw new Error(`Record "${article.existingContentRecordKey}" must be HTML, Markdown or JSON with a contentHTML/markdown field`);
+        }
+        return content;
+    }
+    return record.toString('utf8');
+}
+
+/**
+ * Split an existing HTML or Markdown post into its title and H2 sections.
+ * Content before the first H2 becomes an untitled opening section with the id "".
+ */
+export function parseExistingArticle(content) {
+    const markdown = !/<(h[1-6]|p|div|ul|ol|article|section|body)\b[^>]*>/i.test(content);
+    const parsed = markdown ? parseMarkdownArticle(content) : parseHtmlArticle(content);
+
+    if (parsed.sections.length === 0) {
+        throw new Error('The existing article has no content to refresh');
+    }
+
+    const usedIds = new Set();
+    parsed.sections.forEach((section, i) => {
+        let id = section.id;
+        for (let n = 2; usedIds.has(id); n++) id = `${section.id}-${n}`;
+        usedIds.add(id);
+        section.id = id;
+        section.index = i;
+    });
+
+    return { ...parsed, format: markdown ? 'markdown' : 'html' };
+}
+
+/**
+ * Refresh an existing article: plan which sections to keep, update, rewrite, expand, remove
+ * or add, rework them one call at a time, then write the summary, references and CTA.
+ * Returns the same shape as generateArticle plus a section-level `refreshReport`.
+ * Like the outline mode, the plan and finished sections go to `saveCheckpoint` so a
+ * resumed run can continue from a saved `checkpoint`.
+ */
+export async function refreshArticle(options) {
+    const {
+        existing,
+        wordCount,
+        includeExecutiveSummary,
+        includeReferences,
+        includeCallToAction,
+        writingModel,
+        provider,
+        refreshStrategy = 'update',
+        preserveAnchors = true,
+        preserveLinks = true,
+        maxSectionRetries = 2,
+        checkpoint = null,
+        saveCheckpoint = async () => {},
+        onProgress = () => {}
+    } = options;
+
+    const tracker = createUsageTracker(writingModel, checkpoint ?? {});
+    const { track } = tracker;
+    const parseOptions = { provider, model: writingModel, track };
+    const save = (progress) => saveCheckpoint({ ...progress, usage: tracker.usage, cost: tracker.cost, ledger: tracker.ledger });
+
+    // Phase 1: plan the refresh
+    let plan = checkpoint?.plan;
+    if (plan) {
+        console.log(`  Resuming from the saved refresh plan (${checkpoint.sections.length}/${plan.sections.length} sections done)`);
+    } else {
+        console.log(`  Planning refresh of ${existing.sections.length} existing sections (${refreshStrategy})...`);
+        onProgress('Planning the refresh');
+        const planResult = await provider.generateText(buildRefreshPlanPrompt(options), { model: writingModel, maxTokens: 3000, task: 'refreshPlan' });
+        track(planResult);
+        const planData = await parseStructuredOutput(planResult, { ...parseOptions, schema: REFRESH_PLAN_SCHEMA, label: 'refresh plan' });
+        plan = normalizeRefreshPlan(planData, existing, { wordCount, preserveAnchors });
+        await save({ plan, sections: [] });
+    }
+
+    // Phase 2: rework each section; sections kept as they are need no call when they are already HTML
+    const sections = checkpoint?.plan ? [...checkpoint.sections] : [];
+    for (const [i, planned] of plan.sections.entries()) {
+        if (i < sections.length) continue;
+        const label = planned.heading || 'Opening';
+
+        if (planned.action === 'remove') {
+            console.log(`  Removing section ${i + 1}/${plan.sections.length}: "${label}"`);
+            sections.push({ ...planned, html: null, lostUrls: [] });
+            continue;
+        }
+        if (planned.action === 'keep' && existing.format === 'html') {
+            sections.push({ ...planned, html: planned.original.body.trim(), lostUrls: [] });
+            continue;
+        }
+
+        console.log(`  Refreshing section ${i + 1}/${plan.sections.length}: "${label}" (${planned.action}, ~${planned.wordBudget} words)...`);
+        onProgress(`Refreshing section ${i + 1}/${plan.sections.length}`);
+        const refreshed = await refreshSection({
+            ...options,
+            plan,
+            planned,
+            format: existing.format,
+            preserveLinks,
+            maxSectionRetries
+        }, track);
+        sections.push({ ...planned, ...refreshed });
+        await save({ plan, sections });
+    }
+
+    const published = sections.filter(section => section.html !== null);
+    const contentHTML = published
+        .map(section => (section.heading
+            ? `<h2 id="${escapeHtml(section.id)}">${escapeHtml(section.heading)}</h2>\n${section.html}`
+            : section.html))
+        .join('\n');
+
+    // Phase 3: executive summary, references and CTA for the refreshed article
+    let extras = {};
+    if (includeExecutiveSummary || includeReferences || includeCallToAction) {
+        console.log('  Writing executive summary, references and CTA...');
+        onProgress('Writing the executive summary, references and CTA');
+        const extrasResult = await provider.generateText(
+            buildFinishingPrompt({ ...options, outline: plan, contentHTML }),
+            { model: writingModel, maxTokens: 2000, task: 'summary' }
+        );
+        track(extrasResult);
+        extras = await parseStructuredOutput(extrasResult, { ...parseOptions, schema: EXTRAS_SCHEMA, label: 'summary' });
+    }
+
+    return {
+        title: plan.title,
+        subtitle: plan.subtitle,
+        executiveSummary: includeExecutiveSummary ? extras.executiveSummary || '' : '',
+        summaryHeading: includeExecutiveSummary ? extras.summaryHeading || '' : '',
+        contentHTML,
+        metaDescription: plan.metaDescription,
+        references: includeReferences ? extras.references || [] : [],
+        referencesHeading: includeReferences ? extras.referencesHeading || '' : '',
+        callToAction: includeCallToAction ? extras.callToAction || '' : '',
+        wordCount: countWords(contentHTML),
+        usage: tracker.usage,
+        cost: tracker.cost,
+        ledger: tracker.ledger,
+        generationMode: 'refresh',
+        outline: published.filter(section => section.heading).map(section => ({
+            heading: section.heading,
+            anchor: section.id,
+            wordBudget: section.wordBudget,
+            wordCount: countWords(section.html),
+            subsections: []
+        })),
+        refreshReport: buildRefreshReport(existing, sections, { refreshStrategy })
+    };
+}
+
+/**
+ * Rework one section, retrying when the call fails or preserved links go missing
+ */
+async function refreshSection(options, track) {
+    const { planned, writingModel, provider, preserveLinks, maxSectionRetries } = options;
+    const keepUrls = preserveLinks && planned.original ? planned.original.urls : [];
+    let maxTokens = Math.min(maxOutputTokens(writingModel), Math.max(1500, Math.ceil(planned.wordBudget * 2.5) + 500));
+    const label = planned.heading || 'Opening';
+
+    let html = null;
+    let missingUrls = [];
+
+    for (let attempt = 1; attempt <= maxSectionRetries + 1; attempt++) {
+        try {
+            const result = await provider.generateText(
+                buildRefreshSectionPrompt({ ...options, keepUrls, missingUrls }),
+                { model: writingModel, maxTokens, task: 'refreshSection' }
+            );
+            track(result);
+
+            const data = await parseStructuredOutput(result, {
+                schema: SECTION_SCHEMA,
+                label: 'refreshed section',
+                provider,
+                model: writingModel,
+                track
+            });
+
+            // The heading is written by us so anchors stay stable
+            html = data.html.trim().replace(/^<h2[^>]*>[\s\S]*?<\/h2>\s*/i, '');
+            missingUrls = keepUrls.filter(url => !html.includes(url) && !html.includes(escapeHtml(url)));
+            if (missingUrls.length === 0 || attempt > maxSectionRetries) break;
+
+            console.warn(`  ⚠ Section "${label}" dropped ${missingUrls.length} links to keep. Retrying ${attempt}/${maxSectionRetries}...`);
+        } catch (error) {
+            if (attempt > maxSectionRetries) {
+                if (html !== null) break;
+                throw new Error(`Failed to refresh section "${label}": ${error.message}`);
+            }
+            if (error.truncated) maxTokens = Math.min(maxOutputTokens(writingModel), maxTokens * 2);
+            console.warn(`  ⚠ Section "${label}" failed (${error.message}). Retrying ${attempt}/${maxSectionRetries}...`);
+        }
+    }
+
+    return { html, lostUrls: missingUrls };
+}
+
+/**
+ * Build the refresh planning prompt
+ */
+function buildRefreshPlanPrompt(options) {
+    const {
+        topic,
+        keywords,
+        targetAudience,
+        wordCount,
+        tone,
+        industryContext,
+        brandVoice,
+        language,
+        existing,
+        refreshStrategy = 'update',
+        refreshInstructions,
+        preserveAnchors = true
+    } = options;
+
+    const industryText = industryContext ? `\nIndustry/Context: ${industryContext}` : '';
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice, { includeExamples: false })}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+    const instructionsText = refreshInstructions ? `\nEditor instructions: ${refreshInstructions}` : '';
+
+    const sectionList = existing.sections.map((section, i) => {
+        const text = section.body.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+        const excerpt = text.length > PLAN_EXCERPT_CHARS ? `${text.slice(0, PLAN_EXCERPT_CHARS)}...` : text;
+        return `${i + 1}. id "${section.id}": ${section.heading ? `"${section.heading}"` : '(untitled opening)'} (~${section.wordCount} words)\n   ${excerpt}`;
+    }).join('\n');
+
+    return `You are an expert content editor. Plan the refresh of an existing blog article. Do not write the article yet.
+
+ARTICLE REQUIREMENTS:
+Topic: "${topic}"
+Target Audience: ${targetAudience}
+Target Length: ${wordCount} words
+Writing Tone: ${tone}
+SEO Keywords: ${keywords.join(', ')}${industryText}
+${languageText}${brandVoiceText}
+REFRESH STRATEGY: ${refreshStrategy}
+${STRATEGY_INSTRUCTIONS[refreshStrategy]}${instructionsText}
+
+EXISTING ARTICLE:
+Title: "${existing.title}"
+${sectionList}
+
+PLANNING RULES:
+- List every section of the refreshed article in reading order
+- Existing sections keep their "id"; the untitled opening uses the id ""
+- Set "action" to "keep" (unchanged), "update", "rewrite" or "expand" for existing sections${preserveAnchors ? '' : ', or "remove" to drop one'}
+- New sections get a new id and the action "add"
+- Headings may be improved; ${preserveAnchors ? 'existing sections must not be removed' : 'remove sections only when they no longer fit the topic'}
+- Give every changed or new section specific instructions and a word budget; budgets add up to ${wordCount}
+- Write a fresh title (50-70 characters), subtitle and meta description (150-160 characters, includes the main keyword)
+
+Return the result in this exact JSON format:
+{
+    "title": "Refreshed, SEO-optimized article title",
+    "subtitle": "Engaging subtitle that complements the title",
+    "metaDescription": "150-160 character SEO meta description",
+    "sections": [
+        { "id": "", "heading": "", "action": "update", "instructions": "What to change", "wordBudget": 150 },
+        { "id": "existing-section-id", "heading": "Section heading", "action": "keep", "instructions": "", "wordBudget": 400 },
+        { "id": "new-section-id", "heading": "New section heading", "action": "add", "instructions": "What to cover", "wordBudget": 350 }
+    ]
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Build the prompt for refreshing one section
+ */
+function buildRefreshSectionPrompt(options) {
+    const {
+        topic,
+        keywords,
+        targetAudience,
+        tone,
+        industryContext,
+        brandVoice,
+        language,
+        sourcePassages,
+        refreshInstructions,
+        plan,
+        planned,
+        format,
+        keepUrls,
+        missingUrls
+    } = options;
+
+    const industryText = industryContext ? `\nIndustry/Context: ${industryContext}` : '';
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice)}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+    const sourcesText = sourcePassages?.length > 0
+        ? `\n${formatSourcesPrompt(selectPassages(sourcePassages, `${planned.heading} ${planned.instructions} ${keywords.join(' ')}`, SECTION_SOURCES_CHARS))}\n`
+        : '';
+
+    const outlineText = plan.sections
+        .filter(section => section.action !== 'remove')
+        .map((section, i) => `  ${i + 1}. ${section.heading || '(untitled opening)'}${section === planned ? '  <-- THIS SECTION' : ''}`)
+        .join('\n');
+
+    const existingText = planned.original
+        ? `\nEXISTING SECTION (${format === 'markdown' ? 'Markdown' : 'HTML'}):\n${planned.original.body.trim()}\n`
+        : '';
+    const instructionsText = [planned.instructions, refreshInstructions].filter(Boolean).map(text => `\n- ${text}`).join('');
+    const keepUrlsText = keepUrls.length > 0
+        ? `\nKeep these links and images with exactly the same URLs:\n${keepUrls.map(url => `- ${url}`).join('\n')}`
+        : '';
+    const missingText = missingUrls.length > 0
+        ? `\nYour previous version dropped these URLs. Include every one of them: ${missingUrls.join(', ')}`
+        : '';
+
+    return `You are an expert professional blog editor. You are refreshing one section of an existing blog article.
+
+ARTICLE:
+Title: "${plan.title}"
+Topic: "${topic}"
+Target Audience: ${targetAudience}
+Writing Tone: ${tone}
+SEO Keywords: ${keywords.join(', ')}${industryText}
+
+REFRESHED OUTLINE:
+${outlineText}
+${existingText}
+YOUR TASK:
+${ACTION_TASKS[planned.action]}${planned.heading ? ` "${planned.heading}"` : ' (the untitled opening of the article)'}.
+Target Length: ${planned.wordBudget} words (aim for 90-110% of this target)${instructionsText ? `\nInstructions:${instructionsText}` : ''}${keepUrlsText}${missingText}
+${sourcesText}
+WRITING GUIDELINES:
+- Use ${tone} language throughout
+- Write for ${targetAudience} specifically
+- Naturally integrate relevant keywords without stuffing
+- Write in active voice with short paragraphs (3-4 sentences max)
+${languageText}${brandVoiceText}
+HTML FORMATTING:
+- Return HTML, even when the existing section is Markdown
+- Do NOT include the section's H2 heading, it is added automatically
+- H3 for subsections, <p> for paragraphs, <strong>/<em> for emphasis
+- <ul>/<ol> with <li> for lists, <blockquote> for quotes or callouts
+- NO H1 or H2 tags
+
+Return the result in this exact JSON format:
+{
+    "html": "<p>Section content with proper semantic tags...</p>"
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Validate the refresh plan: existing sections keep their ids, forgotten ones are kept in place,
+ * new sections get unique anchors, and word budgets are scaled to the target
+ */
+function normalizeRefreshPlan(data, existing, options) {
+    const { wordCount, preserveAnchors } = options;
+    const existingById = new Map(existing.sections.map(section => [section.id, section]));
+    const usedIds = new Set(existing.sections.map(section => section.id));
+    const planned = new Set();
+    const sections = [];
+
+    for (const entry of Array.isArray(data.sections) ? data.sections : []) {
+        if (!entry || typeof entry !== 'object') continue;
+        const id = typeof entry.id === 'string' ? entry.id.trim() : '';
+        const heading = typeof entry.heading === 'string' ? entry.heading.trim() : '';
+        const instructions = typeof entry.instructions === 'string' ? entry.instructions.trim() : '';
+        const wordBudget = Number(entry.wordBudget) > 0 ? Number(entry.wordBudget) : 0;
+        const original = entry.action !== 'add' ? existingById.get(id) : undefined;
+
+        if (original && !planned.has(id)) {
+            planned.add(id);
+            let action = PLANNED_ACTIONS.includes(entry.action) ? entry.action : 'update';
+            if (action === 'remove' && preserveAnchors) action = 'keep';
+
+            const newHeading = original.heading ? heading || original.heading : '';
+            // Without anchor preservation a renamed section gets an anchor that matches its new heading
+            const newId = !preserveAnchors && newHeading !== original.heading ? uniqueId(slugify(newHeading), usedIds) : id;
+            sections.push({ id: newId, heading: newHeading, action, instructions, wordBudget, original });
+        } else if (!original && heading) {
+            const newId = uniqueId(slugify(id || heading) || `section-${sections.length + 1}`, usedIds);
+            sections.push({ id: newId, heading, action: 'add', instructions, wordBudget, original: null });
+        }
+    }
+
+    // Existing sections the plan left out are kept where they were
+    for (const section of existing.sections) {
+        if (planned.has(section.id)) continue;
+        const entry = { id: section.id, heading: section.heading, action: 'keep', instructions: '', wordBudget: section.wordCount, original: section };
+        const position = sections.findIndex(other => other.original && other.original.index > section.index);
+        if (position === -1) sections.push(entry);
+        else sections.splice(position, 0, entry);
+    }
+
+    // Kept sections stay as long as they are; the rest share the remaining budget
+    const keptWords = sections
+        .filter(section => section.action === 'keep')
+        .reduce((sum, section) => sum + section.original.wordCount, 0);
+    const flexible = sections.filter(section => !['keep', 'remove'].includes(section.action));
+    flexible.forEach(section => {
+        if (section.wordBudget === 0) section.wordBudget = section.original?.wordCount || Math.round(wordCount / sections.length);
+    });
+    const plannedTotal = flexible.reduce((sum, section) => sum + section.wordBudget, 0);
+    const available = Math.max(wordCount - keptWords, flexible.length * 100);
+    flexible.forEach(section => {
+        section.wordBudget = Math.max(Math.round(section.wordBudget * available / plannedTotal), 100);
+    });
+    sections.forEach(section => {
+        if (section.action === 'keep') section.wordBudget = section.original.wordCount;
+        if (section.action === 'remove') section.wordBudget = 0;
+    });
+
+    return {
+        title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : existing.title,
+        subtitle: data.subtitle || '',
+        metaDescription: data.metaDescription || '',
+        sections
+    };
+}
+
+/**
+ * Summarize what the refresh added, removed and changed, section by section
+ */
+function buildRefreshReport(existing, sections, options) {
+    const sectionReports = sections.map(section => {
+        const wordsAfter = section.html === null ? 0 : countWords(section.html);
+        if (!section.original) {
+            return { id: section.id, heading: section.heading, action: 'add', status: 'added', wordsBefore: 0, wordsAfter };
+        }
+
+        const { original } = section;
+        const base = {
+            id: section.id,
+            heading: section.heading,
+            ...(section.heading !== original.heading && { previousHeading: original.heading }),
+            ...(section.id !== original.id && { previousId: original.id }),
+            action: section.action,
+            wordsBefore: original.wordCount
+        };
+        if (section.html === null) {
+            return { ...base, status: 'removed', wordsAfter: 0 };
+        }
+
+        const similarity = textSimilarity(original.body, section.html);
+        const unchanged = similarity >= UNCHANGED_SIMILARITY && section.heading === original.heading && section.id === original.id;
+        return {
+            ...base,
+            status: unchanged ? 'unchanged' : 'changed',
+            wordsAfter,
+            similarity,
+            ...(section.lostUrls.length > 0 && { lostUrls: section.lostUrls })
+        };
+    });
+
+    const count = status => sectionReports.filter(section => section.status === status).length;
+    return {
+        strategy: options.refreshStrategy,
+        sourceFormat: existing.format,
+        previousTitle: existing.title,
+        summary: {
+            added: count('added'),
+            removed: count('removed'),
+            changed: count('changed'),
+            unchanged: count('unchanged'),
+            wordsBefore: existing.sections.reduce((sum, section) => sum + section.wordCount, 0),
+            wordsAfter: sectionReports.reduce((sum, section) => sum + section.wordsAfter, 0)
+        },
+        sections: sectionReports,
+        lostUrls: sections.flatMap(section => section.lostUrls || [])
+    };
+}
+
+function parseHtmlArticle(content) {
+    let html = content
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '');
+    const body = html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    if (body) html = body[1];
+
+    let title = '';
+    html = html.replace(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i, (match, inner) => {
+        title = stripTags(inner).trim();
+        return '';
+    });
+
+    const sections = splitSections(html)
+        .filter(section => section.headingHTML || section.body.trim())
+        .map(section => {
+            const heading = stripTags(section.headingHTML).replace(/\s+/g, ' ').trim();
+            const id = section.headingHTML
+                ? (section.headingHTML.match(/\bid\s*=\s*["']([^"']+)["']/i)?.[1] || slugify(heading) || 'section')
+                : '';
+            return {
+                id,
+                heading,
+                body: section.body,
+                wordCount: countWords(section.body),
+                urls: [...new Set([...section.body.matchAll(/\b(?:href|src)\s*=\s*["']([^"'#][^"']*)["']/gi)].map(match => decodeAmpersands(match[1])))]
+            };
+        });
+
+    return { title, sections };
+}
+
+function parseMarkdownArticle(content) {
+    let title = '';
+    let markdown = content.replace(/^---\n([\s\S]*?)\n---\n/, (match, frontMatter) => {
+        title = frontMatter.match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1] || '';
+        return '';
+    });
+    markdown = markdown.replace(/^#\s+(.+?)\s*#*\s*$/m, (match, heading) => {
+        if (title) return match;
+        title = heading;
+        return '';
+    });
+
+    const sections = [];
+    const headingRegex = /^##\s+(.+?)\s*(?:\{#([\w-]+)\})?\s*#*\s*$/gm;
+    let current = { id: '', heading: '', start: 0 };
+    let match;
+
+    const close = (end) => {
+        const body = markdown.slice(current.start, end);
+        if (current.heading || body.trim()) {
+            sections.push({
+                id: current.id,
+                heading: current.heading,
+                body,
+                wordCount: countWords(body.replace(/[#*_`>|-]+/g, ' ')),
+                urls: [...new Set([...body.matchAll(/\]\(\s*<?([^)\s>]+)/g)].map(link => link[1]).filter(url => !url.startsWith('#')))]
+            });
+        }
+    };
+
+    while ((match = headingRegex.exec(markdown)) !== null) {
+        close(match.index);
+        const heading = match[1].replace(/<a\b[^>]*><\/a>/gi, '').trim();
+        const anchorId = match[1].match(/<a\s+id="([^"]+)"/i)?.[1];
+        current = { id: match[2] || anchorId || slugify(heading) || 'section', heading, start: match.index + match[0].length };
+    }
+    close(markdown.length);
+
+    return { title, sections };
+}
+
+/**
+ * Share of words two texts have in common (Dice coefficient over word counts)
+ */
+function textSimilarity(before, after) {
+    const tokens = text => stripTags(text).replace(/[#*_`>|[\]()]+/g, ' ').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const a = tokens(before);
+    const b = tokens(after);
+    if (a.length === 0 && b.length === 0) return 1;
+
+    const counts = new Map();
+    a.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    let common = 0;
+    for (const token of b) {
+        if (counts.get(token) > 0) {
+            common++;
+            counts.set(token, counts.get(token) - 1);
+        }
+    }
+    return Math.round(2 * common / (a.length + b.length) * 1000) / 1000;
+}
+
+function uniqueId(base, usedIds) {
+    let id = base || 'section';
+    for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+    usedIds.add(id);
+    return id;
+}
+
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, ' ');
+}
+
+function decodeAmpersands(url) {
+    return url.replace(/&amp;/g, '&');
+}
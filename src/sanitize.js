@@ -0,0 +1,260 @@
+import { Parser, parseDocument } from 'htmlparser2';
+import { render } from 'dom-serializer';
+import { slugify } from './html.js';
+
+// Tags kept by default; other tags are unwrapped and their content stays
+export const DEFAULT_ALLOWED_TAGS = [
+    'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'div', 'section', 'span',
+    'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'blockquote', 'pre', 'code',
+    'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'small', 'sub', 'sup', 'abbr', 'cite', 'q', 'kbd',
+    'a', 'img', 'figure', 'figcaption',
+    'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td'
+];
+
+// Attributes kept by default, by tag; '*' applies to every tag
+export const DEFAULT_ALLOWED_ATTRIBUTES = {
+    '*': ['id', 'class', 'title', 'lang', 'dir'],
+    a: ['href', 'rel', 'target', 'hreflang', 'data-link-status'],
+    img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'],
+    ol: ['start', 'reversed', 'type'],
+    li: ['value'],
+    blockquote: ['cite'],
+    q: ['cite'],
+    th: ['colspan', 'rowspan', 'scope'],
+    td: ['colspan', 'rowspan']
+};
+
+// Elements that are removed with their content unless they are allowed explicitly
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'template',
+    'head', 'title', 'meta', 'link', 'base', 'form', 'input', 'button', 'select', 'textarea', 'svg', 'math'
+]);
+
+// Elements that get a unique slug id, so the table of contents and deep links can point at them
+const ID_TAGS = new Set(['h2', 'h3']);
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'srcset']);
+
+// End tags that HTML lets writers leave out; closing them implicitly is not a repair
+const OPTIONAL_END_TAGS = new Set([
+    'p', 'li', 'dt', 'dd', 'option', 'optgroup', 'rt', 'rp', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'caption'
+]);
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * Sanitize and normalize the model-written HTML of an article (content and CTA).
+ *
+ * Tags and attributes outside the allowlist are dropped, scripts and other embedded
+ * content are removed with their content, event handlers and javascript: URLs are always
+ * removed, broken nesting is repaired, stray H1s become H2s and every H2/H3 gets a
+ * unique slug id. The report lists every fix by field.
+ */
+export function sanitizeArticle(article, options = {}) {
+    const usedIds = new Set();
+    const sanitized = { ...article };
+    const fixes = [];
+
+    for (const field of ['contentHTML', 'callToAction']) {
+        if (typeof article[field] !== 'string' || !article[field]) continue;
+
+        const result = sanitizeHtml(article[field], { ...options, usedIds });
+        sanitized[field] = result.html;
+        fixes.push(...result.fixes.map(fix => ({ field, ...fix })));
+    }
+
+    return {
+        article: sanitized,
+        report: {
+            fixedCount: fixes.reduce((sum, fix) => sum + fix.count, 0),
+            fixes
+        }
+    };
+}
+
+/**
+ * Sanitize one HTML fragment. Returns the cleaned HTML and the fixes made, as
+ * { type, tag, detail, count } entries. Pass the same `usedIds` set to fragments
+ * that end up on one page so their ids stay unique across them.
+ */
+export function sanitizeHtml(html, options = {}) {
+    const {
+        allowedTags = DEFAULT_ALLOWED_TAGS,
+        allowedAttributes = DEFAULT_ALLOWED_ATTRIBUTES,
+        usedIds = new Set()
+    } = options;
+
+    const state = {
+        allowedTags: new Set(allowedTags.map(tag => tag.toLowerCase())),
+        allowedAttributes: normalizeAttributes(allowedAttributes),
+        usedIds,
+        fixes: new Map()
+    };
+
+    findNestingRepairs(String(html ?? ''), state);
+    const document = parseDocument(String(html ?? ''), { decodeEntities: true });
+    const nodes = sanitizeNodes(document.children, state);
+    assignIds(nodes, state);
+
+    return {
+        html: nodes.map(node => render(node, { encodeEntities: 'utf8' })).join('').trim(),
+        fixes: [...state.fixes.values()]
+    };
+}
+
+function sanitizeNodes(nodes, state) {
+    return nodes.flatMap(node => sanitizeNode(node, state));
+}
+
+function sanitizeNode(node, state) {
+    if (node.type === 'text') return [node];
+    if (!isElement(node)) {
+        if (node.type === 'comment') addFix(state, 'removed-comment');
+        return [];
+    }
+
+    if (node.name === 'h1') {
+        addFix(state, 'demoted-h1', 'h1', 'h2');
+        node.name = 'h2';
+    }
+
+    if (!state.allowedTags.has(node.name)) {
+        if (DROPPED_TAGS.has(node.name)) {
+            addFix(state, 'removed-element', node.name);
+            return [];
+        }
+        addFix(state, 'unwrapped-tag', node.name);
+        return sanitizeNodes(node.children, state);
+    }
+
+    const allowed = state.allowedAttributes;
+    for (const [attribute, value] of Object.entries(node.attribs)) {
+        const name = attribute.toLowerCase();
+        if (name.startsWith('on') || !(allowed['*']?.has(name) || allowed[node.name]?.has(name))) {
+            addFix(state, 'removed-attribute', node.name, name);
+            delete node.attribs[attribute];
+        } else if (URL_ATTRIBUTES.has(name) && !isSafeUrlAttribute(node.name, name, value)) {
+            addFix(state, 'removed-unsafe-url', node.name, name);
+            delete node.attribs[attribute];
+        }
+    }
+
+    node.children = sanitizeNodes(node.children, state);
+
+    // Left behind by stray </p> tags and unwrapped or removed content
+    if (node.name === 'p' && !node.children.some(child => isElement(child) || child.data?.trim())) {
+        addFix(state, 'removed-empty-paragraph', 'p');
+        return [];
+    }
+
+    return [node];
+}
+
+/**
+ * Give every H2/H3 a unique slug id and make all other ids unique. Existing ids are
+ * kept first, in document order, so generated ids never take an id the content links
+ * to and the first element with a duplicated id keeps it.
+ */
+function assignIds(nodes, state) {
+    const elements = collectElements(nodes);
+
+    for (const node of elements) {
+        const id = node.attribs.id?.trim();
+        if (!id) {
+            delete node.attribs.id;
+            continue;
+        }
+
+        // Ids with whitespace cannot be linked to, so they are turned into slugs
+        const base = /\s/.test(id) ? slugify(id) || `section-${state.usedIds.size + 1}` : id;
+        const unique = uniqueId(base, state.usedIds);
+        if (unique !== node.attribs.id) {
+            addFix(state, base === id ? 'renamed-duplicate-id' : 'normalized-id', node.name, `${node.attribs.id} → ${unique}`);
+            node.attribs.id = unique;
+        }
+    }
+
+    for (const node of elements.filter(element => ID_TAGS.has(element.name) && !element.attribs.id)) {
+        node.attribs.id = uniqueId(slugify(textOf(node)) || `section-${state.usedIds.size + 1}`, state.usedIds);
+        addFix(state, 'added-id', node.name, node.attribs.id);
+    }
+}
+
+function uniqueId(base, usedIds) {
+    let id = base;
+    for (let suffix = 2; usedIds.has(id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    usedIds.add(id);
+    return id;
+}
+
+/**
+ * Record the tags the parser had to close and the end tags it had to drop.
+ * The parsed tree is already well nested, so serializing it is the repair.
+ */
+function findNestingRepairs(html, state) {
+    const explicitEnds = new Map();
+    const parser = new Parser({
+        onclosetag(name, isImplied) {
+            if (!isImplied) {
+                explicitEnds.set(name, (explicitEnds.get(name) ?? 0) + 1);
+            } else if (!VOID_TAGS.has(name) && !OPTIONAL_END_TAGS.has(name)) {
+                addFix(state, 'closed-unclosed-tag', name);
+            }
+        }
+    }, { decodeEntities: true });
+    parser.write(html);
+    parser.end();
+
+    // End tags in the source that closed nothing (the content of comments, scripts and styles aside)
+    const markup = html.replace(/<!--[\s\S]*?-->|<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '');
+    const writtenEnds = new Map();
+    for (const match of markup.matchAll(/<\/([a-zA-Z][a-zA-Z0-9-]*)\s*>/g)) {
+        const name = match[1].toLowerCase();
+        writtenEnds.set(name, (writtenEnds.get(name) ?? 0) + 1);
+    }
+    for (const [name, count] of writtenEnds) {
+        const stray = count - (explicitEnds.get(name) ?? 0);
+        if (stray > 0) addFix(state, 'removed-stray-end-tag', name, null, stray);
+    }
+}
+
+function addFix(state, type, tag = null, detail = null, count = 1) {
+    const key = [type, tag, detail].join('|');
+    const fix = state.fixes.get(key) ?? { type, tag, detail, count: 0 };
+    fix.count += count;
+    state.fixes.set(key, fix);
+}
+
+/**
+ * javascript:, vbscript: and data: URLs can run code; images may still use data:image URLs
+ */
+function isSafeUrlAttribute(tag, attribute, value) {
+    const urls = attribute === 'srcset'
+        ? String(value).split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+        : [String(value)];
+
+    return urls.every(url => {
+        const normalized = url.replace(/[\u0000- ]+/g, '').toLowerCase();
+        if (tag === 'img' && normalized.startsWith('data:image/')) return true;
+        return !/^(?:javascript|vbscript|data):/.test(normalized);
+    });
+}
+
+function normalizeAttributes(allowedAttributes) {
+    return Object.fromEntries(Object.entries(allowedAttributes)
+        .map(([tag, attributes]) => [tag.toLowerCase(), new Set(attributes.map(attribute => attribute.toLowerCase()))]));
+}
+
+function collectElements(nodes) {
+    return nodes.filter(isElement).flatMap(node => [node, ...collectElements(node.children)]);
+}
+
+function isElement(node) {
+    return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+function textOf(node) {
+    if (node.type === 'text') return node.data;
+    return (node.children || []).map(textOf).join('');
+}
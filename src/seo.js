@@ -0,0 +1,384 @@
+import { parseDocument } from 'htmlparser2';
+import { slugify } from './html.js';
+import { phrasePattern } from './language.js';
+
+// Google truncates titles and descriptions by rendered width, not by characters
+const TITLE_CHARS = { min: 30, max: 60 };
+const TITLE_MAX_PIXELS = 580;
+const TITLE_FONT_SIZE = 20;
+const DESCRIPTION_CHARS = { min: 120, max: 160 };
+const DESCRIPTION_MAX_PIXELS = 920;
+const DESCRIPTION_FONT_SIZE = 13;
+const TITLE_LENGTH_ADVICE = `Keep the title between ${TITLE_CHARS.min} and ${TITLE_CHARS.max} characters and under ${TITLE_MAX_PIXELS}px so it is not truncated in search results.`;
+const DESCRIPTION_LENGTH_ADVICE = `Write a meta description of ${DESCRIPTION_CHARS.min}-${DESCRIPTION_CHARS.max} characters (under ${DESCRIPTION_MAX_PIXELS}px).`;
+
+// Keyword density (percent of words) that reads naturally without stuffing
+const DENSITY_RANGE = { min: 0.5, max: 2.5 };
+
+const SLUG_MAX_LENGTH = 60;
+const SLUG_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of',
+    'on', 'or', 'that', 'the', 'this', 'to', 'what', 'when', 'why', 'with', 'your', 'you'
+]);
+
+// Approximate Arial glyph widths in em, used to estimate how much of a title fits in search results
+const CHAR_WIDTHS = [
+    [/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u, 1],
+    [/[ijl'|]/, 0.22],
+    [/[ Iftr!.,:;()[\]{}\-/\\]/, 0.3],
+    [/[ckszvxyJ"*]/, 0.5],
+    [/[mM]/, 0.83],
+    [/[wW@%]/, 0.9],
+    [/[A-Z&#]/, 0.69],
+    [/[0-9]/, 0.56]
+];
+const DEFAULT_CHAR_WIDTH = 0.556;
+
+const BLOCK_ELEMENTS = /^(p|h[1-6]|li|ul|ol|div|section|blockquote|figure|figcaption|table|tr|td|th|pre|br)$/;
+
+/**
+ * Analyze the article's on-page SEO.
+ *
+ * Returns the total score (0-100) together with per-check scores, human-readable
+ * recommendations, per-keyword placement and density, heading hierarchy, meta lengths,
+ * link counts, image alt coverage and a suggested slug. The keyword-in-slug check scores
+ * `slug`, the slug the post is published under, and falls back to the suggested one.
+ */
+export function analyzeSEO(options) {
+    const {
+        title,
+        metaDescription = '',
+        contentHTML,
+        keywords,
+        wordCount,
+        hasTOC = false,
+        slug: requestedSlug = null
+    } = options;
+
+    const document = parseDocument(contentHTML, { decodeEntities: true });
+    const text = textContent(document).replace(/\s+/g, ' ').trim();
+    const headings = findElements(document, /^h[1-6]$/).map(element => ({
+        level: Number(element.name[1]),
+        text: textContent(element).replace(/\s+/g, ' ').trim()
+    }));
+    const firstParagraph = findElements(document, /^p$/).map(element => textContent(element).trim()).find(Boolean) || '';
+    const links = analyzeLinks(findElements(document, /^a$/));
+    const images = analyzeImages(findElements(document, /^img$/));
+    const suggestedSlug = suggestSlug(title, keywords);
+    const slug = requestedSlug || suggestedSlug;
+    const paragraphCount = findElements(document, /^p$/).length;
+    const hasLists = findElements(document, /^[uo]l$/).length > 0;
+
+    const keywordReport = keywords.map(keyword => {
+        const occurrences = countOccurrences(text, keyword);
+        return {
+            keyword,
+            occurrences,
+            density: wordCount > 0 ? round(occurrences / wordCount * 100) : 0,
+            inTitle: countOccurrences(title, keyword) > 0,
+            inMetaDescription: countOccurrences(metaDescription, keyword) > 0,
+            inFirstParagraph: countOccurrences(firstParagraph, keyword) > 0,
+            inHeadings: headings.some(heading => heading.level <= 3 && countOccurrences(heading.text, keyword) > 0),
+            inSlug: slugContains(slug, keyword)
+        };
+    });
+    const [primary] = keywordReport;
+
+    const meta = measureMeta(title, metaDescription);
+    const hierarchy = analyzeHeadingHierarchy(headings);
+
+    const checks = [
+        check('titleLength', 10, titleLengthRatio(meta.title),
+            `${meta.title.characters} characters, ~${meta.title.pixels}px`,
+            TITLE_LENGTH_ADVICE),
+        check('keywordInTitle', 5, primary?.inTitle ? 1 : 0,
+            primary?.inTitle ? 'yes' : 'no',
+            `Include the primary keyword "${primary?.keyword}" in the title, ideally near the start.`),
+        check('metaDescriptionLength', 7, descriptionLengthRatio(meta.description),
+            `${meta.description.characters} characters, ~${meta.description.pixels}px`,
+            DESCRIPTION_LENGTH_ADVICE),
+        check('keywordInMetaDescription', 3, primary?.inMetaDescription ? 1 : 0,
+            primary?.inMetaDescription ? 'yes' : 'no',
+            `Mention "${primary?.keyword}" in the meta description.`),
+        check('contentLength', 10, wordCount >= 1500 ? 1 : wordCount >= 1000 ? 0.7 : wordCount >= 800 ? 0.4 : 0,
+            `${wordCount} words`,
+            'Aim for at least 1500 words for competitive topics.'),
+        check('keywordInFirstParagraph', 5, primary?.inFirstParagraph ? 1 : 0,
+            primary?.inFirstParagraph ? 'yes' : 'no',
+            `Use "${primary?.keyword}" in the first paragraph.`),
+        check('keywordInHeadings', 5, primary?.inHeadings ? 1 : 0,
+            primary?.inHeadings ? 'yes' : 'no',
+            `Use "${primary?.keyword}" in at least one H2 or H3 heading.`),
+        check('keywordInSlug', 5, primary?.inSlug ? 1 : 0,
+            slug,
+            `Use a URL slug containing "${primary?.keyword}", e.g. "${suggestedSlug}".`),
+        check('allKeywordsUsed', 5, share(keywordReport, keyword => keyword.occurrences > 0),
+            `${keywordReport.filter(keyword => keyword.occurrences > 0).length}/${keywordReport.length} keywords`,
+            `Work these keywords into the body: ${keywordReport.filter(keyword => keyword.occurrences === 0).map(keyword => `"${keyword.keyword}"`).join(', ')}.`),
+        check('keywordDensity', 10, share(keywordReport, keyword => inRange(keyword.density, DENSITY_RANGE)),
+            keywordReport.map(keyword => `${keyword.keyword}: ${keyword.density}%`).join(', '),
+            densityRecommendation(keywordReport)),
+        check('headingHierarchy', 10, hierarchy.score,
+            `${headings.filter(heading => heading.level === 2).length} H2, ${headings.filter(heading => heading.level === 3).length} H3`,
+            hierarchy.issues.join(' ')),
+        check('links', 5, (links.external > 0 ? 0.6 : 0) + (links.internal > 0 ? 0.4 : 0),
+            `${links.internal} internal, ${links.external} external`,
+            [links.external === 0 && 'Link to at least one authoritative external source.', links.internal === 0 && 'Add internal links to related content on your site.'].filter(Boolean).join(' ')),
+        check('images', 5, images.total > 0 ? 1 : 0,
+            `${images.total} images`,
+            'Add at least one relevant image.'),
+        check('imageAltText', 5, images.total > 0 ? images.withAlt / images.total : 0,
+            images.total > 0 ? `${images.withAlt}/${images.total} with alt text` : 'no images',
+            'Give every image descriptive alt text.'),
+        check('tableOfContents', 3, hasTOC ? 1 : 0, hasTOC ? 'yes' : 'no',
+            'Add a table of contents for long articles.'),
+        check('lists', 3, hasLists ? 1 : 0, hasLists ? 'yes' : 'no',
+            'Use bulleted or numbered lists to make the content scannable.'),
+        check('paragraphs', 4, paragraphCount >= 5 ? 1 : 0, `${paragraphCount} paragraphs`,
+            'Break the content into more, shorter paragraphs.')
+    ];
+
+    return {
+        score: Math.min(100, Math.round(checks.reduce((sum, item) => sum + item.score, 0))),
+        checks,
+        recommendations: checks.filter(item => !item.passed && item.recommendation).map(item => item.recommendation),
+        keywords: keywordReport,
+        headings: { count: headings.length, outline: headings, issues: hierarchy.issues },
+        meta,
+        links,
+        images,
+        slug: { used: slug, fromTitle: slugify(title), suggested: suggestedSlug }
+    };
+}
+
+/**
+ * Score a title and meta description pair on its own (0-100): length in characters and
+ * estimated pixels, the primary keyword in the title (more when it comes early) and the
+ * description, and the other keywords in either. Used to rank headline variants.
+ */
+export function scoreHeadline(options) {
+    const { title, metaDescription = '', keywords = [] } = options;
+
+    const meta = measureMeta(title, metaDescription);
+    const [primary = '', ...secondary] = keywords;
+    const position = primary ? title.search(phrasePattern(primary)) : -1;
+    const inDescription = primary ? countOccurrences(metaDescription, primary) > 0 : false;
+    const secondaryUsed = secondary.filter(keyword => countOccurrences(`${title} ${metaDescription}`, keyword) > 0);
+
+    const checks = [
+        check('titleLength', 30, titleLengthRatio(meta.title),
+            `${meta.title.characters} characters, ~${meta.title.pixels}px`,
+            TITLE_LENGTH_ADVICE),
+        check('keywordInTitle', 25, position < 0 ? 0 : position <= title.length / 3 ? 1 : 0.6,
+            position < 0 ? 'no' : `at character ${position + 1}`,
+            `Put the primary keyword "${primary}" in the title, ideally near the start.`),
+        check('metaDescriptionLength', 20, descriptionLengthRatio(meta.description),
+            `${meta.description.characters} characters, ~${meta.description.pixels}px`,
+            DESCRIPTION_LENGTH_ADVICE),
+        check('keywordInMetaDescription', 15, inDescription ? 1 : 0,
+            inDescription ? 'yes' : 'no',
+            `Mention "${primary}" in the meta description.`),
+        check('secondaryKeywords', 10, secondary.length > 0 ? secondaryUsed.length / secondary.length : 1,
+            `${secondaryUsed.length}/${secondary.length} keywords`,
+            `Work ${secondary.filter(keyword => !secondaryUsed.includes(keyword)).map(keyword => `"${keyword}"`).join(', ')} into the title or description.`)
+    ];
+
+    return {
+        score: Math.round(checks.reduce((sum, item) => sum + item.score, 0)),
+        checks,
+        meta
+    };
+}
+
+/**
+ * Estimate the rendered width of text in pixels (Arial at the given font size)
+ */
+export function textPixelWidth(text, fontSize) {
+    let width = 0;
+    for (const char of String(text)) {
+        const match = CHAR_WIDTHS.find(([pattern]) => pattern.test(char));
+        width += match ? match[1] : DEFAULT_CHAR_WIDTH;
+    }
+    return Math.round(width * fontSize);
+}
+
+/**
+ * Count case-insensitive whole-phrase occurrences. Regex characters in the keyword
+ * (e.g. "C++", "node.js") are matched literally.
+ */
+export function countOccurrences(text, keyword) {
+    if (!keyword.trim()) return 0;
+    return (String(text).match(phrasePattern(keyword)) || []).length;
+}
+
+/**
+ * Suggest a short slug that starts with the primary keyword and drops stop words
+ */
+export function suggestSlug(title, keywords = []) {
+    const keywordTokens = keywords.length > 0 ? slugTokens(keywords[0]) : [];
+    const titleTokens = slugTokens(title).filter(token => !SLUG_STOP_WORDS.has(token) && !keywordTokens.includes(token));
+
+    let slug = '';
+    for (const token of [...keywordTokens, ...titleTokens]) {
+        const next = slug ? `${slug}-${token}` : token;
+        if (next.length > SLUG_MAX_LENGTH) break;
+        slug = next;
+    }
+    return slug || slugify(title);
+}
+
+/**
+ * Score the heading outline: one H1 (the title, outside the content), enough H2s, no skipped levels
+ */
+function analyzeHeadingHierarchy(headings) {
+    const issues = [];
+    let score = 1;
+
+    const h1Count = headings.filter(heading => heading.level === 1).length;
+    if (h1Count > 0) {
+        issues.push(`Remove the ${h1Count} H1 heading${h1Count === 1 ? '' : 's'} from the content; the title is the page's only H1.`);
+        score -= 0.3;
+    }
+
+    const h2Count = headings.filter(heading => heading.level === 2).length;
+    if (h2Count < 3) {
+        issues.push(`Structure the article with at least 3 H2 sections (found ${h2Count}).`);
+        score -= 0.4;
+    }
+
+    const skipped = [];
+    let previous = 1;
+    for (const heading of headings) {
+        if (heading.level > previous + 1) skipped.push(`H${previous} → H${heading.level} before "${heading.text}"`);
+        previous = heading.level;
+    }
+    if (skipped.length > 0) {
+        issues.push(`Do not skip heading levels (${skipped.slice(0, 3).join('; ')}).`);
+        score -= 0.3;
+    }
+
+    if (headings.some(heading => !heading.text)) {
+        issues.push('Remove or fill empty headings.');
+    }
+
+    return { score: Math.max(0, score), issues };
+}
+
+/**
+ * Count links by type. Relative links and in-page anchors count as internal.
+ */
+function analyzeLinks(anchors) {
+    const hrefs = anchors.map(anchor => (anchor.attribs.href || '').trim()).filter(Boolean);
+    const external = hrefs.filter(href => /^(https?:)?\/\//i.test(href));
+    const internal = hrefs.filter(href => !/^(https?:)?\/\//i.test(href) && !/^(mailto|tel|javascript):/i.test(href));
+
+    return {
+        total: hrefs.length,
+        internal: internal.length,
+        external: external.length,
+        externalDomains: [...new Set(external.map(href => {
+            try {
+                return new URL(href, 'https://localhost').hostname;
+            } catch {
+                return null;
+            }
+        }).filter(Boolean))]
+    };
+}
+
+function analyzeImages(images) {
+    const withAlt = images.filter(image => (image.attribs.alt || '').trim().length > 0).length;
+    return {
+        total: images.length,
+        withAlt,
+        altCoverage: images.length > 0 ? round(withAlt / images.length * 100) : 0
+    };
+}
+
+function densityRecommendation(keywordReport) {
+    const low = keywordReport.filter(keyword => keyword.density < DENSITY_RANGE.min).map(keyword => `"${keyword.keyword}"`);
+    const high = keywordReport.filter(keyword => keyword.density > DENSITY_RANGE.max).map(keyword => `"${keyword.keyword}"`);
+
+    return [
+        low.length > 0 && `Use ${low.join(', ')} more often (target ${DENSITY_RANGE.min}-${DENSITY_RANGE.max}% of words).`,
+        high.length > 0 && `Use ${high.join(', ')} less often to avoid keyword stuffing (target at most ${DENSITY_RANGE.max}%).`
+    ].filter(Boolean).join(' ');
+}
+
+function measureMeta(title, metaDescription) {
+    return {
+        title: { characters: title.length, pixels: textPixelWidth(title, TITLE_FONT_SIZE), maxPixels: TITLE_MAX_PIXELS },
+        description: {
+            characters: metaDescription.length,
+            pixels: textPixelWidth(metaDescription, DESCRIPTION_FONT_SIZE),
+            maxPixels: DESCRIPTION_MAX_PIXELS
+        }
+    };
+}
+
+/**
+ * Full marks within the character range and pixel width; half a title that is a little too wide
+ */
+function titleLengthRatio({ characters, pixels }) {
+    if (inRange(characters, TITLE_CHARS) && pixels <= TITLE_MAX_PIXELS) return 1;
+    return pixels <= TITLE_MAX_PIXELS * 1.15 ? 0.5 : 0;
+}
+
+function descriptionLengthRatio({ characters, pixels }) {
+    if (inRange(characters, DESCRIPTION_CHARS) && pixels <= DESCRIPTION_MAX_PIXELS) return 1;
+    return characters >= 70 ? 0.5 : 0;
+}
+
+/**
+ * Build one check; `ratio` (0-1) is the share of `maxScore` earned
+ */
+function check(name, maxScore, ratio, value, recommendation) {
+    const score = round(maxScore * Math.max(0, Math.min(1, ratio)));
+    const passed = score >= maxScore;
+    return { name, score, maxScore, passed, value, recommendation: passed ? null : recommendation || null };
+}
+
+/**
+ * Split text into slug words, spelling out "++" and "#" so "C++" and "C#" stay distinguishable
+ */
+function slugTokens(text) {
+    return slugify(String(text).replace(/\+\+/g, 'pp').replace(/#/g, 'sharp')).split('-').filter(Boolean);
+}
+
+function slugContains(slug, keyword) {
+    const keywordSlug = slugTokens(keyword).join('-');
+    return keywordSlug.length > 0 && `-${slug}-`.includes(`-${keywordSlug}-`);
+}
+
+function share(items, predicate) {
+    return items.length > 0 ? items.filter(predicate).length / items.length : 0;
+}
+
+function inRange(value, { min, max }) {
+    return value >= min && value <= max;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function findElements(node, namePattern) {
+    const found = [];
+    for (const child of node.children || []) {
+        if (child.type !== 'tag') continue;
+        if (namePattern.test(child.name)) found.push(child);
+        found.push(...findElements(child, namePattern));
+    }
+    return found;
+}
+
+/**
+ * Visible text of a node, with block elements separated by spaces
+ */
+function textContent(node) {
+    if (node.type === 'text') return node.data;
+    if (node.type !== 'tag' && node.type !== 'root') return '';
+
+    const inner = (node.children || []).map(textContent).join('');
+    return node.type === 'tag' && BLOCK_ELEMENTS.test(node.name) ? ` ${inner} ` : inner;
+}
@@ -0,0 +1,387 @@
+import { Actor } from 'apify';
+import axios from 'axios';
+import { parseDocument } from 'htmlparser2';
+import { wordTokens } from './language.js';
+
+// Passage size the sources are chunked into, in words
+const PASSAGE_TARGET_WORDS = 120;
+const PASSAGE_MAX_WORDS = 200;
+
+// How much source material (in characters) the writing prompts may carry
+export const ARTICLE_SOURCES_CHARS = 24000;
+export const OUTLINE_SOURCES_CHARS = 12000;
+export const SECTION_SOURCES_CHARS = 8000;
+export const REVISION_SOURCES_CHARS = 4000;
+
+// Citation markers the model writes, e.g. [S1.2] or [S1.2, S3.1]
+const CITATION_ID = 'S\\d+(?:\\.\\d+)?';
+const CITATION_REGEX = new RegExp(`\\s?\\[(${CITATION_ID}(?:\\s*[,;]\\s*${CITATION_ID})*)\\]`, 'g');
+
+// Elements whose text is never part of the source content
+const SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'nav', 'header', 'footer', 'aside', 'form', 'svg', 'template']);
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'blockquote', 'pre',
+    'table', 'tr', 'td', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'figcaption', 'br', 'hr'
+]);
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on',
+    'or', 'that', 'the', 'this', 'to', 'what', 'when', 'why', 'with', 'your', 'you'
+]);
+
+/**
+ * Load the user-supplied sources and split them into citable passages.
+ *
+ * Each entry is a URL or raw text string, or an object with one of `text`, `html`,
+ * `markdown`, `recordKey` (a key-value store record, optionally from the named `store`)
+ * or `url`, plus an optional `title` and `url` for the reference list.
+ * Passages get IDs like "S1.2" (source 1, passage 2), which the model cites.
+ */
+export async function loadSources(entries) {
+    const sources = [];
+
+    for (const [i, entry] of entries.entries()) {
+        const id = `S${i + 1}`;
+        const { title, url, content, type } = await readSourceEntry(typeof entry === 'string' ? toEntry(entry) : entry);
+        const extracted = extractText(content, type);
+        const paragraphs = extracted.paragraphs;
+
+        if (paragraphs.length === 0) {
+            throw new Error(`Source ${i + 1}${url ? ` (${url})` : ''} has no readable text`);
+        }
+
+        const source = {
+            id,
+            title: title || extracted.title || url || `Source ${i + 1}`,
+            url: url || null,
+            words: paragraphs.reduce((sum, paragraph) => sum + countWords(paragraph), 0)
+        };
+        source.passages = chunkParagraphs(paragraphs).map((text, n) => ({
+            id: `${id}.${n + 1}`,
+            sourceId: id,
+            sourceTitle: source.title,
+            text
+        }));
+        sources.push(source);
+    }
+
+    return {
+        sources,
+        passages: sources.flatMap(source => source.passages)
+    };
+}
+
+/**
+ * Pick the passages most relevant to a query within a character budget.
+ * The best passage of every source is taken first so no source is left out,
+ * and the selection is returned in source order.
+ */
+export function selectPassages(passages, query, maxChars) {
+    const terms = [...new Set(wordTokens(query).filter(term => !STOP_WORDS.has(term)))];
+    const scored = passages.map((passage, index) => {
+        const tokens = wordTokens(passage.text);
+        const matches = terms.filter(term => tokens.includes(term)).length;
+        const frequency = tokens.filter(token => terms.includes(token)).length / Math.max(tokens.length, 1);
+        return { passage, index, score: matches + frequency };
+    });
+
+    const bestPerSource = new Map();
+    for (const item of scored) {
+        const best = bestPerSource.get(item.passage.sourceId);
+        if (!best || item.score > best.score) bestPerSource.set(item.passage.sourceId, item);
+    }
+
+    const ranked = [
+        ...[...bestPerSource.values()].sort((a, b) => b.score - a.score),
+        ...scored.filter(item => bestPerSource.get(item.passage.sourceId) !== item).sort((a, b) => b.score - a.score)
+    ];
+
+    const selected = [];
+    let used = 0;
+    for (const item of ranked) {
+        const size = item.passage.text.length + item.passage.sourceTitle.length + 20;
+        if (used + size > maxChars && selected.length > 0) continue;
+        selected.push(item);
+        used += size;
+    }
+
+    return selected.sort((a, b) => a.index - b.index).map(item => item.passage);
+}
+
+/**
+ * Format passages for a writing prompt. With `cite` the model is told to cite every claim.
+ */
+export function formatSourcesPrompt(passages, options = {}) {
+    const { cite = true } = options;
+
+    const instructions = cite
+        ? `SOURCE MATERIAL:
+Ground the content in these passages. Cite a passage with its ID in square brackets right after the claim it supports, e.g. "Teams shipped 30% faster [S1.2]." Cite several passages as [S1.2, S2.1].
+- Only cite the passage IDs listed below; never invent sources, URLs, statistics or quotes
+- Points the passages do not cover may be explained in general terms, without specific figures
+- Do NOT write a references list, it is built from the sources automatically`
+        : `SOURCE MATERIAL:
+The article will be written from these passages. Plan sections that the material can support.`;
+
+    const passageText = passages
+        .map(passage => `[${passage.id}] (${passage.sourceTitle})\n${passage.text}`)
+        .join('\n\n');
+
+    return `${instructions}\n\n${passageText}`;
+}
+
+/**
+ * Turn the model's citation markers into numbered citations and build the references from the cited sources.
+ *
+ * Sources are numbered in order of their first citation. In HTML the markers become
+ * superscript "[1]" markers, which the export formats link to the reference list they
+ * render (renderArticleBody); in the executive summary they become plain "[1]" markers.
+ * Without `includeReferences` there is no list to point to, so the markers are removed
+ * and the citations are only reported. Markers with unknown IDs are removed and reported.
+ */
+export function resolveCitations(article, sources, options = {}) {
+    const { includeReferences = true } = options;
+    const passagesById = new Map(sources.flatMap(source => source.passages.map(passage => [passage.id, passage])));
+    const sourcesById = new Map(sources.map(source => [source.id, source]));
+    const numbers = new Map();
+    const citations = new Map();
+    const unknownCitations = new Set();
+
+    const resolve = (text, render) => text.replace(CITATION_REGEX, (match, list) => {
+        const cited = [];
+        for (const citationId of list.split(/\s*[,;]\s*/)) {
+            const passage = passagesById.get(citationId);
+            const source = passage ? sourcesById.get(passage.sourceId) : sourcesById.get(citationId);
+            if (!source) {
+                unknownCitations.add(citationId);
+                continue;
+            }
+
+            if (!numbers.has(source.id)) numbers.set(source.id, numbers.size + 1);
+            const number = numbers.get(source.id);
+            const key = passage ? passage.id : source.id;
+            if (!citations.has(key)) {
+                citations.set(key, {
+                    number,
+                    citationId: key,
+                    sourceId: source.id,
+                    sourceTitle: source.title,
+                    url: source.url,
+                    passage: passage ? passage.text : null,
+                    occurrences: 0
+                });
+            }
+            citations.get(key).occurrences++;
+            if (!cited.includes(number)) cited.push(number);
+        }
+        return cited.length > 0 ? render(cited) : '';
+    });
+
+    const renderHtml = cited => (includeReferences ? cited.map(number => `<sup class="citation">[${number}]</sup>`).join('') : '');
+    const renderText = cited => (includeReferences ? ` ${cited.map(number => `[${number}]`).join('')}` : '');
+
+    const resolved = {
+        ...article,
+        contentHTML: resolve(article.contentHTML, renderHtml),
+        executiveSummary: article.executiveSummary ? resolve(article.executiveSummary, renderText) : article.executiveSummary,
+        callToAction: article.callToAction ? resolve(article.callToAction, renderHtml) : article.callToAction
+    };
+
+    const citedSources = [...numbers.keys()].map(sourceId => sourcesById.get(sourceId));
+    // Without any citations the supplied sources are still the only references
+    const referenceSources = citedSources.length > 0 ? citedSources : sources;
+    resolved.references = includeReferences
+        ? referenceSources.map(source => (source.url ? `${source.title} - ${source.url}` : source.title))
+        : [];
+
+    return {
+        article: resolved,
+        citations: [...citations.values()].sort((a, b) => a.number - b.number),
+        uncitedSources: sources.filter(source => !numbers.has(source.id)).map(source => source.id),
+        unknownCitations: [...unknownCitations]
+    };
+}
+
+/**
+ * Interpret a string entry: a bare URL is fetched, anything else is the content itself
+ */
+function toEntry(value) {
+    return /^https?:\/\/\S+$/.test(value.trim()) ? { url: value.trim() } : { text: value };
+}
+
+/**
+ * Read the raw content of a source entry and work out its type
+ */
+async function readSourceEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error('Each source must be a string or an object');
+    }
+
+    const { title = null, url = null } = entry;
+
+    if (typeof entry.html === 'string') return { title, url, content: entry.html, type: 'html' };
+    if (typeof entry.markdown === 'string') return { title, url, content: entry.markdown, type: 'markdown' };
+    if (typeof entry.text === 'string') return { title, url, content: entry.text, type: entry.type || detectType(entry.text) };
+
+    if (entry.recordKey) {
+        const store = await Actor.openKeyValueStore(entry.store || undefined);
+        const record = await store.getValue(entry.recordKey);
+        if (record === null || record === undefined) {
+            throw new Error(`Source record "${entry.recordKey}" not found`);
+        }
+
+        // JSON records may carry their own title and URL
+        if (typeof record === 'object' && !Buffer.isBuffer(record)) {
+            const content = record.content ?? record.html ?? record.markdown ?? record.text;
+            if (typeof content !== 'string') {
+                throw new Error(`Source record "${entry.recordKey}" must be text or JSON with a "content" field`);
+            }
+            return {
+                title: title || record.title || null,
+                url: url || record.url || null,
+                content,
+                type: entry.type || (record.html ? 'html' : record.markdown ? 'markdown' : detectType(content))
+            };
+        }
+
+        const text = record.toString('utf8');
+        return { title, url, content: text, type: entry.type || detectType(text) };
+    }
+
+    if (url) {
+        try {
+            const response = await axios.get(url, {
+                responseType: 'text',
+                timeout: 30000,
+                maxContentLength: 10 * 1024 * 1024,
+                headers: { 'Accept': 'text/html, text/markdown, text/plain;q=0.9, */*;q=0.5' }
+            });
+            const contentType = String(response.headers['content-type'] || '');
+            const type = entry.type
+                || (contentType.includes('html') ? 'html' : contentType.includes('markdown') ? 'markdown' : detectType(response.data));
+            return { title, url, content: String(response.data), type };
+        } catch (error) {
+            throw new Error(`Failed to fetch source ${url}: ${error.message}`);
+        }
+    }
+
+    throw new Error('A source needs one of: text, html, markdown, recordKey, url');
+}
+
+/**
+ * Guess whether raw content is HTML, Markdown or plain text
+ */
+function detectType(content) {
+    if (/<(html|body|article|main|p|div|h[1-6]|ul|ol|table)\b[^>]*>/i.test(content)) return 'html';
+    if (/^(#{1,6}\s|[-*+]\s|\d+\.\s|```|>\s)|\[[^\]]+\]\([^)]+\)/m.test(content)) return 'markdown';
+    return 'text';
+}
+
+/**
+ * Extract the title and the readable paragraphs from source content
+ */
+function extractText(content, type) {
+    if (type === 'html') return extractHtml(content);
+    if (type === 'markdown') return extractMarkdown(content);
+    return { title: null, paragraphs: splitParagraphs(content) };
+}
+
+function extractHtml(html) {
+    const document = parseDocument(html, { decodeEntities: true });
+    let title = null;
+    let firstHeading = null;
+
+    const walk = (node) => (node.children || []).map(child => {
+        if (child.type === 'text') return child.data;
+        if (child.type !== 'tag' || SKIPPED_TAGS.has(child.name)) return '';
+        if (child.name === 'title') {
+            title = textOf(child).trim() || title;
+            return '';
+        }
+        if (child.name === 'h1' && !firstHeading) firstHeading = textOf(child).trim();
+
+        const text = walk(child);
+        return BLOCK_TAGS.has(child.name) ? `\n\n${text}\n\n` : text;
+    }).join('');
+
+    const paragraphs = splitParagraphs(walk(document));
+    return { title: title || firstHeading || null, paragraphs };
+}
+
+function extractMarkdown(markdown) {
+    let title = null;
+    const text = markdown
+        .replace(/^---\n[\s\S]*?\n---\n/, front => {
+            title = front.match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1] || null;
+            return '';
+        })
+        .replace(/^```.*$/gm, '')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/^(#{1,6})\s+(.+?)\s*#*$/gm, (match, hashes, heading) => {
+            if (hashes.length === 1 && !title) title = heading;
+            return `\n${heading}\n`;
+        })
+        .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '\n')
+        .replace(/^>\s?/gm, '')
+        .replace(/^\|?\s*:?-{3,}.*$/gm, '')
+        .replace(/\|/g, ' ')
+        .replace(/(\*\*|__|\*|_|`)(?=\S)([^*_`]+?)\1/g, '$2');
+
+    return { title, paragraphs: splitParagraphs(text) };
+}
+
+function splitParagraphs(text) {
+    return text
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(paragraph => paragraph && countWords(paragraph) > 0);
+}
+
+/**
+ * Merge short paragraphs and split long ones into passages of roughly PASSAGE_TARGET_WORDS
+ */
+function chunkParagraphs(paragraphs) {
+    const pieces = paragraphs.flatMap(paragraph => {
+        if (countWords(paragraph) <= PASSAGE_MAX_WORDS) return [paragraph];
+
+        const sentences = paragraph.match(/[^.!?。！？]+(?:[.!?。！？]+["')\]」』]*|$)\s*/g) || [paragraph];
+        const parts = [];
+        let current = '';
+        for (const sentence of sentences) {
+            if (current && countWords(current) + countWords(sentence) > PASSAGE_MAX_WORDS) {
+                parts.push(current.trim());
+                current = '';
+            }
+            current += sentence;
+        }
+        if (current.trim()) parts.push(current.trim());
+        return parts;
+    });
+
+    const passages = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && countWords(current) + countWords(piece) > PASSAGE_MAX_WORDS) {
+            passages.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${piece}` : piece;
+        if (countWords(current) >= PASSAGE_TARGET_WORDS) {
+            passages.push(current);
+            current = '';
+        }
+    }
+    if (current) passages.push(current);
+
+    return passages;
+}
+
+function textOf(node) {
+    if (node.type === 'text') return node.data;
+    return (node.children || []).map(textOf).join('');
+}
+
+function countWords(text) {
+    return wordTokens(text).length;
+}
@@ -0,0 +1,313 @@
+import { createUsageTracker } from './pricing.js';
+import { parseStructuredOutput } from './structured-output.js';
+import { escapeHtml } from './html.js';
+import { injectHeadingAnchors } from './toc.js';
+import { formatBrandVoicePrompt } from './brand-voice.js';
+import { formatLanguagePrompt, isEnglish } from './language.js';
+
+export const SCHEMA_TYPES = ['BlogPosting', 'Article'];
+
+// Character limits of the social copy; longer text is cut at a word boundary
+export const SOCIAL_LIMITS = {
+    title: 70, // Twitter card title; Facebook and LinkedIn cut Open Graph titles around here too
+    description: 200, // Twitter card description
+    linkedin: 3000,
+    x: 280
+};
+
+// X counts every link as 23 characters, whatever its length
+const X_LINK_LENGTH = 23;
+
+// Google shows headlines up to 110 characters
+const HEADLINE_LIMIT = 110;
+
+// How much of the article text (in characters) the FAQ and social call sees
+const SOCIAL_CONTEXT_CHARS = 8000;
+
+const SOCIAL_SCHEMA = {
+    faqHeading: 'string?',
+    faq: 'array',
+    socialTitle: 'string',
+    socialDescription: 'string',
+    linkedinPost: 'string',
+    xPost: 'string'
+};
+
+/**
+ * Write the FAQ and the social copy of a finished article in one call: `faqCount`
+ * questions with answers, a social share title and description, and posts for LinkedIn
+ * and X. The FAQ is returned as an HTML section to append to the article, since
+ * FAQPage structured data has to match questions visible on the page.
+ */
+export async function generateSocialContent(article, options) {
+    const {
+        topic,
+        keywords,
+        targetAudience,
+        tone,
+        brandVoice = null,
+        language,
+        faqCount = 5,
+        writingModel,
+        provider
+    } = options;
+
+    const tracker = createUsageTracker(writingModel);
+    const { track } = tracker;
+
+    const result = await provider.generateText(
+        buildSocialPrompt({ article, topic, keywords, targetAudience, tone, brandVoice, language, faqCount }),
+        { model: writingModel, maxTokens: 3000, task: 'social' }
+    );
+    track(result);
+    const data = await parseStructuredOutput(result, {
+        schema: SOCIAL_SCHEMA,
+        label: 'FAQ and social posts',
+        provider,
+        model: writingModel,
+        track
+    });
+
+    const faq = data.faq
+        .filter(entry => typeof entry?.question === 'string' && entry.question.trim() && typeof entry.answer === 'string' && entry.answer.trim())
+        .slice(0, faqCount)
+        .map(entry => ({ question: entry.question.trim(), answer: entry.answer.trim() }));
+    const faqHeading = data.faqHeading?.trim() || 'Frequently Asked Questions';
+
+    return {
+        faq,
+        faqHeading,
+        faqHTML: faq.length > 0 ? renderFaqSection(faqHeading, faq) : '',
+        socialTitle: fitToLimit(data.socialTitle.trim() || article.title, SOCIAL_LIMITS.title).text,
+        socialDescription: fitToLimit(data.socialDescription.trim() || article.metaDescription, SOCIAL_LIMITS.description).text,
+        linkedinPost: data.linkedinPost.trim(),
+        xPost: data.xPost.trim(),
+        usage: tracker.usage,
+        cost: tracker.cost,
+        ledger: tracker.ledger
+    };
+}
+
+/**
+ * Append the FAQ section to the article HTML, with ids on its headings
+ */
+export function appendFaqSection(contentHTML, faqHTML) {
+    if (!faqHTML) return contentHTML;
+    return injectHeadingAnchors(`${contentHTML}\n${faqHTML}`, { depth: 2 }).html;
+}
+
+/**
+ * Build the schema.org JSON-LD of a finished post: a BlogPosting (or Article) and, when
+ * the post has an FAQ, an FAQPage. Returns both objects and the script tags for the page head.
+ */
+export function buildStructuredData(post, options = {}) {
+    const {
+        schemaType = 'BlogPosting',
+        url = null,
+        authorName = null,
+        authorUrl = null,
+        publisherName = null,
+        publisherLogoUrl = null,
+        datePublished = post.generatedAt,
+        dateModified = post.generatedAt
+    } = options;
+
+    const publisher = publisherName
+        ? compact({
+            '@type': 'Organization',
+            name: publisherName,
+            logo: publisherLogoUrl ? { '@type': 'ImageObject', url: publisherLogoUrl } : null
+        })
+        : null;
+    const author = authorName
+        ? compact({ '@type': 'Person', name: authorName, url: authorUrl })
+        : publisher && { '@type': 'Organization', name: publisherName };
+
+    const article = compact({
+        '@context': 'https://schema.org',
+        '@type': schemaType,
+        headline: fitToLimit(post.title, HEADLINE_LIMIT).text,
+        alternativeHeadline: post.subtitle || null,
+        description: post.metaDescription,
+        image: webImages(post.images).map(image => image.url),
+        author,
+        publisher,
+        datePublished,
+        dateModified,
+        wordCount: post.wordCount,
+        keywords: post.metaKeywords?.join(', '),
+        inLanguage: post.language,
+        mainEntityOfPage: url ? { '@type': 'WebPage', '@id': url } : null,
+        url
+    });
+
+    const faqPage = post.faq?.length > 0
+        ? {
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            mainEntity: post.faq.map(entry => ({
+                '@type': 'Question',
+                name: entry.question,
+                acceptedAnswer: { '@type': 'Answer', text: entry.answer }
+            }))
+        }
+        : null;
+
+    const html = [article, faqPage]
+        .filter(Boolean)
+        .map(data => `<script type="application/ld+json">\n${JSON.stringify(data, null, 2).replace(/</g, '\\u003c')}\n</script>`)
+        .join('\n');
+
+    return { article, faqPage, html };
+}
+
+/**
+ * Build the Open Graph and Twitter Card tags of a post, as { property | name, content }
+ * entries and as <meta> tags for the page head
+ */
+export function buildSocialMeta(post, options = {}) {
+    const {
+        title = post.title,
+        description = post.metaDescription,
+        url = null,
+        siteName = null,
+        twitterHandle = null,
+        authorUrl = null,
+        datePublished = post.generatedAt,
+        dateModified = post.generatedAt
+    } = options;
+
+    const images = webImages(post.images);
+    const image = images.find(candidate => candidate.placement === 'hero') ?? images[0] ?? null;
+    const handle = twitterHandle ? `@${twitterHandle.replace(/^@/, '')}` : null;
+
+    const tags = [
+        ['property', 'og:type', 'article'],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', url],
+        ['property', 'og:site_name', siteName],
+        // Open Graph locales name a region (en_US), so a bare language code is left out
+        ['property', 'og:locale', post.language?.includes('-') ? post.language.replace('-', '_') : null],
+        ['property', 'og:image', image?.url],
+        ['property', 'og:image:width', image?.width],
+        ['property', 'og:image:height', image?.height],
+        ['property', 'og:image:alt', image?.alt],
+        ['property', 'article:published_time', datePublished],
+        ['property', 'article:modified_time', dateModified],
+        ['property', 'article:author', authorUrl],
+        ...(post.metaKeywords || []).map(keyword => ['property', 'article:tag', keyword]),
+        ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image?.url],
+        ['name', 'twitter:image:alt', image?.alt],
+        ['name', 'twitter:site', handle]
+    ]
+        .filter(([, , content]) => content !== null && content !== undefined && content !== '')
+        .map(([attribute, key, content]) => ({ [attribute]: key, content: String(content) }));
+
+    return {
+        title,
+        description,
+        tags,
+        html: tags.map(tag => {
+            const [attribute, key] = Object.entries(tag)[0];
+            return `<meta ${attribute}="${escapeHtml(key)}" content="${escapeHtml(tag.content)}">`;
+        }).join('\n')
+    };
+}
+
+/**
+ * Fit the suggested posts to LinkedIn's and X's limits, with the post URL added when known.
+ * X counts the link as 23 characters.
+ */
+export function buildSocialPosts(social, options = {}) {
+    const { url = null } = options;
+    const link = url ? `\n\n${url}` : '';
+
+    const linkedin = fitToLimit(social.linkedinPost, SOCIAL_LIMITS.linkedin - link.length);
+    const x = fitToLimit(social.xPost, SOCIAL_LIMITS.x - (url ? X_LINK_LENGTH + 2 : 0));
+
+    return {
+        linkedin: {
+            text: linkedin.text + link,
+            characters: linkedin.text.length + link.length,
+            limit: SOCIAL_LIMITS.linkedin,
+            truncated: linkedin.truncated
+        },
+        x: {
+            text: x.text + link,
+            characters: x.text.length + (url ? X_LINK_LENGTH + 2 : 0),
+            limit: SOCIAL_LIMITS.x,
+            truncated: x.truncated
+        }
+    };
+}
+
+function buildSocialPrompt(options) {
+    const { article, topic, keywords, targetAudience, tone, brandVoice, language, faqCount } = options;
+
+    const text = article.contentHTML.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    const articleText = text.length > SOCIAL_CONTEXT_CHARS ? `${text.slice(0, SOCIAL_CONTEXT_CHARS)}...` : text;
+    const brandVoiceText = brandVoice ? `\n${formatBrandVoicePrompt(brandVoice)}\n` : '';
+    const languageText = isEnglish(language) ? '' : `\n${formatLanguagePrompt(language)}\n`;
+
+    return `You have written this blog article for ${targetAudience} in a ${tone} tone.
+
+Title: "${article.title}"
+Topic: "${topic}"
+Keywords: ${keywords.join(', ')}
+
+ARTICLE:
+${articleText}
+
+Now write the material for search engines and social networks:${faqCount > 0 ? `\n- FAQ: ${faqCount} questions readers actually search for, each answered in 40-80 words of plain text. Answer from the article; do not repeat its headings as questions.` : ''}
+- Social share title (max ${SOCIAL_LIMITS.title} characters) and description (max ${SOCIAL_LIMITS.description} characters) for link previews
+- LinkedIn post (150-250 words, max ${SOCIAL_LIMITS.linkedin} characters): a hook, 2-3 takeaways from the article and a question to the reader. No link; it is added automatically.
+- X post (max ${SOCIAL_LIMITS.x - X_LINK_LENGTH - 2} characters): one sharp insight and at most 2 hashtags. No link; it is added automatically.
+${languageText}${brandVoiceText}
+Return the result in this exact JSON format:
+{
+    "faqHeading": "${faqCount > 0 ? 'Frequently Asked Questions' : ''}",
+    "faq": ${faqCount > 0 ? '[{"question": "Question?", "answer": "Plain text answer."}]' : '[]'},
+    "socialTitle": "Share title",
+    "socialDescription": "Share description",
+    "linkedinPost": "LinkedIn post text",
+    "xPost": "X post text"
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+function renderFaqSection(heading, faq) {
+    const entries = faq.map(entry => `<h3>${escapeHtml(entry.question)}</h3>\n<p>${escapeHtml(entry.answer)}</p>`);
+    return `<h2>${escapeHtml(heading)}</h2>\n${entries.join('\n')}`;
+}
+
+/**
+ * Cut text at a word boundary so it fits `limit` characters with an ellipsis
+ */
+function fitToLimit(text, limit) {
+    const value = String(text ?? '').trim();
+    if (value.length <= limit) return { text: value, truncated: false };
+
+    const cut = value.slice(0, limit - 1);
+    const boundary = cut.lastIndexOf(' ');
+    return { text: `${(boundary > limit / 2 ? cut.slice(0, boundary) : cut).replace(/[\s,;:.-]+$/, '')}…`, truncated: true };
+}
+
+/**
+ * Images with a public URL; data URLs of unstored images cannot be shared
+ */
+function webImages(images = []) {
+    return images.filter(image => /^https?:\/\//.test(image.url || ''));
+}
+
+/**
+ * Drop null, undefined and empty values, so optional fields are left out of the JSON-LD
+ */
+function compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+        value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)));
+}
@@ -0,0 +1,256 @@
+import { maxOutputTokens } from './models.js';
+
+// Valid characters after a backslash inside a JSON string
+const JSON_ESCAPES = new Set(['"', '\\', '/', 'b', 'f', 'n', 'r', 't', 'u']);
+
+// What may follow a closing quote. Anything else means the quote belongs to the text (e.g. HTML attributes).
+const STRING_END_LOOKAHEAD = /^\s*(?:,\s*(?:[}\]]|"|\{|\[|-?\d|true\b|false\b|null\b)|:|\}|\]|$)/;
+
+/**
+ * Parse a model response into JSON and validate it against a schema.
+ *
+ * Local repairs are tried first (code fences, leading text, unescaped quotes and newlines,
+ * trailing commas, truncation). If they fail, the model is asked once to fix its own output.
+ * Repair calls are reported through `track` so they show up in usage and cost.
+ *
+ * A response the provider reports as cut off at the token limit is rejected without repairs
+ * (the error has `truncated: true`): closing its brackets would pass off half a section as
+ * a finished one.
+ */
+export async function parseStructuredOutput(result, options) {
+    const { schema, label, provider, model, track = () => {} } = options;
+
+    if (result.finishReason === 'length') {
+        const error = new Error(`AI response for ${label} was cut off at the output token limit`);
+        error.truncated = true;
+        throw error;
+    }
+
+    const local = parseJson(result.content, schema);
+    if (local.ok) return local.data;
+
+    console.warn(`  ⚠ Could not parse ${label} JSON (${local.error}). Asking the model to fix it...`);
+
+    const repairResult = await provider.generateText(buildJsonRepairPrompt(result.content, local.error, schema), {
+        model,
+        maxTokens: Math.max(1000, Math.min(maxOutputTokens(model), Math.ceil(result.content.length / 3) + 500)),
+        task: 'jsonRepair'
+    });
+    track(repairResult);
+
+    const repaired = parseJson(repairResult.content, schema);
+    if (repaired.ok) return repaired.data;
+
+    console.error(`Failed to parse ${label} JSON:`, result.content);
+    throw new Error(`AI returned invalid JSON response for ${label}: ${repaired.error}`);
+}
+
+/**
+ * Parse and validate JSON without calling the model.
+ * Returns { ok: true, data } or { ok: false, error }.
+ */
+export function parseJson(content, schema = null) {
+    if (typeof content !== 'string' || !content.trim()) {
+        return { ok: false, error: 'empty response' };
+    }
+
+    const expected = schema === 'array' || schema === 'string[]' ? '[' : '{';
+    const candidates = [
+        content,
+        stripCodeFences(content),
+        extractOutermost(stripCodeFences(content), expected)
+    ];
+
+    let lastError = 'no JSON found';
+    for (const candidate of candidates) {
+        if (!candidate) continue;
+
+        for (const text of [candidate, repairJson(candidate)]) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                lastError = error.message;
+                continue;
+            }
+
+            const errors = validateSchema(data, schema);
+            if (errors.length === 0) return { ok: true, data };
+            lastError = errors.join('; ');
+        }
+    }
+
+    return { ok: false, error: lastError };
+}
+
+/**
+ * Check parsed data against a small schema description.
+ *
+ * A schema is a type name ('string', 'number', 'boolean', 'array', 'object', 'string[]')
+ * or an object mapping keys to type names. A trailing '?' marks a key as optional.
+ * Required strings must be non-empty.
+ */
+export function validateSchema(data, schema, path = 'response') {
+    if (!schema) return [];
+
+    if (typeof schema === 'string') {
+        const optional = schema.endsWith('?');
+        const type = optional ? schema.slice(0, -1) : schema;
+
+        if (data === undefined || data === null) {
+            return optional ? [] : [`${path} is missing`];
+        }
+
+        switch (type) {
+            case 'string':
+                if (typeof data !== 'string') return [`${path} must be a string`];
+                return !optional && !data.trim() ? [`${path} must not be empty`] : [];
+            case 'string[]':
+                return Array.isArray(data) && data.every(item => typeof item === 'string')
+                    ? []
+                    : [`${path} must be an array of strings`];
+            case 'array':
+                return Array.isArray(data) ? [] : [`${path} must be an array`];
+            case 'object':
+                return isPlainObject(data) ? [] : [`${path} must be an object`];
+            default:
+                return typeof data === type ? [] : [`${path} must be a ${type}`];
+        }
+    }
+
+    if (!isPlainObject(data)) {
+        return [`${path} must be an object`];
+    }
+
+    return Object.entries(schema).flatMap(([key, type]) => validateSchema(data[key], type, key));
+}
+
+/**
+ * Build the prompt asking the model to turn its broken output into valid JSON
+ */
+function buildJsonRepairPrompt(content, error, schema) {
+    const schemaText = typeof schema === 'string'
+        ? schema
+        : JSON.stringify(schema, null, 2);
+
+    return `The following response was supposed to be valid JSON but could not be parsed.
+
+ERROR: ${error}
+
+EXPECTED SHAPE (a trailing ? marks optional fields):
+${schemaText}
+
+RESPONSE TO FIX:
+${content}
+
+Fix the response so it is valid JSON with the expected shape. Keep all content exactly as written; only fix the syntax (escape double quotes and newlines inside strings, remove trailing commas, close truncated structures).
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON.`;
+}
+
+/**
+ * Remove ```json ... ``` fences around a response
+ */
+function stripCodeFences(content) {
+    const fenced = content.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)\n?```/);
+    return fenced ? fenced[1] : content.trim();
+}
+
+/**
+ * Extract the outermost JSON object or array, ignoring text before and after it.
+ * Truncated output is returned up to its end so that repairJson can close it.
+ */
+function extractOutermost(content, opening) {
+    const start = content.indexOf(opening);
+    if (start === -1) return null;
+
+    const closing = opening === '{' ? '}' : ']';
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < content.length; i++) {
+        const char = content[i];
+
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === opening) {
+            depth++;
+        } else if (char === closing) {
+            depth--;
+            if (depth === 0) return content.slice(start, i + 1);
+        }
+    }
+
+    return content.slice(start);
+}
+
+/**
+ * Fix the syntax mistakes models make most often:
+ * unescaped quotes and control characters inside strings, invalid escapes like \',
+ * trailing commas, and output truncated before the closing brackets.
+ */
+function repairJson(text) {
+    let output = '';
+    let inString = false;
+    const stack = [];
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                const next = text[i + 1];
+                if (next !== undefined && JSON_ESCAPES.has(next)) {
+                    output += char + next;
+                } else if (next !== undefined) {
+                    output += next;
+                }
+                i++;
+            } else if (char === '"') {
+                if (STRING_END_LOOKAHEAD.test(text.slice(i + 1))) {
+                    inString = false;
+                    output += char;
+                } else {
+                    output += '\\"';
+                }
+            } else if (char === '\n') {
+                output += '\\n';
+            } else if (char === '\r') {
+                output += '\\r';
+            } else if (char === '\t') {
+                output += '\\t';
+            } else if (char < ' ') {
+                output += `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+            } else {
+                output += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+        } else if (char === ',' && /^\s*[}\]]/.test(text.slice(i + 1))) {
+            continue; // trailing comma
+        }
+
+        output += char;
+    }
+
+    // Close whatever a truncated response left open
+    if (inString) output += '"';
+    output = output.replace(/,\s*$/, '');
+    while (stack.length > 0) output += stack.pop();
+
+    return output;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
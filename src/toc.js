@@ -0,0 +1,110 @@
+import { parseDocument, DomUtils } from 'htmlparser2';
+import { slugify, escapeHtml } from './html.js';
+import { htmlToMarkdown } from './markdown.js';
+
+export const TOC_STYLES = ['nested', 'jump-links'];
+
+const HEADING_REGEX = /<h([2-6])([^>]*)>([\s\S]*?)<\/h\1>/gi;
+const ID_REGEX = /\sid=["']([^"']*)["']/i;
+
+/**
+ * Build the table of contents of an article: the H2 → H3 → H4 headings nested by level
+ * (`depth` levels below the title, 1-3), with the anchors of headings that had no id
+ * written back into the HTML, and the TOC rendered as an HTML and a Markdown block.
+ * The "jump-links" style renders a compact line of links to the H2 sections instead.
+ */
+export function buildTableOfContents(html, options = {}) {
+    const { depth = 3, style = 'nested', title = 'Table of Contents' } = options;
+
+    const { html: contentHTML, headings, added } = injectHeadingAnchors(html, { depth });
+    const entries = nestHeadings(headings);
+    const block = entries.length > 0 ? renderTableOfContents(entries, { style, title }) : '';
+
+    return {
+        contentHTML,
+        entries,
+        headingCount: headings.length,
+        addedAnchors: added,
+        html: block,
+        markdown: block ? htmlToMarkdown(block) : ''
+    };
+}
+
+/**
+ * Generate the nested table of contents of an article without changing it. Headings
+ * without an id get the anchor buildTableOfContents would write into the HTML.
+ */
+export function generateTableOfContents(html, options = {}) {
+    return nestHeadings(injectHeadingAnchors(html, options).headings);
+}
+
+/**
+ * Give every heading from H2 down to `depth` levels (1 = H2 only) without an id a unique
+ * slug id. Returns the HTML, the headings in document order and how many ids were added.
+ */
+export function injectHeadingAnchors(html, options = {}) {
+    const { depth = 3 } = options;
+    const maxLevel = depth + 1;
+    const usedIds = new Set([...html.matchAll(/\sid=["']([^"']+)["']/gi)].map(match => match[1]));
+    const headings = [];
+    let added = 0;
+
+    const result = html.replace(HEADING_REGEX, (fullMatch, tagLevel, attributes, inner) => {
+        const level = Number(tagLevel);
+        if (level > maxLevel) return fullMatch;
+
+        const heading = DomUtils.textContent(parseDocument(inner, { decodeEntities: true })).replace(/\s+/g, ' ').trim();
+        const existingId = attributes.match(ID_REGEX)?.[1]?.trim();
+        if (existingId) {
+            headings.push({ heading, anchor: existingId, level });
+            return fullMatch;
+        }
+
+        const baseId = slugify(heading) || `section-${headings.length + 1}`;
+        let anchor = baseId;
+        for (let n = 2; usedIds.has(anchor); n++) anchor = `${baseId}-${n}`;
+        usedIds.add(anchor);
+        added++;
+
+        headings.push({ heading, anchor, level });
+        return `<h${level}${attributes.replace(ID_REGEX, '')} id="${anchor}">${inner}</h${level}>`;
+    });
+
+    return { html: result, headings, added };
+}
+
+/**
+ * Render a table of contents as an HTML block, nested or as jump links
+ */
+export function renderTableOfContents(entries, options = {}) {
+    const { style = 'nested', title = 'Table of Contents' } = options;
+    const link = entry => `<a href="#${escapeHtml(entry.anchor)}">${escapeHtml(entry.heading)}</a>`;
+
+    if (style === 'jump-links') {
+        return `<nav class="jump-links">\n<p><strong>Jump to:</strong> ${entries.map(link).join(' · ')}</p>\n</nav>`;
+    }
+
+    const renderList = items => `<ol>\n${items
+        .map(entry => `<li>${link(entry)}${entry.children?.length > 0 ? `\n${renderList(entry.children)}\n` : ''}</li>`)
+        .join('\n')}\n</ol>`;
+
+    return `<nav class="table-of-contents">\n<h2>${escapeHtml(title)}</h2>\n${renderList(entries)}\n</nav>`;
+}
+
+/**
+ * Nest headings under the closest preceding heading of a higher level. Headings that
+ * skip a level (an H4 right under an H2) become children of that heading.
+ */
+function nestHeadings(headings) {
+    const root = [];
+    const stack = [];
+
+    for (const { heading, anchor, level } of headings) {
+        const entry = { heading, anchor, level, children: [] };
+        while (stack.length > 0 && stack.at(-1).level >= level) stack.pop();
+        (stack.length > 0 ? stack.at(-1).children : root).push(entry);
+        stack.push(entry);
+    }
+
+    return root;
+}
@@ -0,0 +1,261 @@
+import { createUsageTracker } from './pricing.js';
+import { maxOutputTokens } from './models.js';
+import { parseStructuredOutput } from './structured-output.js';
+import { countWords, slugify } from './html.js';
+import { generateTableOfContents } from './toc.js';
+import { SECTION_SCHEMA } from './article.js';
+import { splitSections } from './quality.js';
+import { renderFigure } from './image-placement.js';
+import { languageName } from './language.js';
+
+const METADATA_SCHEMA = {
+    title: 'string',
+    subtitle: 'string?',
+    metaDescription: 'string',
+    executiveSummary: 'string?',
+    summaryHeading: 'string?',
+    referencesHeading: 'string?',
+    callToAction: 'string?',
+    keywords: 'string[]?',
+    images: 'array?'
+};
+
+const FIGURE_REGEX = /<figure\b[^>]*>[\s\S]*?<\/figure>/gi;
+
+/**
+ * Translate a finished article into another language.
+ *
+ * The title, subtitle, meta description, summary, CTA, keywords, the summary and references
+ * headings and image alt texts and captions are translated in one call, the body one H2 section at a time. Heading anchors
+ * are regenerated from the translated headings and in-page links are updated to match.
+ */
+export async function translateArticle(article, options) {
+    const {
+        language,
+        sourceLanguage,
+        keywords,
+        images = [],
+        writingModel,
+        provider,
+        maxSectionRetries = 2
+    } = options;
+
+    const tracker = createUsageTracker(writingModel);
+    const { track } = tracker;
+    const names = { source: languageName(sourceLanguage), target: languageName(language) };
+
+    console.log(`  [${language}] Translating title, metadata and image text...`);
+    const metadataResult = await provider.generateText(
+        buildMetadataPrompt({ article, keywords, images, names }),
+        { model: writingModel, maxTokens: 3000, task: 'translateMetadata' }
+    );
+    track(metadataResult);
+    const metadata = await parseStructuredOutput(metadataResult, {
+        schema: METADATA_SCHEMA,
+        label: `${language} metadata`,
+        provider,
+        model: writingModel,
+        track
+    });
+
+    const translatedKeywords = Array.isArray(metadata.keywords) && metadata.keywords.length === keywords.length
+        ? metadata.keywords.map((keyword, i) => keyword.trim() || keywords[i])
+        : keywords;
+    const translatedImages = images.map((image, i) => {
+        const entry = Array.isArray(metadata.images) ? metadata.images[i] : null;
+        return {
+            ...image,
+            alt: typeof entry?.alt === 'string' && entry.alt.trim() ? entry.alt.trim() : image.alt,
+            caption: typeof entry?.caption === 'string' ? entry.caption.trim() : image.caption
+        };
+    });
+
+    const sections = splitSections(article.contentHTML).filter(section => section.headingHTML || section.body.trim());
+    const translatedSections = [];
+    for (const [i, section] of sections.entries()) {
+        console.log(`  [${language}] Translating section ${i + 1}/${sections.length}...`);
+        translatedSections.push(await translateSection({
+            html: `${section.headingHTML}${section.body}`.trim(),
+            hasHeading: Boolean(section.headingHTML),
+            title: metadata.title,
+            keywords,
+            translatedKeywords,
+            language,
+            names,
+            writingModel,
+            provider,
+            maxSectionRetries
+        }, track));
+    }
+
+    // Figures are rendered again from the translated image text so alt text and captions match the metadata
+    const withFigures = translatedSections.join('\n').replace(FIGURE_REGEX, figure => {
+        const src = figure.match(/<img\b[^>]*\ssrc=["']([^"']+)["']/i)?.[1]?.replace(/&amp;/g, '&');
+        const image = translatedImages.find(candidate => candidate.url === src);
+        return image ? renderFigure(image) : figure;
+    });
+    const { html: contentHTML, anchors } = localizeAnchors(withFigures);
+    const headings = new Map(generateTableOfContents(contentHTML, { depth: 1 }).map(entry => [entry.anchor, entry.heading]));
+
+    return {
+        language,
+        title: metadata.title,
+        subtitle: metadata.subtitle || '',
+        executiveSummary: article.executiveSummary ? metadata.executiveSummary || '' : '',
+        summaryHeading: article.executiveSummary ? metadata.summaryHeading || '' : '',
+        contentHTML,
+        metaDescription: metadata.metaDescription,
+        keywords: translatedKeywords,
+        references: article.references,
+        referencesHeading: article.references?.length > 0 ? metadata.referencesHeading || '' : '',
+        callToAction: article.callToAction ? metadata.callToAction || '' : '',
+        images: translatedImages.map(image => {
+            const anchor = anchors[image.anchor] ?? image.anchor;
+            return { ...image, anchor, heading: headings.get(anchor) ?? image.heading };
+        }),
+        anchors,
+        wordCount: countWords(contentHTML),
+        usage: tracker.usage,
+        cost: tracker.cost,
+        ledger: tracker.ledger
+    };
+}
+
+/**
+ * Translate one section of HTML, retrying only that section when a call fails
+ */
+async function translateSection(options, track) {
+    const { html, hasHeading, language, writingModel, provider, maxSectionRetries } = options;
+    let maxTokens = Math.min(maxOutputTokens(writingModel), Math.max(1500, Math.ceil(countWords(html) * 3) + 500));
+
+    for (let attempt = 1; attempt <= maxSectionRetries + 1; attempt++) {
+        try {
+            const result = await provider.generateText(buildSectionPrompt(options), { model: writingModel, maxTokens, task: 'translateSection' });
+            track(result);
+
+            const data = await parseStructuredOutput(result, {
+                schema: SECTION_SCHEMA,
+                label: `${language} section`,
+                provider,
+                model: writingModel,
+                track
+            });
+            if (hasHeading && !/<h2\b/i.test(data.html)) {
+                throw new Error('the H2 heading is missing');
+            }
+            return data.html.trim();
+        } catch (error) {
+            if (attempt > maxSectionRetries) {
+                throw new Error(`Failed to translate a section into ${language}: ${error.message}`);
+            }
+            if (error.truncated) maxTokens = Math.min(maxOutputTokens(writingModel), maxTokens * 2);
+            console.warn(`  ⚠ [${language}] Section translation failed (${error.message}). Retrying ${attempt}/${maxSectionRetries}...`);
+        }
+    }
+}
+
+/**
+ * Build the prompt for translating the article's metadata and image text
+ */
+function buildMetadataPrompt(options) {
+    const { article, keywords, images, names } = options;
+
+    const input = {
+        title: article.title,
+        subtitle: article.subtitle || '',
+        metaDescription: article.metaDescription,
+        executiveSummary: article.executiveSummary || '',
+        summaryHeading: article.executiveSummary ? article.summaryHeading || 'Executive Summary' : '',
+        referencesHeading: article.references?.length > 0 ? article.referencesHeading || 'References' : '',
+        callToAction: article.callToAction || '',
+        keywords,
+        images: images.map(image => ({ alt: image.alt || '', caption: image.caption || '' }))
+    };
+
+    return `You are a professional translator and localization expert for blog content. Translate the metadata of a blog article from ${names.source} into ${names.target}.
+
+GUIDELINES:
+- Translate meaning and tone naturally for ${names.target} readers, not word for word
+- Localize the keywords to the phrases people actually search for in ${names.target}, in the same order
+- Meta description: 150-160 characters, or the natural equivalent in ${names.target}
+- Keep HTML tags, attributes and URLs in the call-to-action unchanged
+- Keep product and brand names as they are
+- Leave empty fields empty
+
+ARTICLE METADATA:
+${JSON.stringify(input, null, 2)}
+
+Return the result in this exact JSON format, with the same keys and the same number of keywords and images:
+{
+    "title": "Translated title",
+    "subtitle": "Translated subtitle",
+    "metaDescription": "Translated meta description",
+    "executiveSummary": "Translated executive summary",
+    "summaryHeading": "Translated executive summary heading",
+    "referencesHeading": "Translated references heading",
+    "callToAction": "<div class=\\"cta\\">Translated CTA HTML...</div>",
+    "keywords": ["Translated keyword", "..."],
+    "images": [{ "alt": "Translated alt text", "caption": "Translated caption" }]
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Build the prompt for translating one section of the article body
+ */
+function buildSectionPrompt(options) {
+    const { html, title, keywords, translatedKeywords, names } = options;
+
+    const glossary = keywords
+        .map((keyword, i) => (translatedKeywords[i] !== keyword ? `- "${keyword}" -> "${translatedKeywords[i]}"` : null))
+        .filter(Boolean);
+    const glossaryText = glossary.length > 0 ? `\nTranslate the SEO keywords like this:\n${glossary.join('\n')}\n` : '';
+
+    return `You are a professional translator and localization expert for blog content. Translate one section of a blog article from ${names.source} into ${names.target}.
+
+Article title (already translated): "${title}"
+
+SECTION HTML:
+${html}
+
+GUIDELINES:
+- Translate all visible text, plus alt and title attributes
+- Keep every HTML tag, attribute, id, class and URL exactly as it is
+- Do not translate code, URLs, product names or citation markers such as [1]
+- Translate naturally for ${names.target} readers, keeping the tone and meaning; do not add or drop content
+${glossaryText}
+Return the result in this exact JSON format:
+{
+    "html": "<h2 id=\\"...\\">Translated heading</h2><p>Translated content...</p>"
+}
+
+IMPORTANT: Return ONLY valid JSON. No markdown, no code blocks, no explanations - just the JSON object.`;
+}
+
+/**
+ * Give H2/H3 headings anchors that match their translated text and point in-page links at them.
+ * Returns the HTML and a map of old to new anchors.
+ */
+function localizeAnchors(html) {
+    const usedIds = new Set();
+    const anchors = {};
+
+    const localized = html.replace(/<h([23])([^>]*)>([\s\S]*?)<\/h\1>/gi, (match, level, attributes, inner) => {
+        const previousId = attributes.match(/\sid=["']([^"']+)["']/i)?.[1];
+        if (!previousId) return match;
+
+        const baseId = slugify(inner.replace(/<[^>]*>/g, '')) || previousId;
+        let id = baseId;
+        for (let n = 2; usedIds.has(id); n++) id = `${baseId}-${n}`;
+        usedIds.add(id);
+        anchors[previousId] = id;
+
+        return `<h${level}${attributes.replace(/\sid=["'][^"']+["']/i, ` id="${id}"`)}>${inner}</h${level}>`;
+    });
+
+    return {
+        html: localized.replace(/href=(["'])#([^"']+)\1/g, (match, quote, id) => (anchors[id] ? `href=${quote}#${anchors[id]}${quote}` : match)),
+        anchors
+    };
+}
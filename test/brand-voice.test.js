@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintBrandVoice, normalizeBrandVoice } from '../src/brand-voice.js';
+
+const CLAUSES = '<p>However, remote teams and managers agree. In 2024, sales and support grew. If it fails, try again, and report it.</p>';
+
+test('the linter leaves introductory clauses alone whatever the Oxford comma preference', () => {
+    for (const oxfordComma of [true, false]) {
+        const profile = normalizeBrandVoice({ name: 'Acme', oxfordComma }, 'acme');
+        const { article, report } = lintBrandVoice({ title: 'Sales, support and success', contentHTML: CLAUSES }, profile);
+
+        assert.equal(article.contentHTML, CLAUSES);
+        assert.deepEqual(report.issues, []);
+        assert.equal(report.passed, true);
+    }
+});
+
+test('the linter fixes terminology and product casing and flags banned terms', () => {
+    const profile = normalizeBrandVoice({
+        name: 'Acme',
+        bannedTerms: ['synergy', { term: 'leverage', replacement: 'use' }],
+        preferredTerms: { 'e-mail': 'email' },
+        productNames: ['AcmeCloud']
+    }, 'acme');
+    const { article, report } = lintBrandVoice({
+        title: 'Leverage acmecloud',
+        contentHTML: '<p>Send an E-mail about synergy.</p><pre><code>acmecloud --e-mail</code></pre>'
+    }, profile);
+
+    assert.equal(article.title, 'Use AcmeCloud');
+    assert.equal(article.contentHTML, '<p>Send an Email about synergy.</p><pre><code>acmecloud --e-mail</code></pre>');
+    assert.deepEqual(report.issues.filter(issue => !issue.fixed).map(issue => issue.found), ['synergy']);
+    assert.equal(report.passed, false);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildClusterMap, clusterArticleInputs } from '../src/cluster.js';
+import { validateArticleInput } from '../src/batch.js';
+
+const JAPANESE_PLAN = {
+    topic: 'リモートワーク',
+    keywords: ['リモートワーク', '非同期コミュニケーション', 'ホームオフィス'],
+    pillar: { topic: 'リモートワーク完全ガイド', angle: '全体像', keywords: ['リモートワーク'] },
+    spokes: [
+        { topic: '非同期コミュニケーションの始め方', angle: '実践', keywords: ['非同期コミュニケーション'] },
+        { topic: 'ホームオフィスの作り方', angle: '環境', keywords: ['ホームオフィス'] }
+    ],
+    relatedHeading: '関連記事'
+};
+
+test('a non-Latin cluster gets slugs and article inputs that pass validation', () => {
+    const map = buildClusterMap(JAPANESE_PLAN, { siteUrl: 'https://example.com/blog/' });
+    const articles = clusterArticleInputs(map, { keywords: [], wordCount: 2000, language: 'ja', includeImages: false });
+
+    for (const node of map.nodes) {
+        assert.ok(node.slug.startsWith(`${node.keywords[0]}-`), node.slug);
+        assert.equal(node.url, `https://example.com/blog/${node.slug}`);
+    }
+
+    for (const article of articles) {
+        assert.doesNotThrow(() => validateArticleInput(article), `${article.cluster.id} (${article.slug})`);
+    }
+    assert.deepEqual(articles[0].internalLinks.map(link => link.url), map.nodes.slice(1).map(node => node.path));
+    assert.equal(articles[0].internalLinksHeading, '関連記事');
+});
+
+test('slug validation still rejects uppercase letters, spaces and stray hyphens', () => {
+    const article = { topic: 'Remote Work', keywords: ['remote work'] };
+
+    assert.doesNotThrow(() => validateArticleInput({ ...article, slug: 'remote-work-2026' }));
+    assert.doesNotThrow(() => validateArticleInput({ ...article, slug: 'télétravail-guide' }));
+    for (const slug of ['Remote-Work', 'remote work', '-remote', 'remote--work', '']) {
+        assert.throws(() => validateArticleInput({ ...article, slug }), /Slug must be lowercase letters and digits/, slug);
+    }
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { phrasePattern } from '../src/language.js';
+
+test('phrasePattern matches whole phrases only, in any script', () => {
+    assert.ok(phrasePattern('remote work').test('Why Remote\n work pays off'));
+    assert.ok(phrasePattern('café').test('Le Café, ouvert'));
+    assert.ok(phrasePattern('C++').test('Learn C++ today'));
+    assert.ok(!phrasePattern('cloud').test('AcmeClouds and Élcloud'));
+    assert.ok(!phrasePattern('über').test('Schüber'));
+});
+
+test('phrasePattern treats scripts without spaces as word boundaries', () => {
+    assert.ok(phrasePattern('AcmeCloud').test('AcmeCloudは便利です'));
+    assert.ok(phrasePattern('東京').test('私は東京へ行きます'));
+});
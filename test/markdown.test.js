@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { htmlToMarkdown } from '../src/markdown.js';
+
+// Each fixture is an HTML file and the Markdown it converts to
+const FIXTURES = new URL('./fixtures/markdown/', import.meta.url);
+
+for (const file of readdirSync(FIXTURES).filter(name => name.endsWith('.html'))) {
+    const name = file.replace(/\.html$/, '');
+
+    test(`htmlToMarkdown converts the ${name} fixture`, () => {
+        const html = readFileSync(new URL(file, FIXTURES), 'utf8');
+        const expected = readFileSync(new URL(`${name}.md`, FIXTURES), 'utf8');
+
+        assert.equal(htmlToMarkdown(html), expected.trimEnd());
+    });
+}
+
+test('htmlToMarkdown writes {#id} heading attributes only when asked to', () => {
+    const html = '<h2 id="introduction">Introduction</h2>';
+
+    assert.equal(htmlToMarkdown(html), '## Introduction <a id="introduction"></a>');
+    assert.equal(htmlToMarkdown(html, { headingIds: 'attribute' }), '## Introduction {#introduction}');
+    assert.equal(htmlToMarkdown(html, { headingIds: false }), '## Introduction');
+});
+
+test('htmlToMarkdown escapes braces and closes inline HTML for MDX', () => {
+    const html = '<h2 id="setup">Setup</h2><p>Use {name} in a template.<br>Next line</p><table><tr><th>A</th></tr><tr><td>1<br>2</td></tr></table>';
+
+    assert.equal(
+        htmlToMarkdown(html, { mdx: true }),
+        '## Setup <a id="setup"></a>\n\nUse \\{name\\} in a template.\\\nNext line\n\n| A |\n| --- |\n| 1<br />2 |'
+    );
+});
+
+test('htmlToMarkdown skips scripts and returns an empty string for empty input', () => {
+    assert.equal(htmlToMarkdown('<p>Text</p><script>alert(1)</script>'), 'Text');
+    assert.equal(htmlToMarkdown(''), '');
+    assert.equal(htmlToMarkdown(null), '');
+});
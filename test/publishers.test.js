@@ -0,0 +1,293 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createHmac } from 'node:crypto';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createWordPressPublisher } from '../src/publishers/wordpress.js';
+import { createGhostPublisher } from '../src/publishers/ghost.js';
+import { createGitPublisher } from '../src/publishers/git.js';
+
+const execFileAsync = promisify(execFile);
+
+// 1x1 transparent PNG, so the hero image never needs the network
+const HERO_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const GHOST_KEY_ID = '6489fa7d2c1b4e0001a2b3c4';
+const GHOST_SECRET = 'a1b2c3d4e5f60718293a4b5c6d7e8f90a1b2c3d4e5f60718293a4b5c6d7e8f90';
+
+function createPost(overrides = {}) {
+    return {
+        title: 'Remote Work: A Practical Guide',
+        slug: 'remote-work-guide',
+        metaDescription: 'Learn how remote work succeeds in practice, with habits, tools and examples for distributed teams.',
+        contentHTML: '<figure class="article-image hero-image"><img src="hero.png" alt="Hero"></figure>\n<h2 id="introduction">Introduction</h2>\n<p>Remote teams need clear habits.</p>',
+        executiveSummary: '',
+        references: [],
+        callToAction: '',
+        images: [{ placement: 'hero', url: `data:image/png;base64,${HERO_PNG}`, alt: 'A home office', caption: 'Working from home' }],
+        metaKeywords: ['remote work'],
+        readingTime: 1,
+        generatedAt: '2026-01-15T10:00:00.000Z',
+        ...overrides
+    };
+}
+
+/**
+ * Start a local HTTP server that answers every request with `respond` and records it
+ */
+async function startStub(respond) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const request = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(request);
+
+            const { status = 200, json = {} } = respond(request) || {};
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(json));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+function jsonBody(request) {
+    return JSON.parse(request.body.toString());
+}
+
+describe('WordPress publisher', () => {
+    let stub;
+    let respond;
+
+    before(async () => {
+        stub = await startStub(request => respond(request));
+    });
+    after(() => stub.close());
+
+    const publisher = () => createWordPressPublisher({ siteUrl: `${stub.url}/`, username: 'editor', applicationPassword: 'abcd efgh ijkl' });
+
+    test('creates the post with resolved terms and the hero as featured media', async () => {
+        stub.requests.length = 0;
+        respond = ({ method, url }) => {
+            if (method === 'GET' && url.startsWith('/wp-json/wp/v2/categories')) return { json: [] };
+            if (method === 'POST' && url === '/wp-json/wp/v2/categories') return { json: { id: 7 } };
+            if (method === 'GET' && url.startsWith('/wp-json/wp/v2/tags')) return { json: [{ id: 3, name: 'Remote Work', slug: 'remote-work' }] };
+            if (method === 'POST' && url === '/wp-json/wp/v2/media') return { json: { id: 42 } };
+            if (method === 'POST' && url === '/wp-json/wp/v2/media/42') return { json: { id: 42 } };
+            if (method === 'POST' && url === '/wp-json/wp/v2/posts') return { status: 201, json: { id: 101, link: 'https://blog.example.com/remote-work-guide/', status: 'draft' } };
+            return { status: 404, json: { message: 'No route' } };
+        };
+
+        const result = await publisher().publish(createPost(), { status: 'draft', categories: ['News'], tags: [12, 'remote work'] });
+
+        assert.deepEqual(result, { id: 101, url: 'https://blog.example.com/remote-work-guide/', status: 'draft', featuredMediaId: 42 });
+        assert.ok(stub.requests.every(request => request.headers.authorization === `Basic ${Buffer.from('editor:abcd efgh ijkl').toString('base64')}`));
+
+        const upload = stub.requests.find(request => request.url === '/wp-json/wp/v2/media');
+        assert.equal(upload.headers['content-type'], 'image/png');
+        assert.equal(upload.body.toString('base64'), HERO_PNG);
+        assert.deepEqual(jsonBody(stub.requests.find(request => request.url === '/wp-json/wp/v2/media/42')), { alt_text: 'A home office', caption: 'Working from home' });
+        assert.deepEqual(jsonBody(stub.requests.find(request => request.method === 'POST' && request.url === '/wp-json/wp/v2/categories')), { name: 'News' });
+
+        const created = jsonBody(stub.requests.find(request => request.url === '/wp-json/wp/v2/posts'));
+        assert.equal(created.title, 'Remote Work: A Practical Guide');
+        assert.equal(created.slug, 'remote-work-guide');
+        assert.equal(created.status, 'draft');
+        assert.deepEqual(created.categories, [7]);
+        assert.deepEqual(created.tags, [12, 3]);
+        assert.equal(created.featured_media, 42);
+        assert.match(created.content, /<!-- wp:heading -->/);
+        assert.doesNotMatch(created.content, /hero-image/);
+    });
+
+    test('reports an authentication failure with the API message', async () => {
+        respond = () => ({ status: 401, json: { code: 'rest_cannot_create', message: 'Sorry, you are not allowed to create posts as this user.' } });
+
+        await assert.rejects(
+            publisher().publish(createPost({ images: [] }), { status: 'published' }),
+            /^Error: WordPress API error \(401\) on POST \/posts: Sorry, you are not allowed to create posts as this user\.$/
+        );
+    });
+
+    test('describes a scheduled post in dry-run mode without calling the API', async () => {
+        stub.requests.length = 0;
+        respond = () => ({ status: 500 });
+
+        const result = await publisher().publish(createPost(), {
+            status: 'scheduled',
+            publishAt: '2026-02-01T09:30:00Z',
+            categories: ['News'],
+            tags: ['remote work'],
+            dryRun: true
+        });
+
+        assert.equal(stub.requests.length, 0);
+        assert.equal(result.id, null);
+        assert.equal(result.status, 'future');
+        assert.equal(result.request.endpoint, `${stub.url}/wp-json/wp/v2/posts`);
+        assert.equal(result.request.date_gmt, '2026-02-01T09:30:00');
+        assert.deepEqual(result.request.categories, ['News']);
+        assert.ok(result.request.contentBytes > 0);
+        assert.equal(result.request.featuredMedia, `data:image/png;base64,${HERO_PNG}`);
+    });
+
+    test('requires the site URL, username and application password', () => {
+        assert.throws(() => createWordPressPublisher({ siteUrl: stub.url, username: 'editor' }), /requires wordpressUrl, wordpressUsername and an application password/);
+    });
+});
+
+describe('Ghost publisher', () => {
+    let stub;
+    let respond;
+
+    before(async () => {
+        stub = await startStub(request => respond(request));
+    });
+    after(() => stub.close());
+
+    const publisher = () => createGhostPublisher({ adminUrl: stub.url, adminApiKey: `${GHOST_KEY_ID}:${GHOST_SECRET}` });
+
+    test('uploads the feature image and creates the post with a signed Admin API token', async () => {
+        stub.requests.length = 0;
+        respond = ({ method, url }) => {
+            if (method === 'POST' && url === '/ghost/api/admin/images/upload/') return { status: 201, json: { images: [{ url: 'https://ghost.example.com/content/images/hero.png' }] } };
+            if (method === 'POST' && url === '/ghost/api/admin/posts/?source=html') return { status: 201, json: { posts: [{ id: '65a1', url: 'https://ghost.example.com/remote-work-guide/', status: 'draft' }] } };
+            return { status: 404, json: { errors: [{ message: 'Resource not found' }] } };
+        };
+
+        const result = await publisher().publish(createPost(), { status: 'draft', tags: ['remote work'] });
+
+        assert.deepEqual(result, { id: '65a1', url: 'https://ghost.example.com/remote-work-guide/', status: 'draft' });
+
+        for (const request of stub.requests) {
+            assert.equal(request.headers['accept-version'], 'v5.0');
+            const [header, payload, signature] = request.headers.authorization.replace(/^Ghost /, '').split('.');
+            assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { alg: 'HS256', typ: 'JWT', kid: GHOST_KEY_ID });
+            assert.equal(JSON.parse(Buffer.from(payload, 'base64url')).aud, '/admin/');
+            assert.equal(signature, createHmac('sha256', Buffer.from(GHOST_SECRET, 'hex')).update(`${header}.${payload}`).digest('base64url'));
+        }
+
+        const upload = stub.requests.find(request => request.url === '/ghost/api/admin/images/upload/');
+        assert.match(upload.headers['content-type'], /^multipart\/form-data; boundary=/);
+        assert.match(upload.body.toString('latin1'), /name="purpose"\r\n\r\nimage/);
+
+        const [created] = jsonBody(stub.requests.find(request => request.url === '/ghost/api/admin/posts/?source=html')).posts;
+        assert.equal(created.title, 'Remote Work: A Practical Guide');
+        assert.equal(created.slug, 'remote-work-guide');
+        assert.equal(created.status, 'draft');
+        assert.deepEqual(created.tags, [{ name: 'remote work' }]);
+        assert.equal(created.feature_image, 'https://ghost.example.com/content/images/hero.png');
+        assert.equal(created.feature_image_alt, 'A home office');
+        assert.match(created.html, /<h2 id="introduction">Introduction<\/h2>/);
+        assert.doesNotMatch(created.html, /hero-image/);
+    });
+
+    test('reports an authentication failure with the API message', async () => {
+        respond = () => ({ status: 401, json: { errors: [{ message: 'Invalid token: invalid signature' }] } });
+
+        await assert.rejects(
+            publisher().publish(createPost({ images: [] }), { status: 'published' }),
+            /^Error: Ghost API error \(401\) on POST \/posts\/\?source=html: Invalid token: invalid signature$/
+        );
+    });
+
+    test('describes a scheduled post in dry-run mode without calling the API', async () => {
+        stub.requests.length = 0;
+        respond = () => ({ status: 500 });
+
+        const result = await publisher().publish(createPost(), { status: 'scheduled', publishAt: '2026-02-01T09:30:00Z', tags: ['remote work'], dryRun: true });
+
+        assert.equal(stub.requests.length, 0);
+        assert.equal(result.id, null);
+        assert.equal(result.status, 'scheduled');
+        assert.equal(result.request.endpoint, `${stub.url}/ghost/api/admin/posts/?source=html`);
+        assert.equal(result.request.published_at, '2026-02-01T09:30:00.000Z');
+        assert.ok(result.request.htmlBytes > 0);
+        assert.equal(result.request.featureImage, `data:image/png;base64,${HERO_PNG}`);
+    });
+
+    test('rejects an Admin API key without a secret', () => {
+        assert.throws(() => createGhostPublisher({ adminUrl: stub.url, adminApiKey: GHOST_KEY_ID }), /must have the format "id:secret"/);
+    });
+});
+
+describe('Git publisher', () => {
+    let root;
+
+    before(async () => {
+        root = await mkdtemp(path.join(tmpdir(), 'blog-writer-test-'));
+    });
+    after(() => rm(root, { recursive: true, force: true }));
+
+    const git = async (repository, ...args) => (await execFileAsync('git', ['-C', repository, ...args])).stdout.trim();
+
+    const createBareRepository = async (name) => {
+        const repository = path.join(root, name);
+        await execFileAsync('git', ['init', '--quiet', '--bare', repository]);
+        return repository;
+    };
+
+    test('commits the post to a new branch of a bare repository and pushes it', async () => {
+        const repository = await createBareRepository('new-branch.git');
+        const publisher = createGitPublisher({ repository, branch: 'content', authorName: 'Test Writer', authorEmail: 'writer@example.com' });
+
+        const result = await publisher.publish(createPost(), { directory: 'src/posts', format: 'mdx' });
+
+        assert.equal(result.status, 'committed');
+        assert.equal(result.path, 'src/posts/remote-work-guide.mdx');
+        assert.equal(result.branch, 'content');
+        assert.equal(await git(repository, 'rev-parse', 'refs/heads/content'), result.id);
+        assert.equal(await git(repository, 'log', '-1', '--format=%an <%ae>|%s', 'content'), 'Test Writer <writer@example.com>|Add post: Remote Work: A Practical Guide');
+
+        const file = await git(repository, 'show', 'content:src/posts/remote-work-guide.mdx');
+        assert.match(file, /^---\ntitle: "Remote Work: A Practical Guide"/);
+        assert.match(file, /## Introduction <a id="introduction"><\/a>/);
+    });
+
+    test('adds later posts on top of the existing branch', async () => {
+        const repository = await createBareRepository('existing-branch.git');
+        const publisher = createGitPublisher({ repository });
+
+        const first = await publisher.publish(createPost(), { format: 'markdown' });
+        const second = await publisher.publish(createPost({ title: 'Async Communication', slug: 'async-communication' }), { format: 'markdown' });
+
+        assert.equal(await git(repository, 'rev-parse', `${second.id}^`), first.id);
+        assert.equal(
+            await git(repository, 'ls-tree', '-r', '--name-only', 'main'),
+            'content/posts/async-communication.md\ncontent/posts/remote-work-guide.md'
+        );
+    });
+
+    test('describes the commit in dry-run mode without touching the repository', async () => {
+        const repository = await createBareRepository('dry-run.git');
+
+        const result = await createGitPublisher({ repository }).publish(createPost(), { dryRun: true });
+
+        assert.equal(result.id, null);
+        assert.equal(result.status, 'not committed');
+        assert.equal(result.path, 'content/posts/remote-work-guide.mdx');
+        assert.ok(result.request.bytes > 0);
+        assert.equal(await git(repository, 'for-each-ref'), '');
+    });
+
+    test('rejects file formats it cannot commit', async () => {
+        const repository = await createBareRepository('format.git');
+
+        await assert.rejects(
+            createGitPublisher({ repository }).publish(createPost(), { format: 'html' }),
+            /Unsupported Git file format "html"/
+        );
+    });
+});
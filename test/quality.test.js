@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateArticle } from '../src/quality.js';
+
+function keywordCheck(contentHTML, keywords) {
+    const checks = validateArticle({ title: 'Team Guide', contentHTML, wordCount: 10 }, { keywords, wordCount: 10 });
+    return checks.find(check => check.name === 'keywords');
+}
+
+test('required keywords match whole phrases with decoded entities', () => {
+    const check = keywordCheck('<p>Our R&amp;D and Q&#38;A teams said AcmeClouds help remote\nwork.</p>', ['R&D', 'Q&A', 'remote work', 'AI', 'cloud']);
+
+    assert.equal(check.passed, false);
+    assert.deepEqual(check.actual, ['R&D', 'Q&A', 'remote work']);
+    assert.deepEqual(check.missing, ['AI', 'cloud']);
+});
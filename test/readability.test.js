@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeReadability } from '../src/readability.js';
+
+function passiveSentences(sentences) {
+    return analyzeReadability(`<p>${sentences.join(' ')}</p>`).passiveSentences;
+}
+
+test('the passive-voice estimate counts be or get with a past participle', () => {
+    assert.equal(passiveSentences(['The report was written by the team.']), 1);
+    assert.equal(passiveSentences(['Every change is reviewed twice.']), 1);
+    assert.equal(passiveSentences(['The build got quickly fixed.']), 1);
+});
+
+test('the passive-voice estimate ignores adjectives that end in -ed', () => {
+    assert.equal(passiveSentences([
+        'The logo is red.',
+        'The audience was bored.',
+        'Our plans are need-based.',
+        'Remote teams are experienced with async work.',
+        'The deadline is indeed close.'
+    ]), 0);
+});
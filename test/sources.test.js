@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCitations } from '../src/sources.js';
+
+const SOURCES = [
+    { id: 'S1', title: 'Remote Work Report', url: 'https://example.com/report', passages: [{ id: 'S1.1', sourceId: 'S1', text: 'Most teams work remotely.' }] },
+    { id: 'S2', title: 'Team Handbook', url: null, passages: [{ id: 'S2.1', sourceId: 'S2', text: 'Meetings are optional.' }] }
+];
+const ARTICLE = {
+    contentHTML: '<p>Most teams work remotely [S1.1]. Meetings are optional [S2.1, S1].</p>',
+    executiveSummary: 'Teams work remotely [S1.1].',
+    callToAction: ''
+};
+
+test('resolveCitations numbers the cited sources and lists them as references', () => {
+    const { article, citations } = resolveCitations(ARTICLE, SOURCES);
+
+    assert.equal(article.contentHTML, '<p>Most teams work remotely<sup class="citation">[1]</sup>. Meetings are optional<sup class="citation">[2]</sup><sup class="citation">[1]</sup>.</p>');
+    assert.equal(article.executiveSummary, 'Teams work remotely [1].');
+    assert.deepEqual(article.references, ['Remote Work Report - https://example.com/report', 'Team Handbook']);
+    assert.deepEqual(citations.map(citation => [citation.citationId, citation.number]), [['S1.1', 1], ['S1', 1], ['S2.1', 2]]);
+});
+
+test('resolveCitations leaves no markers behind when references are turned off', () => {
+    const { article, citations } = resolveCitations(ARTICLE, SOURCES, { includeReferences: false });
+
+    assert.equal(article.contentHTML, '<p>Most teams work remotely. Meetings are optional.</p>');
+    assert.equal(article.executiveSummary, 'Teams work remotely.');
+    assert.deepEqual(article.references, []);
+    assert.equal(citations.length, 3);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { parseJson, parseStructuredOutput } from '../src/structured-output.js';
+import { createOpenAICompatibleProvider } from '../src/providers/openai-compatible.js';
+
+const SECTION_SCHEMA = { html: 'string' };
+
+// A provider that fails the test if parseStructuredOutput asks it to repair anything
+const noRepairProvider = {
+    async generateText() {
+        throw new Error('no repair call expected');
+    }
+};
+
+test('parseStructuredOutput rejects a response cut off at the token limit without repairing it', async () => {
+    const truncated = { content: '{"html":"<p>The first half of a sentence', finishReason: 'length' };
+
+    assert.equal(parseJson(truncated.content, SECTION_SCHEMA).ok, true);
+    await assert.rejects(
+        parseStructuredOutput(truncated, { schema: SECTION_SCHEMA, label: 'section', provider: noRepairProvider, model: 'test/model' }),
+        error => error.truncated === true && /section was cut off at the output token limit/.test(error.message)
+    );
+});
+
+test('parseStructuredOutput still repairs finished responses locally', async () => {
+    const data = await parseStructuredOutput(
+        { content: '```json\n{"html": "<p class="lead">Done</p>",}\n```', finishReason: 'stop' },
+        { schema: SECTION_SCHEMA, label: 'section', provider: noRepairProvider, model: 'test/model' }
+    );
+
+    assert.deepEqual(data, { html: '<p class="lead">Done</p>' });
+});
+
+test('the OpenAI-compatible provider reports the finish reason of plain and streamed responses', async () => {
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (JSON.parse(body).stream) {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write('data: {"choices":[{"delta":{"content":"{\\"html\\":\\"<p>Cut"}}]}\n\n');
+                res.write('data: {"choices":[{"delta":{},"finish_reason":"length"}]}\n\n');
+                res.end('data: [DONE]\n\n');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ choices: [{ message: { content: '{"html":"<p>Done</p>"}' }, finish_reason: 'stop' }] }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const plain = await createOpenAICompatibleProvider({ baseUrl, streaming: false }).generateText('Write', { model: 'test/model', maxTokens: 100 });
+        const streamed = await createOpenAICompatibleProvider({ baseUrl, streaming: true }).generateText('Write', { model: 'test/model', maxTokens: 100 });
+
+        assert.equal(plain.finishReason, 'stop');
+        assert.equal(streamed.finishReason, 'length');
+        assert.equal(streamed.content, '{"html":"<p>Cut');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});